@@ -0,0 +1,445 @@
+import express from "express";
+import { filtroSucursal, sucursalDeOperacion } from "../utils/sucursales.js";
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+const createCajaRouter = (pool) => {
+  const router = express.Router();
+
+  // ===================== MIDDLEWARE DE VERIFICACIÓN DE PERMISOS =====================
+  const verificarPermisosCaja = (permisoRequerido) => {
+    return async (req, res, next) => {
+      console.log("🔍 Verificando permisos para caja:", req.user);
+
+      if (req.user.rol === "admin") {
+        return next();
+      }
+
+      if (req.user.rol === "vendedor") {
+        try {
+          const result = await pool.query(
+            "SELECT permissions FROM user_permissions WHERE user_id = $1",
+            [req.user.id]
+          );
+
+          let userPermissions = {};
+
+          if (result.rows.length > 0) {
+            userPermissions = result.rows[0].permissions;
+          } else {
+            userPermissions = {
+              can_view_products: true,
+              can_edit_products: false,
+              can_delete_products: false,
+              can_create_products: false,
+              can_view_sales: true,
+              can_create_sales: true,
+              can_view_customers: true,
+              can_edit_customers: false,
+              can_view_reports: false,
+              can_manage_stock: false,
+              can_void_sales: false,
+              can_override_prices: false,
+              can_override_credit: false,
+              can_count_inventory: false
+            };
+          }
+
+          if (userPermissions[permisoRequerido]) {
+            next();
+          } else {
+            console.log(`❌ Permiso ${permisoRequerido} denegado para caja`);
+            res.status(403).json({
+              message: "No tienes permisos para realizar esta acción"
+            });
+          }
+        } catch (error) {
+          console.error("Error al verificar permisos:", error);
+          return res.status(500).json({ error: "Error interno del servidor" });
+        }
+      } else {
+        console.log(`❌ Rol no reconocido: ${req.user.rol}`);
+        res.status(403).json({ message: "Acceso denegado" });
+      }
+    };
+  };
+
+  // ===================== RESUMEN DE CAJA =====================
+  // Calcula lo esperado por método de pago a partir del desglose de pagos de cada
+  // venta (recibido - cambio). Los reembolsos por devoluciones de la sesión se
+  // descuentan del método con que se pagó la venta original, repartidos según sus
+  // pagos. El efectivo además suma el monto inicial y los movimientos.
+  const calcularResumen = async (db, sesion) => {
+    const pagosResult = await db.query(`
+      SELECT vp.metodo_pago,
+        COUNT(DISTINCT vp.venta_id)::int AS cantidad_ventas,
+        COALESCE(SUM(vp.recibido - vp.cambio), 0) AS cobrado
+      FROM venta_pagos vp
+      JOIN ventas v ON vp.venta_id = v.id
+      WHERE v.caja_sesion_id = $1
+      GROUP BY vp.metodo_pago
+    `, [sesion.id]);
+
+    // Lo cobrado de una venta anulada sí entró a la caja (su reembolso lo descuenta),
+    // pero la venta no cuenta como vendida
+    const ventasResult = await db.query(`
+      SELECT COUNT(*)::int AS cantidad_ventas,
+        COALESCE(SUM(total), 0) AS total_vendido,
+        COALESCE(SUM(deuda), 0) AS deuda
+      FROM ventas
+      WHERE caja_sesion_id = $1 AND estado <> 'anulada'
+    `, [sesion.id]);
+
+    const movimientosResult = await db.query(`
+      SELECT
+        COALESCE(SUM(monto) FILTER (WHERE tipo = 'ingreso'), 0) AS ingresos,
+        COALESCE(SUM(monto) FILTER (WHERE tipo = 'egreso'), 0) AS egresos
+      FROM caja_movimientos
+      WHERE sesion_id = $1
+    `, [sesion.id]);
+
+    // Una venta sin pagos registrados se reembolsa en efectivo
+    const reembolsosResult = await db.query(`
+      SELECT COALESCE(vp.metodo_pago, 'efectivo') AS metodo_pago,
+        COALESCE(SUM(d.reembolso * COALESCE(vp.monto / NULLIF(pagado.total, 0), 1)), 0) AS reembolsos
+      FROM devoluciones d
+      LEFT JOIN venta_pagos vp ON vp.venta_id = d.venta_id
+      LEFT JOIN (
+        SELECT venta_id, SUM(monto) AS total FROM venta_pagos GROUP BY venta_id
+      ) pagado ON pagado.venta_id = d.venta_id
+      WHERE d.caja_sesion_id = $1 AND d.reembolso > 0
+      GROUP BY COALESCE(vp.metodo_pago, 'efectivo')
+    `, [sesion.id]);
+
+    const abonosResult = await db.query(`
+      SELECT metodo_pago, COUNT(*)::int AS cantidad_abonos, COALESCE(SUM(monto), 0) AS abonos
+      FROM abonos
+      WHERE caja_sesion_id = $1
+      GROUP BY metodo_pago
+    `, [sesion.id]);
+
+    const ingresos = parseFloat(movimientosResult.rows[0].ingresos);
+    const egresos = parseFloat(movimientosResult.rows[0].egresos);
+    const reembolsos = redondear(reembolsosResult.rows.reduce((sum, row) => sum + parseFloat(row.reembolsos), 0));
+    const montoInicial = parseFloat(sesion.monto_inicial) || 0;
+
+    const metodos = {};
+    const metodoDe = (nombre) => metodos[nombre] ||= { cantidad_ventas: 0, cobrado: 0, abonos: 0, reembolsos: 0, esperado: 0 };
+    for (const row of pagosResult.rows) {
+      const metodo = metodoDe(row.metodo_pago);
+      metodo.cantidad_ventas = row.cantidad_ventas;
+      metodo.cobrado = parseFloat(row.cobrado);
+    }
+
+    // Los abonos de clientes recibidos en la sesión también entran a la caja
+    for (const row of abonosResult.rows) {
+      metodoDe(row.metodo_pago).abonos = parseFloat(row.abonos);
+    }
+
+    for (const row of reembolsosResult.rows) {
+      metodoDe(row.metodo_pago).reembolsos = redondear(parseFloat(row.reembolsos));
+    }
+
+    metodoDe("efectivo");
+    for (const [nombre, metodo] of Object.entries(metodos)) {
+      metodo.esperado = metodo.cobrado + metodo.abonos - metodo.reembolsos;
+      if (nombre === "efectivo") metodo.esperado += montoInicial + ingresos - egresos;
+    }
+
+    const ventas = ventasResult.rows[0];
+
+    return {
+      cantidad_ventas: ventas.cantidad_ventas,
+      total_vendido: parseFloat(ventas.total_vendido),
+      deuda: parseFloat(ventas.deuda),
+      monto_inicial: montoInicial,
+      ingresos,
+      egresos,
+      reembolsos,
+      metodos
+    };
+  };
+
+  // Compara lo esperado contra lo contado. `conteo` es { metodo_pago: monto }.
+  const compararConteo = (resumen, conteo) => {
+    const metodos = new Set([...Object.keys(resumen.metodos), ...Object.keys(conteo)]);
+    const detalle = {};
+    let diferenciaTotal = 0;
+
+    for (const metodo of metodos) {
+      const esperado = resumen.metodos[metodo]?.esperado || 0;
+      const contado = parseFloat(conteo[metodo]) || 0;
+      const diferencia = contado - esperado;
+      detalle[metodo] = { esperado, contado, diferencia };
+      diferenciaTotal += diferencia;
+    }
+
+    return { detalle, diferencia: diferenciaTotal };
+  };
+
+  const obtenerSesionAbierta = async (db, userId) => {
+    const result = await db.query(
+      "SELECT * FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta'",
+      [userId]
+    );
+    return result.rows[0] || null;
+  };
+
+  // ===================== ABRIR CAJA =====================
+  // La caja se abre en una sucursal del usuario (`sucursal_id`, o la única que tiene
+  // asignada) y las ventas de la sesión quedan en esa sucursal
+  router.post("/abrir", verificarPermisosCaja("can_create_sales"), async (req, res) => {
+    const { monto_inicial = 0, sucursal_id } = req.body;
+    const montoInicial = parseFloat(monto_inicial);
+
+    console.log("🔓 APERTURA DE CAJA - Usuario:", req.user.id, "Monto inicial:", monto_inicial);
+
+    if (isNaN(montoInicial) || montoInicial < 0) {
+      return res.status(400).json({ error: "Monto inicial inválido" });
+    }
+
+    try {
+      const sesionAbierta = await obtenerSesionAbierta(pool, req.user.id);
+      if (sesionAbierta) {
+        return res.status(400).json({
+          error: "Ya tienes una caja abierta",
+          sesion_id: sesionAbierta.id
+        });
+      }
+
+      const sucursal = await sucursalDeOperacion(pool, req.user, sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ error: sucursal.error });
+      }
+
+      const result = await pool.query(
+        "INSERT INTO caja_sesiones (user_id, monto_inicial, sucursal_id) VALUES ($1, $2, $3) RETURNING *",
+        [req.user.id, montoInicial, sucursal.sucursal_id]
+      );
+
+      console.log("✅ Caja abierta con ID:", result.rows[0].id);
+      res.status(201).json({
+        ...result.rows[0],
+        sucursal_nombre: sucursal.sucursal_nombre,
+        message: "Caja abierta exitosamente"
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: "Ya tienes una caja abierta" });
+      }
+      console.error("❌ ERROR al abrir caja:", error.message);
+      res.status(500).json({ error: "Error al abrir caja", message: error.message });
+    }
+  });
+
+  // ===================== CAJA ACTUAL =====================
+  router.get("/actual", verificarPermisosCaja("can_create_sales"), async (req, res) => {
+    try {
+      const sesion = await obtenerSesionAbierta(pool, req.user.id);
+      if (!sesion) {
+        return res.status(404).json({ message: "No tienes una caja abierta" });
+      }
+
+      const resumen = await calcularResumen(pool, sesion);
+      res.json({ ...sesion, resumen });
+    } catch (error) {
+      console.error("❌ ERROR al obtener caja actual:", error.message);
+      res.status(500).json({ error: "Error al obtener caja actual", message: error.message });
+    }
+  });
+
+  // ===================== INGRESOS Y EGRESOS DE EFECTIVO =====================
+  router.post("/movimientos", verificarPermisosCaja("can_create_sales"), async (req, res) => {
+    const { tipo, monto, motivo } = req.body;
+
+    if (!["ingreso", "egreso"].includes(tipo)) {
+      return res.status(400).json({ error: "El tipo debe ser 'ingreso' o 'egreso'" });
+    }
+    if (!monto || isNaN(monto) || monto <= 0) {
+      return res.status(400).json({ error: "Monto inválido" });
+    }
+    if (!motivo || !motivo.trim()) {
+      return res.status(400).json({ error: "Debe indicar el motivo del movimiento" });
+    }
+
+    try {
+      const sesion = await obtenerSesionAbierta(pool, req.user.id);
+      if (!sesion) {
+        return res.status(400).json({ error: "No tienes una caja abierta" });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO caja_movimientos (sesion_id, tipo, monto, motivo, user_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [sesion.id, tipo, parseFloat(monto), motivo.trim(), req.user.id]
+      );
+
+      console.log(`✅ ${tipo} de caja registrado:`, result.rows[0]);
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error("❌ ERROR al registrar movimiento de caja:", error.message);
+      res.status(500).json({ error: "Error al registrar movimiento de caja", message: error.message });
+    }
+  });
+
+  // ===================== CERRAR CAJA =====================
+  // El administrador puede cerrar la caja de otro usuario indicando sesion_id.
+  router.post("/cerrar", verificarPermisosCaja("can_create_sales"), async (req, res) => {
+    const { conteo, sesion_id, observaciones = null } = req.body;
+
+    console.log("🔒 CIERRE DE CAJA - Usuario:", req.user.id, "Conteo:", conteo);
+
+    if (!conteo || typeof conteo !== "object" || Array.isArray(conteo)) {
+      return res.status(400).json({ error: "Debe indicar el conteo por método de pago" });
+    }
+    for (const [metodo, monto] of Object.entries(conteo)) {
+      if (isNaN(monto) || parseFloat(monto) < 0) {
+        return res.status(400).json({ error: `Monto contado inválido para ${metodo}` });
+      }
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      let sesionResult;
+      if (sesion_id && req.user.rol === "admin") {
+        sesionResult = await client.query(
+          "SELECT * FROM caja_sesiones WHERE id = $1 AND estado = 'abierta' FOR UPDATE",
+          [sesion_id]
+        );
+      } else {
+        sesionResult = await client.query(
+          "SELECT * FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta' FOR UPDATE",
+          [req.user.id]
+        );
+      }
+
+      if (sesionResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: "No hay una caja abierta para cerrar" });
+      }
+
+      const sesion = sesionResult.rows[0];
+      const resumen = await calcularResumen(client, sesion);
+      const { detalle, diferencia } = compararConteo(resumen, conteo);
+      const reporte = { ...resumen, conteo: detalle, diferencia };
+
+      const cierreResult = await client.query(
+        `UPDATE caja_sesiones
+         SET estado = 'cerrada', cerrada_en = NOW(), cerrada_por = $1,
+             conteo = $2, resumen = $3, diferencia = $4, observaciones = $5
+         WHERE id = $6
+         RETURNING *`,
+        [req.user.id, JSON.stringify(conteo), JSON.stringify(reporte), diferencia, observaciones, sesion.id]
+      );
+
+      await client.query('COMMIT');
+      console.log("✅ Caja cerrada:", { sesion_id: sesion.id, diferencia });
+
+      res.json({
+        success: true,
+        sesion: cierreResult.rows[0],
+        reporte,
+        message: "Caja cerrada exitosamente"
+      });
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+      console.error("❌ ERROR al cerrar caja:", error.message);
+      res.status(500).json({ error: "Error al cerrar caja", message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  });
+
+  // ===================== HISTORIAL DE SESIONES =====================
+  // `sucursal_id` filtra por sucursal; sin él el admin ve todas
+  router.get("/sesiones", verificarPermisosCaja("can_view_sales"), async (req, res) => {
+    try {
+      const filtro = await filtroSucursal(pool, req.user, req.query.sucursal_id);
+      if (filtro.error) {
+        return res.status(filtro.status).json({ error: filtro.error });
+      }
+
+      let query = `
+        SELECT s.*, u.nombre AS user_nombre, su.nombre AS sucursal_nombre
+        FROM caja_sesiones s
+        LEFT JOIN usuarios u ON s.user_id = u.id
+        LEFT JOIN sucursales su ON s.sucursal_id = su.id
+      `;
+      const params = [];
+      const conditions = [];
+
+      if (req.user.rol === "vendedor") {
+        params.push(req.user.id);
+        conditions.push(`s.user_id = $${params.length}`);
+      }
+      if (filtro.sucursales) {
+        params.push(filtro.sucursales);
+        conditions.push(`s.sucursal_id = ANY($${params.length}::int[])`);
+      }
+
+      if (conditions.length > 0) {
+        query += " WHERE " + conditions.join(" AND ");
+      }
+      query += " ORDER BY s.abierta_en DESC";
+
+      const result = await pool.query(query, params);
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ Error al obtener sesiones de caja:", error.message);
+      res.status(500).json({ error: "Error al obtener sesiones de caja", message: error.message });
+    }
+  });
+
+  router.get("/sesiones/:id", verificarPermisosCaja("can_view_sales"), async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de sesión inválido" });
+    }
+
+    try {
+      const sesionResult = await pool.query(`
+        SELECT s.*, u.nombre AS user_nombre, su.nombre AS sucursal_nombre
+        FROM caja_sesiones s
+        LEFT JOIN usuarios u ON s.user_id = u.id
+        LEFT JOIN sucursales su ON s.sucursal_id = su.id
+        WHERE s.id = $1
+      `, [id]);
+
+      if (sesionResult.rows.length === 0) {
+        return res.status(404).json({ error: "Sesión de caja no encontrada" });
+      }
+
+      const sesion = sesionResult.rows[0];
+      if (req.user.rol !== "admin" && sesion.user_id !== req.user.id) {
+        return res.status(403).json({ error: "No puedes ver sesiones de otros usuarios" });
+      }
+
+      const movimientosResult = await pool.query(
+        "SELECT * FROM caja_movimientos WHERE sesion_id = $1 ORDER BY fecha ASC",
+        [id]
+      );
+
+      // Las sesiones cerradas conservan el reporte calculado al momento del cierre
+      const resumen = sesion.estado === "cerrada" ? sesion.resumen : await calcularResumen(pool, sesion);
+
+      res.json({ ...sesion, resumen, movimientos: movimientosResult.rows });
+    } catch (error) {
+      console.error("❌ Error al obtener sesión de caja:", error.message);
+      res.status(500).json({ error: "Error al obtener sesión de caja", message: error.message });
+    }
+  });
+
+  return router;
+};
+
+export default createCajaRouter;
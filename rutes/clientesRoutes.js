@@ -0,0 +1,391 @@
+import express from "express";
+
+const TOLERANCIA_MONTO = 0.01;
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+const createClientesRouter = (pool) => {
+  const router = express.Router();
+
+  // ===================== MIDDLEWARE DE VERIFICACIÓN DE PERMISOS =====================
+  const verificarPermisosClientes = (permisoRequerido) => {
+    return async (req, res, next) => {
+      console.log("🔍 Verificando permisos para clientes:", req.user);
+
+      if (req.user.rol === "admin") {
+        return next();
+      }
+
+      if (req.user.rol === "vendedor") {
+        try {
+          const result = await pool.query(
+            "SELECT permissions FROM user_permissions WHERE user_id = $1",
+            [req.user.id]
+          );
+
+          let userPermissions = {};
+
+          if (result.rows.length > 0) {
+            userPermissions = result.rows[0].permissions;
+          } else {
+            userPermissions = {
+              can_view_products: true,
+              can_edit_products: false,
+              can_delete_products: false,
+              can_create_products: false,
+              can_view_sales: true,
+              can_create_sales: true,
+              can_view_customers: true,
+              can_edit_customers: false,
+              can_view_reports: false,
+              can_manage_stock: false,
+              can_void_sales: false,
+              can_override_prices: false,
+              can_override_credit: false,
+              can_count_inventory: false
+            };
+          }
+
+          if (userPermissions[permisoRequerido]) {
+            next();
+          } else {
+            console.log(`❌ Permiso ${permisoRequerido} denegado para clientes`);
+            res.status(403).json({
+              message: "No tienes permisos para realizar esta acción"
+            });
+          }
+        } catch (error) {
+          console.error("Error al verificar permisos:", error);
+          return res.status(500).json({ error: "Error interno del servidor" });
+        }
+      } else {
+        console.log(`❌ Rol no reconocido: ${req.user.rol}`);
+        res.status(403).json({ message: "Acceso denegado" });
+      }
+    };
+  };
+
+  const obtenerCliente = async (db, id, bloquear = false) => {
+    const result = await db.query(
+      `SELECT id, nombre, rut, telefono, saldo_pendiente, limite_credito, plazo_dias FROM clientes WHERE id = $1${bloquear ? " FOR UPDATE" : ""}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  // ===================== CONDICIONES DE CRÉDITO =====================
+  // `limite_credito` null deja al cliente sin límite
+  router.put("/:id(\\d+)/credito", verificarPermisosClientes("can_edit_customers"), async (req, res) => {
+    const { id } = req.params;
+    const { limite_credito = null, plazo_dias } = req.body;
+
+    if (limite_credito != null && (isNaN(limite_credito) || parseFloat(limite_credito) < 0)) {
+      return res.status(400).json({ error: "El límite de crédito no puede ser negativo" });
+    }
+    if (plazo_dias == null || !Number.isInteger(Number(plazo_dias)) || Number(plazo_dias) < 0) {
+      return res.status(400).json({ error: "El plazo de pago debe ser un número de días mayor o igual a cero" });
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE clientes SET limite_credito = $1, plazo_dias = $2 WHERE id = $3
+         RETURNING id, nombre, saldo_pendiente, limite_credito, plazo_dias`,
+        [limite_credito != null ? parseFloat(limite_credito) : null, Number(plazo_dias), id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Cliente no encontrado" });
+      }
+
+      console.log("✅ Condiciones de crédito actualizadas:", result.rows[0]);
+      res.json({ ...result.rows[0], message: "Condiciones de crédito actualizadas" });
+    } catch (error) {
+      console.error("❌ ERROR al actualizar condiciones de crédito:", error.message);
+      res.status(500).json({ error: "Error al actualizar condiciones de crédito", message: error.message });
+    }
+  });
+
+  // ===================== REGISTRAR ABONO =====================
+  // El abono se aplica a las ventas con deuda del cliente, partiendo por la más antigua.
+  // Baja el saldo del cliente, así que pide el mismo permiso que pagar-deuda en ventas.
+  router.post("/:id(\\d+)/abonos", verificarPermisosClientes("can_edit_customers"), async (req, res) => {
+    const { id } = req.params;
+    const { monto, metodo_pago = "efectivo", observacion = null } = req.body;
+
+    console.log("💳 SOLICITUD DE ABONO - Cliente ID:", id, "Monto:", monto, "Usuario:", req.user);
+
+    if (!monto || isNaN(monto) || monto <= 0) {
+      return res.status(400).json({ error: "Monto inválido" });
+    }
+    if (!metodo_pago || typeof metodo_pago !== "string") {
+      return res.status(400).json({ error: "Debe indicar el método de pago" });
+    }
+
+    const montoAbono = redondear(parseFloat(monto));
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const cliente = await obtenerCliente(client, id, true);
+      if (!cliente) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Cliente no encontrado" });
+      }
+
+      const ventasResult = await client.query(
+        `SELECT id, fecha, folio, tipo_documento, deuda
+         FROM ventas
+         WHERE cliente_id = $1 AND deuda > 0 AND COALESCE(estado, 'completada') <> 'anulada'
+         ORDER BY fecha ASC, id ASC
+         FOR UPDATE`,
+        [id]
+      );
+
+      const deudaTotal = ventasResult.rows.reduce((suma, venta) => suma + parseFloat(venta.deuda), 0);
+      if (deudaTotal <= 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: "El cliente no tiene deuda pendiente" });
+      }
+      if (montoAbono > deudaTotal + TOLERANCIA_MONTO) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: "El abono supera la deuda pendiente del cliente",
+          deuda_pendiente: redondear(deudaTotal)
+        });
+      }
+
+      // El abono entra a la caja abierta de quien lo recibe, si la tiene
+      const sesionResult = await client.query(
+        "SELECT id FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta'",
+        [req.user.id]
+      );
+      const cajaSesionId = sesionResult.rows[0]?.id || null;
+
+      const abonoResult = await client.query(
+        `INSERT INTO abonos (cliente_id, monto, metodo_pago, user_id, caja_sesion_id, observacion)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, fecha`,
+        [id, montoAbono, metodo_pago, req.user.id, cajaSesionId, observacion]
+      );
+      const abono = abonoResult.rows[0];
+
+      let restante = montoAbono;
+      const aplicaciones = [];
+      for (const venta of ventasResult.rows) {
+        if (restante <= 0) break;
+
+        const deudaVenta = parseFloat(venta.deuda);
+        const aplicado = redondear(Math.min(restante, deudaVenta));
+
+        await client.query(
+          "INSERT INTO abono_aplicaciones (abono_id, venta_id, monto) VALUES ($1, $2, $3)",
+          [abono.id, venta.id, aplicado]
+        );
+        await client.query(
+          "UPDATE ventas SET deuda = GREATEST(deuda - $1, 0) WHERE id = $2",
+          [aplicado, venta.id]
+        );
+
+        aplicaciones.push({
+          venta_id: venta.id,
+          tipo_documento: venta.tipo_documento,
+          folio: venta.folio,
+          deuda_anterior: deudaVenta,
+          monto_aplicado: aplicado,
+          deuda_actualizada: redondear(Math.max(deudaVenta - aplicado, 0))
+        });
+        restante = redondear(restante - aplicado);
+      }
+
+      await client.query(
+        "UPDATE clientes SET saldo_pendiente = GREATEST(saldo_pendiente - $1, 0) WHERE id = $2",
+        [montoAbono, id]
+      );
+
+      await client.query('COMMIT');
+      console.log("✅ Abono registrado:", { abono_id: abono.id, cliente_id: id, monto: montoAbono });
+
+      res.status(201).json({
+        success: true,
+        abono_id: abono.id,
+        fecha: abono.fecha,
+        monto: montoAbono,
+        metodo_pago,
+        caja_sesion_id: cajaSesionId,
+        aplicaciones,
+        saldo_anterior: parseFloat(cliente.saldo_pendiente) || 0,
+        saldo_actualizado: redondear(Math.max((parseFloat(cliente.saldo_pendiente) || 0) - montoAbono, 0)),
+        message: "Abono registrado exitosamente"
+      });
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida por error");
+      }
+      console.error("❌ ERROR al registrar abono:", error.message);
+      res.status(500).json({ error: "Error al registrar abono", message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  });
+
+  // ===================== HISTORIAL DE ABONOS =====================
+  router.get("/:id(\\d+)/abonos", verificarPermisosClientes("can_view_customers"), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const cliente = await obtenerCliente(pool, id);
+      if (!cliente) {
+        return res.status(404).json({ error: "Cliente no encontrado" });
+      }
+
+      const result = await pool.query(`
+        SELECT
+          a.id,
+          a.fecha,
+          a.monto,
+          a.metodo_pago,
+          a.observacion,
+          a.caja_sesion_id,
+          a.user_id,
+          u.nombre AS user_nombre,
+          COALESCE(
+            json_agg(
+              json_build_object(
+                'venta_id', aa.venta_id,
+                'folio', v.folio,
+                'tipo_documento', v.tipo_documento,
+                'monto', aa.monto
+              ) ORDER BY aa.id
+            ) FILTER (WHERE aa.id IS NOT NULL),
+            '[]'
+          ) AS aplicaciones
+        FROM abonos a
+        LEFT JOIN usuarios u ON a.user_id = u.id
+        LEFT JOIN abono_aplicaciones aa ON aa.abono_id = a.id
+        LEFT JOIN ventas v ON aa.venta_id = v.id
+        WHERE a.cliente_id = $1
+        GROUP BY a.id, u.nombre
+        ORDER BY a.fecha DESC, a.id DESC
+      `, [id]);
+
+      res.json(result.rows.map(abono => ({
+        ...abono,
+        monto: parseFloat(abono.monto),
+        aplicaciones: abono.aplicaciones.map(a => ({ ...a, monto: parseFloat(a.monto) }))
+      })));
+    } catch (error) {
+      console.error("❌ ERROR al obtener abonos:", error.message);
+      res.status(500).json({ error: "Error al obtener abonos", message: error.message });
+    }
+  });
+
+  // ===================== ESTADO DE CUENTA =====================
+  // Cargos (deuda con que quedó cada venta) y abonos (pagos y deuda revertida por
+  // anulaciones o devoluciones) en orden cronológico, con saldo acumulado.
+  // La deuda original de una venta se reconstruye como la deuda actual más lo
+  // abonado y lo revertido desde entonces.
+  router.get("/:id(\\d+)/estado-cuenta", verificarPermisosClientes("can_view_customers"), async (req, res) => {
+    const { id } = req.params;
+    const { desde, hasta } = req.query;
+
+    if ((desde && isNaN(Date.parse(desde))) || (hasta && isNaN(Date.parse(hasta)))) {
+      return res.status(400).json({ error: "Rango de fechas inválido" });
+    }
+
+    // `hasta` sin hora incluye el día completo
+    let fin = null;
+    if (hasta) {
+      const fecha = new Date(hasta);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(hasta)) fecha.setDate(fecha.getDate() + 1);
+      fin = fecha.toISOString();
+    }
+    const inicio = desde ? new Date(desde).toISOString() : null;
+
+    try {
+      const cliente = await obtenerCliente(pool, id);
+      if (!cliente) {
+        return res.status(404).json({ error: "Cliente no encontrado" });
+      }
+
+      const result = await pool.query(`
+        WITH movimientos AS (
+          SELECT
+            v.fecha,
+            'venta' AS tipo,
+            v.id AS venta_id,
+            NULL::int AS abono_id,
+            v.folio,
+            v.tipo_documento,
+            NULL AS metodo_pago,
+            v.deuda
+              + COALESCE((SELECT SUM(aa.monto) FROM abono_aplicaciones aa WHERE aa.venta_id = v.id), 0)
+              + COALESCE((SELECT SUM(d.deuda_revertida) FROM devoluciones d WHERE d.venta_id = v.id), 0) AS cargo,
+            0 AS abono
+          FROM ventas v
+          WHERE v.cliente_id = $1
+
+          UNION ALL
+
+          SELECT a.fecha, 'abono', NULL, a.id, NULL, NULL, a.metodo_pago, 0, a.monto
+          FROM abonos a
+          WHERE a.cliente_id = $1
+
+          UNION ALL
+
+          SELECT d.fecha, d.tipo, d.venta_id, NULL, v.folio, v.tipo_documento, NULL, 0, d.deuda_revertida
+          FROM devoluciones d
+          JOIN ventas v ON d.venta_id = v.id
+          WHERE v.cliente_id = $1 AND d.deuda_revertida > 0
+        )
+        SELECT * FROM movimientos
+        WHERE cargo > 0 OR abono > 0
+        ORDER BY fecha, abono_id NULLS FIRST, venta_id
+      `, [id]);
+
+      let saldo = 0;
+      let saldoInicial = 0;
+      let totalCargos = 0;
+      let totalAbonos = 0;
+      const movimientos = [];
+
+      for (const fila of result.rows) {
+        const cargo = parseFloat(fila.cargo) || 0;
+        const abono = parseFloat(fila.abono) || 0;
+        saldo = redondear(saldo + cargo - abono);
+
+        const fecha = new Date(fila.fecha).toISOString();
+        if (inicio && fecha < inicio) {
+          saldoInicial = saldo;
+          continue;
+        }
+        if (fin && fecha >= fin) break;
+
+        totalCargos += cargo;
+        totalAbonos += abono;
+        movimientos.push({ ...fila, cargo, abono, saldo });
+      }
+
+      res.json({
+        cliente: { ...cliente, saldo_pendiente: parseFloat(cliente.saldo_pendiente) || 0 },
+        desde: inicio,
+        hasta: fin,
+        saldo_inicial: saldoInicial,
+        total_cargos: redondear(totalCargos),
+        total_abonos: redondear(totalAbonos),
+        saldo_final: movimientos.length > 0 ? movimientos[movimientos.length - 1].saldo : saldoInicial,
+        movimientos
+      });
+    } catch (error) {
+      console.error("❌ ERROR al obtener estado de cuenta:", error.message);
+      res.status(500).json({ error: "Error al obtener estado de cuenta", message: error.message });
+    }
+  });
+
+  return router;
+};
+
+export default createClientesRouter;
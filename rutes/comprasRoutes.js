@@ -0,0 +1,639 @@
+import express from "express";
+import { normalizarRut, validarRut } from "../utils/rut.js";
+import { costoPromedioPonderado, moverStock } from "../utils/kardex.js";
+import { filtroSucursal, obtenerSucursalesUsuario, sucursalDeOperacion } from "../utils/sucursales.js";
+
+// Estados de una orden de compra: borrador → enviada → parcial → recibida
+const ESTADOS_ORDEN = ["borrador", "enviada", "parcial", "recibida", "cancelada"];
+const CAMPOS_PROVEEDOR = ["nombre", "rut", "contacto", "telefono", "email", "direccion"];
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// Errores de validación dentro de una transacción; la ruta los convierte en respuesta
+const errorCompra = (status, message, detalle = {}) =>
+  Object.assign(new Error(message), { status, detalle });
+
+// Valida y normaliza los ítems de una orden. Devuelve { items } o { error }.
+const normalizarItemsOrden = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "La orden debe tener al menos un producto" };
+  }
+
+  const normalizados = [];
+  for (const item of items) {
+    const cantidad = parseFloat(item?.cantidad);
+    const costo = parseFloat(item?.costo_unitario);
+    if (!item?.producto_id || !(cantidad > 0) || isNaN(costo) || costo < 0) {
+      return { error: "Cada producto debe indicar producto_id, una cantidad mayor a cero y su costo unitario" };
+    }
+    normalizados.push({ producto_id: parseInt(item.producto_id), cantidad, costo_unitario: costo });
+  }
+  return { items: normalizados };
+};
+
+const createComprasRouter = (pool) => {
+  const router = express.Router();
+
+  // ===================== MIDDLEWARE DE VERIFICACIÓN DE PERMISOS =====================
+  const verificarPermisosCompras = (permisoRequerido) => {
+    return async (req, res, next) => {
+      console.log("🔍 Verificando permisos para compras:", req.user);
+
+      if (req.user.rol === "admin") {
+        return next();
+      }
+
+      if (req.user.rol === "vendedor") {
+        try {
+          const result = await pool.query(
+            "SELECT permissions FROM user_permissions WHERE user_id = $1",
+            [req.user.id]
+          );
+
+          // Por defecto los vendedores no gestionan compras
+          const userPermissions = result.rows.length > 0
+            ? result.rows[0].permissions
+            : { can_manage_stock: false };
+
+          if (userPermissions[permisoRequerido]) {
+            next();
+          } else {
+            console.log(`❌ Permiso ${permisoRequerido} denegado para compras`);
+            res.status(403).json({
+              message: "No tienes permisos para realizar esta acción"
+            });
+          }
+        } catch (error) {
+          console.error("Error al verificar permisos:", error);
+          return res.status(500).json({ error: "Error interno del servidor" });
+        }
+      } else {
+        console.log(`❌ Rol no reconocido: ${req.user.rol}`);
+        res.status(403).json({ message: "Acceso denegado" });
+      }
+    };
+  };
+
+  router.use(verificarPermisosCompras("can_manage_stock"));
+
+  // ===================== PROVEEDORES =====================
+  const validarProveedor = (datos) => {
+    if (!datos.nombre || !datos.nombre.trim()) {
+      return "El nombre del proveedor es requerido";
+    }
+    if (datos.rut && !validarRut(datos.rut)) {
+      return "El RUT del proveedor no es válido";
+    }
+    return null;
+  };
+
+  router.get("/proveedores", async (req, res) => {
+    const { incluir_inactivos } = req.query;
+    try {
+      const result = await pool.query(`
+        SELECT * FROM proveedores
+        ${incluir_inactivos === "true" ? "" : "WHERE activo"}
+        ORDER BY nombre
+      `);
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener proveedores:", error.message);
+      res.status(500).json({ error: "Error al obtener proveedores", message: error.message });
+    }
+  });
+
+  router.post("/proveedores", async (req, res) => {
+    const errorValidacion = validarProveedor(req.body);
+    if (errorValidacion) {
+      return res.status(400).json({ error: errorValidacion });
+    }
+
+    const { nombre, rut, contacto = null, telefono = null, email = null, direccion = null } = req.body;
+    try {
+      const result = await pool.query(
+        `INSERT INTO proveedores (nombre, rut, contacto, telefono, email, direccion)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [nombre.trim(), normalizarRut(rut), contacto, telefono, email, direccion]
+      );
+      console.log("✅ Proveedor creado:", result.rows[0].id);
+      res.status(201).json({ ...result.rows[0], message: "Proveedor creado exitosamente" });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: "El RUT ya está registrado" });
+      }
+      console.error("❌ ERROR al crear proveedor:", error.message);
+      res.status(500).json({ error: "Error al crear proveedor", message: error.message });
+    }
+  });
+
+  router.put("/proveedores/:id", async (req, res) => {
+    const cambios = Object.fromEntries(
+      Object.entries(req.body).filter(([campo]) => CAMPOS_PROVEEDOR.includes(campo) || campo === "activo")
+    );
+    if (Object.keys(cambios).length === 0) {
+      return res.status(400).json({ error: "No hay datos para actualizar" });
+    }
+    if ("nombre" in cambios || "rut" in cambios) {
+      const errorValidacion = validarProveedor({ nombre: "-", ...cambios });
+      if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+      }
+    }
+    if ("rut" in cambios) cambios.rut = normalizarRut(cambios.rut);
+    if ("nombre" in cambios) cambios.nombre = cambios.nombre.trim();
+    if ("activo" in cambios) cambios.activo = Boolean(cambios.activo);
+
+    const campos = Object.keys(cambios);
+    try {
+      const result = await pool.query(
+        `UPDATE proveedores SET ${campos.map((campo, i) => `${campo} = $${i + 1}`).join(", ")}
+         WHERE id = $${campos.length + 1}
+         RETURNING *`,
+        [...Object.values(cambios), req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Proveedor no encontrado" });
+      }
+      res.json({ ...result.rows[0], message: "Proveedor actualizado" });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: "El RUT ya está registrado" });
+      }
+      console.error("❌ ERROR al actualizar proveedor:", error.message);
+      res.status(500).json({ error: "Error al actualizar proveedor", message: error.message });
+    }
+  });
+
+  // Un proveedor con órdenes no se borra: se desactiva para conservar el historial
+  router.delete("/proveedores/:id", async (req, res) => {
+    const { id } = req.params;
+    try {
+      const ordenesResult = await pool.query(
+        "SELECT COUNT(*)::int AS cantidad FROM ordenes_compra WHERE proveedor_id = $1",
+        [id]
+      );
+
+      const result = ordenesResult.rows[0].cantidad > 0
+        ? await pool.query("UPDATE proveedores SET activo = FALSE WHERE id = $1 RETURNING id", [id])
+        : await pool.query("DELETE FROM proveedores WHERE id = $1 RETURNING id", [id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Proveedor no encontrado" });
+      }
+      res.json({
+        success: true,
+        desactivado: ordenesResult.rows[0].cantidad > 0,
+        message: ordenesResult.rows[0].cantidad > 0
+          ? "El proveedor tiene órdenes de compra; se desactivó en lugar de eliminarlo"
+          : "Proveedor eliminado"
+      });
+    } catch (error) {
+      console.error("❌ ERROR al eliminar proveedor:", error.message);
+      res.status(500).json({ error: "Error al eliminar proveedor", message: error.message });
+    }
+  });
+
+  // ===================== ÓRDENES DE COMPRA =====================
+  const obtenerOrden = async (db, id, bloquear = false) => {
+    const result = await db.query(
+      `SELECT * FROM ordenes_compra WHERE id = $1${bloquear ? " FOR UPDATE" : ""}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Reemplaza los ítems de una orden en borrador y recalcula su total
+  const guardarItemsOrden = async (client, ordenId, items) => {
+    await client.query("DELETE FROM orden_compra_detalles WHERE orden_id = $1", [ordenId]);
+
+    for (const item of items) {
+      const productoResult = await client.query("SELECT id FROM productos WHERE id = $1", [item.producto_id]);
+      if (productoResult.rows.length === 0) {
+        throw errorCompra(404, `Producto con ID ${item.producto_id} no encontrado`);
+      }
+      await client.query(
+        `INSERT INTO orden_compra_detalles (orden_id, producto_id, cantidad, costo_unitario)
+         VALUES ($1, $2, $3, $4)`,
+        [ordenId, item.producto_id, item.cantidad, item.costo_unitario]
+      );
+    }
+
+    const total = redondear(items.reduce((sum, item) => sum + item.cantidad * item.costo_unitario, 0));
+    await client.query(
+      "UPDATE ordenes_compra SET total = $1, updated_at = NOW() WHERE id = $2",
+      [total, ordenId]
+    );
+    return total;
+  };
+
+  // Ejecuta `accion(client)` en una transacción y responde con su resultado
+  const enTransaccion = (nombre, accion) => async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const { status = 200, body } = await accion(client, req);
+
+      await client.query('COMMIT');
+      res.status(status).json(body);
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error(`❌ ERROR al ${nombre}:`, error.message);
+      res.status(500).json({ error: `Error al ${nombre}`, message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+
+  // `sucursal_id` filtra por la sucursal que recibe la mercadería
+  router.get("/ordenes", async (req, res) => {
+    const { estado, proveedor_id } = req.query;
+
+    if (estado && !ESTADOS_ORDEN.includes(estado)) {
+      return res.status(400).json({ error: `Estado inválido. Valores permitidos: ${ESTADOS_ORDEN.join(", ")}` });
+    }
+
+    const condiciones = [];
+    const params = [];
+    if (estado) {
+      params.push(estado);
+      condiciones.push(`o.estado = $${params.length}`);
+    }
+    if (proveedor_id) {
+      params.push(parseInt(proveedor_id));
+      condiciones.push(`o.proveedor_id = $${params.length}`);
+    }
+
+    try {
+      const filtro = await filtroSucursal(pool, req.user, req.query.sucursal_id);
+      if (filtro.error) {
+        return res.status(filtro.status).json({ error: filtro.error });
+      }
+      if (filtro.sucursales) {
+        params.push(filtro.sucursales);
+        condiciones.push(`o.sucursal_id = ANY($${params.length}::int[])`);
+      }
+
+      const result = await pool.query(`
+        SELECT o.*, p.nombre AS proveedor_nombre, u.nombre AS user_nombre, s.nombre AS sucursal_nombre
+        FROM ordenes_compra o
+        JOIN proveedores p ON o.proveedor_id = p.id
+        LEFT JOIN usuarios u ON o.user_id = u.id
+        LEFT JOIN sucursales s ON o.sucursal_id = s.id
+        ${condiciones.length > 0 ? `WHERE ${condiciones.join(" AND ")}` : ""}
+        ORDER BY o.created_at DESC
+      `, params);
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener órdenes de compra:", error.message);
+      res.status(500).json({ error: "Error al obtener órdenes de compra", message: error.message });
+    }
+  });
+
+  router.get("/ordenes/:id", async (req, res) => {
+    const { id } = req.params;
+    try {
+      const ordenResult = await pool.query(`
+        SELECT o.*, p.nombre AS proveedor_nombre, p.rut AS proveedor_rut, s.nombre AS sucursal_nombre
+        FROM ordenes_compra o
+        JOIN proveedores p ON o.proveedor_id = p.id
+        LEFT JOIN sucursales s ON o.sucursal_id = s.id
+        WHERE o.id = $1
+      `, [id]);
+
+      if (ordenResult.rows.length === 0) {
+        return res.status(404).json({ error: "Orden de compra no encontrada" });
+      }
+
+      const detallesResult = await pool.query(`
+        SELECT d.*, pr.name AS producto_nombre, pr.sku,
+          d.cantidad - d.cantidad_recibida AS cantidad_pendiente
+        FROM orden_compra_detalles d
+        JOIN productos pr ON d.producto_id = pr.id
+        WHERE d.orden_id = $1
+        ORDER BY d.id
+      `, [id]);
+
+      const recepcionesResult = await pool.query(`
+        SELECT r.*, u.nombre AS user_nombre,
+          COALESCE(SUM(rd.cantidad * rd.costo_unitario), 0) AS total_recibido
+        FROM recepciones r
+        LEFT JOIN usuarios u ON r.user_id = u.id
+        LEFT JOIN recepcion_detalles rd ON rd.recepcion_id = r.id
+        WHERE r.orden_id = $1
+        GROUP BY r.id, u.nombre
+        ORDER BY r.fecha
+      `, [id]);
+
+      res.json({
+        ...ordenResult.rows[0],
+        detalles: detallesResult.rows,
+        recepciones: recepcionesResult.rows
+      });
+    } catch (error) {
+      console.error("❌ ERROR al obtener orden de compra:", error.message);
+      res.status(500).json({ error: "Error al obtener orden de compra", message: error.message });
+    }
+  });
+
+  // La mercadería entra en `sucursal_id` (o en la única sucursal del usuario)
+  router.post("/ordenes", enTransaccion("crear orden de compra", async (client, req) => {
+    const { proveedor_id, fecha_esperada = null, observacion = null } = req.body;
+
+    const { items, error } = normalizarItemsOrden(req.body.items);
+    if (error) {
+      throw errorCompra(400, error);
+    }
+    if (fecha_esperada && isNaN(Date.parse(fecha_esperada))) {
+      throw errorCompra(400, "Fecha esperada inválida");
+    }
+
+    const proveedorResult = await client.query(
+      "SELECT id, activo FROM proveedores WHERE id = $1",
+      [proveedor_id]
+    );
+    if (proveedorResult.rows.length === 0) {
+      throw errorCompra(404, "Proveedor no encontrado");
+    }
+    if (!proveedorResult.rows[0].activo) {
+      throw errorCompra(400, "El proveedor está desactivado");
+    }
+
+    const sucursal = await sucursalDeOperacion(client, req.user, req.body.sucursal_id);
+    if (sucursal.error) {
+      throw errorCompra(sucursal.status, sucursal.error);
+    }
+
+    const ordenResult = await client.query(
+      `INSERT INTO ordenes_compra (proveedor_id, fecha_esperada, observacion, user_id, sucursal_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [proveedor_id, fecha_esperada, observacion, req.user.id, sucursal.sucursal_id]
+    );
+    const orden = ordenResult.rows[0];
+    const total = await guardarItemsOrden(client, orden.id, items);
+
+    console.log("✅ Orden de compra creada:", orden.id);
+    return { status: 201, body: { ...orden, total, message: "Orden de compra creada" } };
+  }));
+
+  // Solo las órdenes en borrador se pueden editar
+  router.put("/ordenes/:id", enTransaccion("actualizar orden de compra", async (client, req) => {
+    const orden = await obtenerOrden(client, req.params.id, true);
+    if (!orden) {
+      throw errorCompra(404, "Orden de compra no encontrada");
+    }
+    if (orden.estado !== "borrador") {
+      throw errorCompra(409, "Solo se pueden editar órdenes en borrador", { estado: orden.estado });
+    }
+
+    const { fecha_esperada = orden.fecha_esperada, observacion = orden.observacion } = req.body;
+    if (fecha_esperada && isNaN(Date.parse(fecha_esperada))) {
+      throw errorCompra(400, "Fecha esperada inválida");
+    }
+
+    let sucursalId = orden.sucursal_id;
+    if (req.body.sucursal_id !== undefined) {
+      const sucursal = await sucursalDeOperacion(client, req.user, req.body.sucursal_id);
+      if (sucursal.error) {
+        throw errorCompra(sucursal.status, sucursal.error);
+      }
+      sucursalId = sucursal.sucursal_id;
+    }
+
+    await client.query(
+      "UPDATE ordenes_compra SET fecha_esperada = $1, observacion = $2, sucursal_id = $3, updated_at = NOW() WHERE id = $4",
+      [fecha_esperada, observacion, sucursalId, orden.id]
+    );
+
+    let total = parseFloat(orden.total);
+    if (req.body.items) {
+      const { items, error } = normalizarItemsOrden(req.body.items);
+      if (error) {
+        throw errorCompra(400, error);
+      }
+      total = await guardarItemsOrden(client, orden.id, items);
+    }
+
+    return {
+      body: { ...orden, fecha_esperada, observacion, sucursal_id: sucursalId, total, message: "Orden de compra actualizada" }
+    };
+  }));
+
+  router.post("/ordenes/:id/enviar", enTransaccion("enviar orden de compra", async (client, req) => {
+    const orden = await obtenerOrden(client, req.params.id, true);
+    if (!orden) {
+      throw errorCompra(404, "Orden de compra no encontrada");
+    }
+    if (orden.estado !== "borrador") {
+      throw errorCompra(409, "Solo se pueden enviar órdenes en borrador", { estado: orden.estado });
+    }
+
+    const result = await client.query(
+      "UPDATE ordenes_compra SET estado = 'enviada', enviada_en = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *",
+      [orden.id]
+    );
+    return { body: { ...result.rows[0], message: "Orden de compra enviada" } };
+  }));
+
+  // Una orden con mercadería recibida ya no se cancela
+  router.post("/ordenes/:id/cancelar", enTransaccion("cancelar orden de compra", async (client, req) => {
+    const orden = await obtenerOrden(client, req.params.id, true);
+    if (!orden) {
+      throw errorCompra(404, "Orden de compra no encontrada");
+    }
+    if (!["borrador", "enviada"].includes(orden.estado)) {
+      throw errorCompra(409, "Solo se pueden cancelar órdenes sin recepciones", { estado: orden.estado });
+    }
+
+    await client.query(
+      "UPDATE ordenes_compra SET estado = 'cancelada', updated_at = NOW() WHERE id = $1",
+      [orden.id]
+    );
+    return { body: { success: true, message: "Orden de compra cancelada" } };
+  }));
+
+  // ===================== RECEPCIÓN DE MERCADERÍA =====================
+  // Cada ítem recibido suma stock (movimiento 'compra' en el kardex) y recalcula el
+  // costo del producto por promedio ponderado. `items` = [{ detalle_id | producto_id,
+  // cantidad, costo_unitario? }]; sin costo se usa el de la orden.
+  router.post("/ordenes/:id/recepciones", enTransaccion("recibir mercadería", async (client, req) => {
+    const { items, documento_proveedor = null, observacion = null } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw errorCompra(400, "Debe indicar los productos recibidos");
+    }
+
+    const orden = await obtenerOrden(client, req.params.id, true);
+    if (!orden) {
+      throw errorCompra(404, "Orden de compra no encontrada");
+    }
+    if (!["enviada", "parcial"].includes(orden.estado)) {
+      throw errorCompra(409, "Solo se puede recibir mercadería de órdenes enviadas", { estado: orden.estado });
+    }
+    if (req.user.rol !== "admin" && !(await obtenerSucursalesUsuario(client, req.user.id)).includes(orden.sucursal_id)) {
+      throw errorCompra(403, "La orden se recibe en una sucursal que no tienes asignada", { sucursal_id: orden.sucursal_id });
+    }
+
+    const detallesResult = await client.query(
+      "SELECT * FROM orden_compra_detalles WHERE orden_id = $1 ORDER BY id FOR UPDATE",
+      [orden.id]
+    );
+    const detalles = detallesResult.rows;
+
+    const recepcionResult = await client.query(
+      `INSERT INTO recepciones (orden_id, user_id, documento_proveedor, observacion)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, fecha`,
+      [orden.id, req.user.id, documento_proveedor, observacion]
+    );
+    const recepcion = recepcionResult.rows[0];
+
+    const recibidos = [];
+    for (const item of items) {
+      const detalle = item.detalle_id
+        ? detalles.find(d => d.id === parseInt(item.detalle_id))
+        : detalles.find(d => d.producto_id === parseInt(item.producto_id)
+            && parseFloat(d.cantidad) > parseFloat(d.cantidad_recibida));
+      if (!detalle) {
+        throw errorCompra(400, "Producto no incluido en la orden o ya recibido", {
+          detalle_id: item.detalle_id,
+          producto_id: item.producto_id
+        });
+      }
+
+      const cantidad = parseFloat(item.cantidad);
+      const pendiente = parseFloat(detalle.cantidad) - parseFloat(detalle.cantidad_recibida);
+      if (!(cantidad > 0)) {
+        throw errorCompra(400, "La cantidad recibida debe ser mayor a cero", { detalle_id: detalle.id });
+      }
+      if (cantidad > pendiente) {
+        throw errorCompra(400, "La cantidad recibida supera lo pendiente de la orden", {
+          detalle_id: detalle.id,
+          producto_id: detalle.producto_id,
+          cantidad_pendiente: pendiente
+        });
+      }
+
+      const costo = item.costo_unitario != null ? parseFloat(item.costo_unitario) : parseFloat(detalle.costo_unitario);
+      if (isNaN(costo) || costo < 0) {
+        throw errorCompra(400, "Costo unitario inválido", { detalle_id: detalle.id });
+      }
+
+      // El costo promedio es uno por producto: se pondera con el stock de todas las sucursales
+      const productoResult = await client.query(
+        "SELECT stock, purchase_price FROM productos WHERE id = $1 FOR UPDATE",
+        [detalle.producto_id]
+      );
+      const producto = productoResult.rows[0];
+      const costoNuevo = costoPromedioPonderado(producto.stock, producto.purchase_price, cantidad, costo);
+
+      await client.query(
+        "UPDATE productos SET purchase_price = $1, user_id = $2, last_updated = NOW() WHERE id = $3",
+        [costoNuevo, req.user.id, detalle.producto_id]
+      );
+      const movimiento = await moverStock(client, {
+        producto_id: detalle.producto_id,
+        cantidad,
+        motivo: "compra",
+        user_id: req.user.id,
+        documento_tipo: "recepcion",
+        documento_id: recepcion.id,
+        observacion: `Orden de compra ${orden.id}`,
+        sucursal_id: orden.sucursal_id
+      });
+
+      await client.query(
+        `INSERT INTO recepcion_detalles
+         (recepcion_id, orden_detalle_id, producto_id, cantidad, costo_unitario, costo_promedio_anterior, costo_promedio_nuevo)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [recepcion.id, detalle.id, detalle.producto_id, cantidad, costo, producto.purchase_price, costoNuevo]
+      );
+      await client.query(
+        "UPDATE orden_compra_detalles SET cantidad_recibida = cantidad_recibida + $1 WHERE id = $2",
+        [cantidad, detalle.id]
+      );
+      detalle.cantidad_recibida = parseFloat(detalle.cantidad_recibida) + cantidad;
+
+      recibidos.push({
+        detalle_id: detalle.id,
+        producto_id: detalle.producto_id,
+        cantidad,
+        costo_unitario: costo,
+        costo_promedio_anterior: parseFloat(producto.purchase_price) || 0,
+        costo_promedio_nuevo: costoNuevo,
+        stock_resultante: parseFloat(movimiento.saldo),
+        stock_total: parseFloat(movimiento.saldo_total)
+      });
+    }
+
+    const completa = detalles.every(d => parseFloat(d.cantidad_recibida) >= parseFloat(d.cantidad));
+    const estado = completa ? "recibida" : "parcial";
+    await client.query(
+      "UPDATE ordenes_compra SET estado = $1, updated_at = NOW() WHERE id = $2",
+      [estado, orden.id]
+    );
+
+    console.log("✅ Recepción registrada:", { recepcion_id: recepcion.id, orden_id: orden.id, estado });
+    return {
+      status: 201,
+      body: {
+        success: true,
+        recepcion_id: recepcion.id,
+        fecha: recepcion.fecha,
+        orden_id: orden.id,
+        estado_orden: estado,
+        recibidos,
+        message: completa ? "Orden de compra recibida completamente" : "Recepción parcial registrada"
+      }
+    };
+  }));
+
+  // ===================== HISTORIAL DE COMPRAS POR PRODUCTO =====================
+  router.get("/productos/:id", async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT
+          rd.id,
+          r.fecha,
+          r.id AS recepcion_id,
+          r.documento_proveedor,
+          o.id AS orden_id,
+          o.sucursal_id,
+          p.id AS proveedor_id,
+          p.nombre AS proveedor_nombre,
+          rd.cantidad,
+          rd.costo_unitario,
+          rd.costo_promedio_anterior,
+          rd.costo_promedio_nuevo,
+          u.nombre AS user_nombre
+        FROM recepcion_detalles rd
+        JOIN recepciones r ON rd.recepcion_id = r.id
+        JOIN ordenes_compra o ON r.orden_id = o.id
+        JOIN proveedores p ON o.proveedor_id = p.id
+        LEFT JOIN usuarios u ON r.user_id = u.id
+        WHERE rd.producto_id = $1
+        ORDER BY r.fecha DESC, rd.id DESC
+      `, [req.params.id]);
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener historial de compras:", error.message);
+      res.status(500).json({ error: "Error al obtener historial de compras", message: error.message });
+    }
+  });
+
+  return router;
+};
+
+export default createComprasRouter;
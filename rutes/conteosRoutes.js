@@ -0,0 +1,663 @@
+import express from "express";
+import { moverStock } from "../utils/kardex.js";
+import { filtroSucursal, obtenerSucursalesUsuario, sucursalDeOperacion } from "../utils/sucursales.js";
+
+const TIPOS_CONTEO = ["completo", "categoria"];
+const ESTADOS_CONTEO = ["abierto", "cerrado", "cancelado"];
+// Qué hacer al cerrar con los productos del alcance que nadie escaneó
+const POLITICAS_NO_CONTADOS = ["mantener", "cero"];
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+const redondearCantidad = (valor) => Math.round(valor * 1000) / 1000;
+
+// Errores de validación dentro de una transacción; la ruta los convierte en respuesta
+const errorConteo = (status, message, detalle = {}) =>
+  Object.assign(new Error(message), { status, detalle });
+
+// Agrega a cada fila la diferencia valorizada y resume sobrantes y faltantes
+const resumirDiferencias = (filas) => {
+  const vacio = () => ({ unidades: 0, valor_costo: 0, valor_venta: 0 });
+  const resumen = { productos: filas.length, contados: 0, con_diferencia: 0, sobrantes: vacio(), faltantes: vacio() };
+
+  const productos = filas.map(fila => {
+    const diferencia = fila.diferencia;
+    const valorCosto = diferencia != null ? redondear(diferencia * fila.costo) : null;
+    const valorVenta = diferencia != null ? redondear(diferencia * fila.precio) : null;
+
+    if (fila.cantidad_contada != null) resumen.contados++;
+    if (diferencia) {
+      resumen.con_diferencia++;
+      const grupo = diferencia > 0 ? resumen.sobrantes : resumen.faltantes;
+      grupo.unidades += Math.abs(diferencia);
+      grupo.valor_costo += Math.abs(valorCosto);
+      grupo.valor_venta += Math.abs(valorVenta);
+    }
+    return { ...fila, valor_costo: valorCosto, valor_venta: valorVenta };
+  });
+
+  for (const grupo of [resumen.sobrantes, resumen.faltantes]) {
+    grupo.unidades = redondearCantidad(grupo.unidades);
+    grupo.valor_costo = redondear(grupo.valor_costo);
+    grupo.valor_venta = redondear(grupo.valor_venta);
+  }
+  resumen.neto = {
+    valor_costo: redondear(resumen.sobrantes.valor_costo - resumen.faltantes.valor_costo),
+    valor_venta: redondear(resumen.sobrantes.valor_venta - resumen.faltantes.valor_venta)
+  };
+
+  return { resumen, productos };
+};
+
+const createConteosRouter = (pool) => {
+  const router = express.Router();
+
+  // ===================== MIDDLEWARE DE VERIFICACIÓN DE PERMISOS =====================
+  // Basta con tener uno de los permisos indicados
+  const verificarPermisosConteos = (...permisosRequeridos) => {
+    return async (req, res, next) => {
+      console.log("🔍 Verificando permisos para conteos:", req.user);
+
+      if (req.user.rol === "admin") {
+        return next();
+      }
+
+      if (req.user.rol === "vendedor") {
+        try {
+          const result = await pool.query(
+            "SELECT permissions FROM user_permissions WHERE user_id = $1",
+            [req.user.id]
+          );
+
+          // Por defecto los vendedores no participan en los conteos
+          const userPermissions = result.rows.length > 0
+            ? result.rows[0].permissions
+            : { can_manage_stock: false, can_count_inventory: false };
+
+          if (permisosRequeridos.some(permiso => userPermissions[permiso])) {
+            next();
+          } else {
+            console.log(`❌ Permiso ${permisosRequeridos.join(" o ")} denegado para conteos`);
+            res.status(403).json({
+              message: "No tienes permisos para realizar esta acción"
+            });
+          }
+        } catch (error) {
+          console.error("Error al verificar permisos:", error);
+          return res.status(500).json({ error: "Error interno del servidor" });
+        }
+      } else {
+        console.log(`❌ Rol no reconocido: ${req.user.rol}`);
+        res.status(403).json({ message: "Acceso denegado" });
+      }
+    };
+  };
+
+  // Abrir, cerrar y cancelar es de quien gestiona stock; escanear y consultar, también
+  // de quien solo tiene permiso para contar
+  const puedeGestionar = verificarPermisosConteos("can_manage_stock");
+  const puedeContar = verificarPermisosConteos("can_manage_stock", "can_count_inventory");
+
+  const enTransaccion = (nombre, accion) => async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const { status = 200, body } = await accion(client, req);
+
+      await client.query('COMMIT');
+      res.status(status).json(body);
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error(`❌ ERROR al ${nombre}:`, error.message);
+      res.status(500).json({ error: `Error al ${nombre}`, message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+
+  const obtenerConteo = async (db, id, bloqueo = "") => {
+    const result = await db.query(
+      `SELECT ci.*, c.nombre AS categoria_nombre, s.nombre AS sucursal_nombre
+       FROM conteos_inventario ci
+       LEFT JOIN categorias c ON ci.categoria_id = c.id
+       LEFT JOIN sucursales s ON ci.sucursal_id = s.id
+       WHERE ci.id = $1${bloqueo ? ` FOR ${bloqueo} OF ci` : ""}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Solo se consulta, escanea, cierra o cancela un conteo de una sucursal asignada al usuario
+  const verificarSucursalConteo = async (db, usuario, conteo) => {
+    if (usuario.rol === "admin") return;
+    const asignadas = await obtenerSucursalesUsuario(db, usuario.id);
+    if (!asignadas.includes(conteo.sucursal_id)) {
+      throw errorConteo(403, "El conteo es de una sucursal que no tienes asignada", { sucursal_id: conteo.sucursal_id });
+    }
+  };
+
+  // Diferencias del conteo. Las ventas (y demás movimientos) hechas después de la
+  // última lectura de un producto no estaban en el estante al contarlo, pero sí
+  // bajaron el stock de la sucursal: el stock esperado al momento de contar es el
+  // actual menos esos movimientos. Las hechas antes de la lectura ya se reflejan en
+  // lo contado. Todo se mide en la sucursal del conteo.
+  // Con la sesión cerrada se devuelve lo que quedó guardado al cerrarla.
+  const calcularDiferencias = async (db, conteo, productosNoContados = "mantener") => {
+    if (conteo.estado === "cerrado") {
+      const result = await db.query(`
+        SELECT cp.producto_id, p.sku, p.name AS nombre, p.stock_unit, c.nombre AS categoria_nombre,
+          cp.stock_inicial, cp.stock_esperado, cp.cantidad_contada, cp.diferencia, cp.costo, cp.precio,
+          cp.movimiento_id
+        FROM conteo_productos cp
+        JOIN productos p ON cp.producto_id = p.id
+        LEFT JOIN categorias c ON p.categoria_id = c.id
+        WHERE cp.conteo_id = $1
+        ORDER BY p.name, cp.producto_id
+      `, [conteo.id]);
+
+      return result.rows.map(fila => ({
+        ...fila,
+        stock_inicial: parseFloat(fila.stock_inicial),
+        stock_esperado: fila.stock_esperado != null ? parseFloat(fila.stock_esperado) : null,
+        cantidad_contada: fila.cantidad_contada != null ? parseFloat(fila.cantidad_contada) : null,
+        diferencia: fila.diferencia != null ? parseFloat(fila.diferencia) : null,
+        costo: parseFloat(fila.costo) || 0,
+        precio: parseFloat(fila.precio) || 0
+      }));
+    }
+
+    const result = await db.query(`
+      WITH lecturas AS (
+        SELECT producto_id, SUM(cantidad) AS contado, MAX(fecha) AS ultima_lectura, COUNT(*)::int AS lecturas
+        FROM conteo_lecturas
+        WHERE conteo_id = $1
+        GROUP BY producto_id
+      )
+      SELECT
+        cp.producto_id, p.sku, p.name AS nombre, p.stock_unit, c.nombre AS categoria_nombre,
+        cp.stock_inicial, cp.costo, cp.precio,
+        COALESCE(ss.stock, 0) AS stock_actual,
+        l.contado, l.ultima_lectura, COALESCE(l.lecturas, 0) AS lecturas,
+        CASE WHEN l.ultima_lectura IS NULL THEN 0 ELSE COALESCE((
+          SELECT SUM(m.cantidad)
+          FROM movimientos_stock m
+          WHERE m.producto_id = cp.producto_id
+            AND m.sucursal_id = $2
+            AND m.fecha > l.ultima_lectura
+            AND m.motivo <> 'conteo'
+        ), 0) END AS movimientos_posteriores
+      FROM conteo_productos cp
+      JOIN productos p ON cp.producto_id = p.id
+      LEFT JOIN stock_sucursales ss ON ss.producto_id = cp.producto_id AND ss.sucursal_id = $2
+      LEFT JOIN categorias c ON p.categoria_id = c.id
+      LEFT JOIN lecturas l ON l.producto_id = cp.producto_id
+      WHERE cp.conteo_id = $1
+      ORDER BY p.name, cp.producto_id
+    `, [conteo.id, conteo.sucursal_id]);
+
+    return result.rows.map(fila => {
+      const stockEsperado = redondearCantidad(parseFloat(fila.stock_actual) - parseFloat(fila.movimientos_posteriores));
+      const contado = fila.contado != null
+        ? redondearCantidad(parseFloat(fila.contado))
+        : (productosNoContados === "cero" ? 0 : null);
+
+      return {
+        producto_id: fila.producto_id,
+        sku: fila.sku,
+        nombre: fila.nombre,
+        stock_unit: fila.stock_unit,
+        categoria_nombre: fila.categoria_nombre,
+        stock_inicial: parseFloat(fila.stock_inicial),
+        stock_actual: parseFloat(fila.stock_actual),
+        movimientos_posteriores: parseFloat(fila.movimientos_posteriores),
+        stock_esperado: stockEsperado,
+        cantidad_contada: contado,
+        diferencia: contado != null ? redondearCantidad(contado - stockEsperado) : null,
+        costo: parseFloat(fila.costo) || 0,
+        precio: parseFloat(fila.precio) || 0,
+        lecturas: fila.lecturas,
+        ultima_lectura: fila.ultima_lectura
+      };
+    });
+  };
+
+  // ===================== SESIONES DE CONTEO =====================
+  // `sucursal_id` filtra por sucursal; sin él el admin ve todas
+  router.get("/", puedeContar, async (req, res) => {
+    const { estado } = req.query;
+
+    if (estado && !ESTADOS_CONTEO.includes(estado)) {
+      return res.status(400).json({ error: `Estado inválido. Valores permitidos: ${ESTADOS_CONTEO.join(", ")}` });
+    }
+
+    try {
+      const filtro = await filtroSucursal(pool, req.user, req.query.sucursal_id);
+      if (filtro.error) {
+        return res.status(filtro.status).json({ error: filtro.error });
+      }
+
+      const result = await pool.query(`
+        SELECT
+          ci.*,
+          c.nombre AS categoria_nombre,
+          s.nombre AS sucursal_nombre,
+          u.nombre AS user_nombre,
+          (SELECT COUNT(*)::int FROM conteo_productos cp WHERE cp.conteo_id = ci.id) AS productos,
+          (SELECT COUNT(DISTINCT cl.producto_id)::int FROM conteo_lecturas cl WHERE cl.conteo_id = ci.id) AS contados
+        FROM conteos_inventario ci
+        LEFT JOIN categorias c ON ci.categoria_id = c.id
+        LEFT JOIN sucursales s ON ci.sucursal_id = s.id
+        LEFT JOIN usuarios u ON ci.user_id = u.id
+        WHERE ($1::varchar IS NULL OR ci.estado = $1)
+          AND ($2::int[] IS NULL OR ci.sucursal_id = ANY($2::int[]))
+        ORDER BY ci.abierto_en DESC
+      `, [estado || null, filtro.sucursales]);
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener conteos:", error.message);
+      res.status(500).json({ error: "Error al obtener conteos", message: error.message });
+    }
+  });
+
+  // Abre una sesión completa o de una categoría (con sus subcategorías) en una
+  // sucursal y fija el stock de partida de cada producto en ella. No puede haber dos
+  // sesiones abiertas sobre los mismos productos de la misma sucursal.
+  router.post("/", puedeGestionar, enTransaccion("abrir conteo", async (client, req) => {
+    const { tipo = "completo", categoria_id = null, observacion = null } = req.body;
+
+    if (!TIPOS_CONTEO.includes(tipo)) {
+      throw errorConteo(400, "El tipo de conteo debe ser 'completo' o 'categoria'");
+    }
+    if (tipo === "categoria" && !categoria_id) {
+      throw errorConteo(400, "Debe indicar la categoría a contar");
+    }
+    const categoriaId = tipo === "categoria" ? parseInt(categoria_id) : null;
+
+    const sucursal = await sucursalDeOperacion(client, req.user, req.body.sucursal_id);
+    if (sucursal.error) {
+      throw errorConteo(sucursal.status, sucursal.error);
+    }
+
+    // Serializa las aperturas para que dos sesiones no se crucen
+    await client.query("LOCK TABLE conteos_inventario IN SHARE ROW EXCLUSIVE MODE");
+
+    // Una categoría incluye sus subcategorías: se cruzan si comparten alguna
+    const abiertasResult = await client.query(
+      `SELECT ci.id, ci.tipo,
+         ci.categoria_id IS NOT NULL AND $1::int IS NOT NULL AND EXISTS (
+           SELECT 1 FROM categorias_descendientes(ci.categoria_id) a
+           JOIN categorias_descendientes($1::int) b ON a.id = b.id
+         ) AS comparte_categorias
+       FROM conteos_inventario ci
+       WHERE ci.estado = 'abierto' AND ci.sucursal_id = $2`,
+      [categoriaId, sucursal.sucursal_id]
+    );
+    const cruce = abiertasResult.rows.find(abierta =>
+      tipo === "completo" || abierta.tipo === "completo" || abierta.comparte_categorias
+    );
+    if (cruce) {
+      throw errorConteo(409, "Ya hay un conteo abierto que incluye estos productos", { conteo_id: cruce.id });
+    }
+
+    if (categoriaId) {
+      const categoriaResult = await client.query("SELECT id FROM categorias WHERE id = $1", [categoriaId]);
+      if (categoriaResult.rows.length === 0) {
+        throw errorConteo(404, "Categoría no encontrada");
+      }
+    }
+
+    const conteoResult = await client.query(
+      `INSERT INTO conteos_inventario (tipo, categoria_id, observacion, user_id, sucursal_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [tipo, categoriaId, observacion, req.user.id, sucursal.sucursal_id]
+    );
+    const conteo = conteoResult.rows[0];
+
+    const productosResult = await client.query(
+      `INSERT INTO conteo_productos (conteo_id, producto_id, stock_inicial, costo, precio)
+       SELECT $1, p.id, COALESCE(ss.stock, 0), COALESCE(p.purchase_price, 0), COALESCE(p.price, 0)
+       FROM productos p
+       LEFT JOIN stock_sucursales ss ON ss.producto_id = p.id AND ss.sucursal_id = $2
+       WHERE NOT p.archivado${categoriaId ? " AND p.categoria_id IN (SELECT id FROM categorias_descendientes($3))" : ""}`,
+      categoriaId ? [conteo.id, sucursal.sucursal_id, categoriaId] : [conteo.id, sucursal.sucursal_id]
+    );
+
+    console.log("✅ Conteo abierto:", { conteo_id: conteo.id, tipo, sucursal_id: conteo.sucursal_id, productos: productosResult.rowCount });
+    return {
+      status: 201,
+      body: {
+        ...conteo,
+        sucursal_nombre: sucursal.sucursal_nombre,
+        productos: productosResult.rowCount,
+        message: "Conteo abierto"
+      }
+    };
+  }));
+
+  router.get("/:id", puedeContar, async (req, res) => {
+    try {
+      const conteo = await obtenerConteo(pool, req.params.id);
+      if (!conteo) {
+        return res.status(404).json({ error: "Conteo no encontrado" });
+      }
+      await verificarSucursalConteo(pool, req.user, conteo);
+
+      const progresoResult = await pool.query(`
+        SELECT
+          (SELECT COUNT(*)::int FROM conteo_productos WHERE conteo_id = $1) AS productos,
+          (SELECT COUNT(DISTINCT producto_id)::int FROM conteo_lecturas WHERE conteo_id = $1) AS contados,
+          (SELECT COUNT(*)::int FROM conteo_lecturas WHERE conteo_id = $1) AS lecturas,
+          (SELECT COALESCE(array_agg(DISTINCT dispositivo) FILTER (WHERE dispositivo IS NOT NULL), '{}')
+           FROM conteo_lecturas WHERE conteo_id = $1) AS dispositivos
+      `, [conteo.id]);
+
+      res.json({ ...conteo, progreso: progresoResult.rows[0] });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error("❌ ERROR al obtener conteo:", error.message);
+      res.status(500).json({ error: "Error al obtener conteo", message: error.message });
+    }
+  });
+
+  // ===================== LECTURAS =====================
+  // Varios dispositivos pueden enviar a la vez: cada envío solo agrega lecturas y lo
+  // contado de un producto es la suma de todas. `lecturas` = [{ producto_id | codigo,
+  // cantidad = 1 }]; un código de pack multiplica por su factor. Si una lectura no
+  // es válida no se guarda ninguna del envío.
+  router.post("/:id/lecturas", puedeContar, enTransaccion("registrar lecturas", async (client, req) => {
+    const { lecturas, dispositivo = null } = req.body;
+
+    if (!Array.isArray(lecturas) || lecturas.length === 0) {
+      throw errorConteo(400, "Debe enviar al menos una lectura");
+    }
+
+    // FOR SHARE: se puede escanear en paralelo, pero no mientras se cierra la sesión
+    const conteo = await obtenerConteo(client, req.params.id, "SHARE");
+    if (!conteo) {
+      throw errorConteo(404, "Conteo no encontrado");
+    }
+    await verificarSucursalConteo(client, req.user, conteo);
+    if (conteo.estado !== "abierto") {
+      throw errorConteo(409, "El conteo no está abierto", { estado: conteo.estado });
+    }
+
+    const rechazadas = [];
+    const validas = [];
+    for (const [indice, lectura] of lecturas.entries()) {
+      const cantidad = lectura?.cantidad != null ? parseFloat(lectura.cantidad) : 1;
+      if (isNaN(cantidad) || cantidad === 0) {
+        rechazadas.push({ indice, error: "Cantidad inválida" });
+        continue;
+      }
+
+      let productoId = lectura?.producto_id ? parseInt(lectura.producto_id) : null;
+      let factor = 1;
+      const codigo = lectura?.codigo != null ? String(lectura.codigo).trim() : null;
+      if (!productoId && codigo) {
+        const codigoResult = await client.query(
+          `SELECT id AS producto_id, 1 AS factor FROM productos WHERE sku = $1
+           UNION ALL
+           SELECT producto_id, factor FROM codigos_barra WHERE codigo = $1
+           LIMIT 1`,
+          [codigo]
+        );
+        productoId = codigoResult.rows[0]?.producto_id || null;
+        factor = parseFloat(codigoResult.rows[0]?.factor) || 1;
+      }
+      if (!productoId) {
+        rechazadas.push({ indice, codigo, error: "Producto no encontrado" });
+        continue;
+      }
+      validas.push({ indice, producto_id: productoId, cantidad: redondearCantidad(cantidad * factor), codigo });
+    }
+
+    if (validas.length > 0) {
+      const alcanceResult = await client.query(
+        "SELECT producto_id FROM conteo_productos WHERE conteo_id = $1 AND producto_id = ANY($2::int[])",
+        [conteo.id, [...new Set(validas.map(l => l.producto_id))]]
+      );
+      const enAlcance = new Set(alcanceResult.rows.map(fila => fila.producto_id));
+      for (const lectura of validas) {
+        if (!enAlcance.has(lectura.producto_id)) {
+          rechazadas.push({ indice: lectura.indice, producto_id: lectura.producto_id, error: "El producto no pertenece a este conteo" });
+        }
+      }
+    }
+
+    if (rechazadas.length > 0) {
+      throw errorConteo(400, "Hay lecturas inválidas; no se registró ninguna", {
+        rechazadas: rechazadas.sort((a, b) => a.indice - b.indice)
+      });
+    }
+
+    await client.query(
+      `INSERT INTO conteo_lecturas (conteo_id, producto_id, cantidad, codigo, dispositivo, user_id)
+       SELECT $1, l.producto_id, l.cantidad, l.codigo, $2, $3
+       FROM UNNEST($4::int[], $5::numeric[], $6::text[]) AS l(producto_id, cantidad, codigo)`,
+      [
+        conteo.id,
+        dispositivo,
+        req.user.id,
+        validas.map(l => l.producto_id),
+        validas.map(l => l.cantidad),
+        validas.map(l => l.codigo)
+      ]
+    );
+
+    // Total acumulado de los productos del envío, sumando lo de todos los dispositivos
+    const totalesResult = await client.query(
+      `SELECT producto_id, SUM(cantidad) AS cantidad_contada
+       FROM conteo_lecturas
+       WHERE conteo_id = $1 AND producto_id = ANY($2::int[])
+       GROUP BY producto_id`,
+      [conteo.id, [...new Set(validas.map(l => l.producto_id))]]
+    );
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        registradas: validas.length,
+        totales: totalesResult.rows.map(fila => ({
+          producto_id: fila.producto_id,
+          cantidad_contada: parseFloat(fila.cantidad_contada)
+        })),
+        message: "Lecturas registradas"
+      }
+    };
+  }));
+
+  router.get("/:id/lecturas", puedeContar, async (req, res) => {
+    const { producto_id, dispositivo } = req.query;
+    const condiciones = ["cl.conteo_id = $1"];
+    const valores = [req.params.id];
+
+    if (producto_id) {
+      valores.push(producto_id);
+      condiciones.push(`cl.producto_id = $${valores.length}`);
+    }
+    if (dispositivo) {
+      valores.push(dispositivo);
+      condiciones.push(`cl.dispositivo = $${valores.length}`);
+    }
+
+    try {
+      const conteo = await obtenerConteo(pool, req.params.id);
+      if (!conteo) {
+        return res.status(404).json({ error: "Conteo no encontrado" });
+      }
+      await verificarSucursalConteo(pool, req.user, conteo);
+
+      const result = await pool.query(`
+        SELECT cl.*, p.sku, p.name AS producto_nombre, u.nombre AS user_nombre
+        FROM conteo_lecturas cl
+        JOIN productos p ON cl.producto_id = p.id
+        LEFT JOIN usuarios u ON cl.user_id = u.id
+        WHERE ${condiciones.join(" AND ")}
+        ORDER BY cl.fecha DESC, cl.id DESC
+      `, valores);
+
+      res.json(result.rows.map(fila => ({ ...fila, cantidad: parseFloat(fila.cantidad) })));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error("❌ ERROR al obtener lecturas:", error.message);
+      res.status(500).json({ error: "Error al obtener lecturas", message: error.message });
+    }
+  });
+
+  // ===================== DIFERENCIAS Y CIERRE =====================
+  // Contado vs. stock esperado, valorizado a costo y a precio de venta.
+  // `solo_diferencias=true` omite los productos que cuadran o no se contaron.
+  router.get("/:id/diferencias", puedeContar, async (req, res) => {
+    const { solo_diferencias, productos_no_contados = "mantener" } = req.query;
+
+    if (!POLITICAS_NO_CONTADOS.includes(productos_no_contados)) {
+      return res.status(400).json({ error: "productos_no_contados debe ser 'mantener' o 'cero'" });
+    }
+
+    try {
+      const conteo = await obtenerConteo(pool, req.params.id);
+      if (!conteo) {
+        return res.status(404).json({ error: "Conteo no encontrado" });
+      }
+      await verificarSucursalConteo(pool, req.user, conteo);
+
+      const { resumen, productos } = resumirDiferencias(
+        await calcularDiferencias(pool, conteo, productos_no_contados)
+      );
+
+      res.json({
+        conteo,
+        resumen,
+        productos: solo_diferencias === "true" ? productos.filter(p => p.diferencia) : productos
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error("❌ ERROR al obtener diferencias del conteo:", error.message);
+      res.status(500).json({ error: "Error al obtener diferencias del conteo", message: error.message });
+    }
+  });
+
+  // Aplica todas las diferencias como movimientos 'conteo' en una sola transacción.
+  // `productos_no_contados`: "mantener" deja su stock como está; "cero" los deja en cero.
+  router.post("/:id/cerrar", puedeGestionar, enTransaccion("cerrar conteo", async (client, req) => {
+    const { productos_no_contados = "mantener" } = req.body;
+
+    if (!POLITICAS_NO_CONTADOS.includes(productos_no_contados)) {
+      throw errorConteo(400, "productos_no_contados debe ser 'mantener' o 'cero'");
+    }
+
+    const conteo = await obtenerConteo(client, req.params.id, "UPDATE");
+    if (!conteo) {
+      throw errorConteo(404, "Conteo no encontrado");
+    }
+    await verificarSucursalConteo(client, req.user, conteo);
+    if (conteo.estado !== "abierto") {
+      throw errorConteo(409, "El conteo no está abierto", { estado: conteo.estado });
+    }
+
+    // Bloquea los productos para que ninguna venta cambie el stock entre el cálculo y el ajuste
+    await client.query(
+      `SELECT p.id FROM productos p
+       JOIN conteo_productos cp ON cp.producto_id = p.id
+       WHERE cp.conteo_id = $1
+       ORDER BY p.id
+       FOR UPDATE OF p`,
+      [conteo.id]
+    );
+
+    const diferencias = await calcularDiferencias(client, conteo, productos_no_contados);
+
+    const movimientos = new Map();
+    for (const fila of diferencias) {
+      if (!fila.diferencia) continue;
+      const movimiento = await moverStock(client, {
+        producto_id: fila.producto_id,
+        cantidad: fila.diferencia,
+        motivo: "conteo",
+        user_id: req.user.id,
+        documento_tipo: "conteo",
+        documento_id: conteo.id,
+        observacion: `Conteo de inventario #${conteo.id}`,
+        sucursal_id: conteo.sucursal_id
+      });
+      movimientos.set(fila.producto_id, movimiento.id);
+    }
+
+    await client.query(
+      `UPDATE conteo_productos cp SET
+         stock_esperado = d.stock_esperado,
+         cantidad_contada = d.cantidad_contada,
+         diferencia = d.diferencia,
+         movimiento_id = d.movimiento_id
+       FROM UNNEST($2::int[], $3::numeric[], $4::numeric[], $5::numeric[], $6::int[])
+         AS d(producto_id, stock_esperado, cantidad_contada, diferencia, movimiento_id)
+       WHERE cp.conteo_id = $1 AND cp.producto_id = d.producto_id`,
+      [
+        conteo.id,
+        diferencias.map(f => f.producto_id),
+        diferencias.map(f => f.stock_esperado),
+        diferencias.map(f => f.cantidad_contada),
+        diferencias.map(f => f.diferencia),
+        diferencias.map(f => movimientos.get(f.producto_id) || null)
+      ]
+    );
+
+    const cerradoResult = await client.query(
+      `UPDATE conteos_inventario SET estado = 'cerrado', cerrado_en = NOW(), cerrado_por = $1
+       WHERE id = $2
+       RETURNING *`,
+      [req.user.id, conteo.id]
+    );
+
+    const { resumen } = resumirDiferencias(diferencias);
+    console.log("✅ Conteo cerrado:", { conteo_id: conteo.id, ajustes: movimientos.size });
+    return {
+      body: {
+        success: true,
+        conteo: { ...cerradoResult.rows[0], categoria_nombre: conteo.categoria_nombre, sucursal_nombre: conteo.sucursal_nombre },
+        ajustes: movimientos.size,
+        resumen,
+        message: "Conteo cerrado y diferencias aplicadas"
+      }
+    };
+  }));
+
+  router.post("/:id/cancelar", puedeGestionar, enTransaccion("cancelar conteo", async (client, req) => {
+    const conteo = await obtenerConteo(client, req.params.id, "UPDATE");
+    if (!conteo) {
+      throw errorConteo(404, "Conteo no encontrado");
+    }
+    await verificarSucursalConteo(client, req.user, conteo);
+    if (conteo.estado !== "abierto") {
+      throw errorConteo(409, "El conteo no está abierto", { estado: conteo.estado });
+    }
+
+    await client.query(
+      "UPDATE conteos_inventario SET estado = 'cancelado', cerrado_en = NOW(), cerrado_por = $1 WHERE id = $2",
+      [req.user.id, conteo.id]
+    );
+    return { body: { success: true, message: "Conteo cancelado; no se aplicaron ajustes" } };
+  }));
+
+  return router;
+};
+
+export default createConteosRouter;
@@ -0,0 +1,394 @@
+import express from "express";
+import { filtroSucursal } from "../utils/sucursales.js";
+
+// Agrupaciones permitidas para los reportes por período
+const PERIODOS = { dia: "day", semana: "week", mes: "month" };
+const CRITERIOS_PRODUCTOS = { unidades: "unidades", margen: "margen", ingresos: "ingresos" };
+// Zona horaria de la tienda para agrupar por día y por hora
+const ZONA_HORARIA = process.env.ZONA_HORARIA || "America/Santiago";
+
+const createReportesRouter = (pool) => {
+  const router = express.Router();
+
+  // ===================== MIDDLEWARE DE VERIFICACIÓN DE PERMISOS =====================
+  const verificarPermisosReportes = (permisoRequerido) => {
+    return async (req, res, next) => {
+      console.log("🔍 Verificando permisos para reportes:", req.user);
+
+      if (req.user.rol === "admin") {
+        return next();
+      }
+
+      if (req.user.rol === "vendedor") {
+        try {
+          const result = await pool.query(
+            "SELECT permissions FROM user_permissions WHERE user_id = $1",
+            [req.user.id]
+          );
+
+          // Por defecto los vendedores no ven reportes
+          const userPermissions = result.rows.length > 0
+            ? result.rows[0].permissions
+            : { can_view_reports: false };
+
+          if (userPermissions[permisoRequerido]) {
+            next();
+          } else {
+            console.log(`❌ Permiso ${permisoRequerido} denegado para reportes`);
+            res.status(403).json({
+              message: "No tienes permisos para realizar esta acción"
+            });
+          }
+        } catch (error) {
+          console.error("Error al verificar permisos:", error);
+          return res.status(500).json({ error: "Error interno del servidor" });
+        }
+      } else {
+        console.log(`❌ Rol no reconocido: ${req.user.rol}`);
+        res.status(403).json({ message: "Acceso denegado" });
+      }
+    };
+  };
+
+  router.use(verificarPermisosReportes("can_view_reports"));
+
+  // Rango de fechas del reporte. Por defecto, los últimos 30 días.
+  // `hasta` sin hora incluye el día completo.
+  const obtenerRango = (req) => {
+    const { desde, hasta } = req.query;
+    if ((desde && isNaN(Date.parse(desde))) || (hasta && isNaN(Date.parse(hasta)))) {
+      return { error: "Rango de fechas inválido" };
+    }
+
+    const fin = hasta ? new Date(hasta) : new Date();
+    if (!hasta || /^\d{4}-\d{2}-\d{2}$/.test(hasta)) {
+      fin.setDate(fin.getDate() + 1);
+      fin.setHours(0, 0, 0, 0);
+    }
+    const inicio = desde ? new Date(desde) : new Date(fin.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    return { desde: inicio.toISOString(), hasta: fin.toISOString() };
+  };
+
+  // Líneas vendidas en el rango, descontando devoluciones y excluyendo anuladas.
+  // Usa $1 y $2 para el rango de fechas y $3 para las sucursales (NULL = todas).
+  // vd.precio no trae el descuento general de la venta (ventas.descuento menos lo
+  // ahorrado por línea): se reparte en proporción a cada línea con `factor`, igual que
+  // en las devoluciones, para que los ingresos cuadren con ventas.total.
+  const LINEAS_CTE = `
+    WITH factores AS (
+      SELECT
+        v.id AS venta_id,
+        CASE WHEN SUM(vd.cantidad * vd.precio) > 0 THEN
+          GREATEST(1 - GREATEST(v.descuento - SUM(
+            ROUND((COALESCE(vd.precio_lista, vd.precio) * vd.cantidad)::numeric, 2) - ROUND((vd.precio * vd.cantidad)::numeric, 2)
+          ), 0) / SUM(vd.cantidad * vd.precio), 0)
+        ELSE 1 END AS factor
+      FROM venta_detalles vd
+      JOIN ventas v ON vd.venta_id = v.id
+      WHERE COALESCE(v.estado, 'completada') <> 'anulada'
+        AND v.fecha >= $1 AND v.fecha < $2
+        AND ($3::int[] IS NULL OR v.sucursal_id = ANY($3::int[]))
+      GROUP BY v.id, v.descuento
+    ),
+    lineas AS (
+      SELECT
+        v.id AS venta_id,
+        v.fecha,
+        v.user_id,
+        v.sucursal_id,
+        vd.producto_id,
+        (vd.cantidad - COALESCE(vd.cantidad_devuelta, 0)) AS cantidad,
+        (vd.cantidad - COALESCE(vd.cantidad_devuelta, 0)) * vd.precio * f.factor AS ingreso,
+        (vd.cantidad - COALESCE(vd.cantidad_devuelta, 0)) * COALESCE(vd.purchase_price, 0) AS costo
+      FROM venta_detalles vd
+      JOIN ventas v ON vd.venta_id = v.id
+      JOIN factores f ON f.venta_id = v.id
+    )
+  `;
+
+  const ventasValidas = `
+    FROM ventas v
+    WHERE COALESCE(v.estado, 'completada') <> 'anulada'
+      AND v.fecha >= $1 AND v.fecha < $2
+      AND ($3::int[] IS NULL OR v.sucursal_id = ANY($3::int[]))
+  `;
+
+  // Convierte a número las columnas NUMERIC que `pg` devuelve como texto
+  const aNumeros = (filas, columnas) => filas.map(fila => {
+    const convertida = { ...fila };
+    for (const columna of columnas) {
+      if (convertida[columna] != null) convertida[columna] = parseFloat(convertida[columna]);
+    }
+    return convertida;
+  });
+
+  const COLUMNAS_MONTOS = ["unidades", "ingresos", "costo", "margen", "margen_porcentaje", "ticket_promedio", "total_vendido"];
+
+  // Todos los reportes aceptan `sucursal_id`; sin él, el admin ve el consolidado
+  const responderReporte = (nombre, consulta) => async (req, res) => {
+    const rango = obtenerRango(req);
+    if (rango.error) {
+      return res.status(400).json({ error: rango.error });
+    }
+
+    try {
+      const filtro = await filtroSucursal(pool, req.user, req.query.sucursal_id);
+      if (filtro.error) {
+        return res.status(filtro.status).json({ error: filtro.error });
+      }
+
+      const resultado = await consulta(req, { ...rango, sucursales: filtro.sucursales });
+      if (resultado?.status) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.json({ desde: rango.desde, hasta: rango.hasta, sucursal_ids: filtro.sucursales, ...resultado });
+    } catch (error) {
+      console.error(`❌ Error al generar reporte de ${nombre}:`, error.message);
+      res.status(500).json({ error: `Error al generar reporte de ${nombre}`, message: error.message });
+    }
+  };
+
+  // ===================== RESUMEN GENERAL =====================
+  router.get("/resumen", responderReporte("resumen", async (req, { desde, hasta, sucursales }) => {
+    const lineasResult = await pool.query(`
+      ${LINEAS_CTE}
+      SELECT
+        COALESCE(SUM(cantidad), 0) AS unidades,
+        COALESCE(SUM(ingreso), 0) AS ingresos,
+        COALESCE(SUM(costo), 0) AS costo,
+        COALESCE(SUM(ingreso - costo), 0) AS margen
+      FROM lineas
+    `, [desde, hasta, sucursales]);
+
+    const ventasResult = await pool.query(`
+      SELECT
+        COUNT(*)::int AS cantidad_ventas,
+        COALESCE(SUM(v.total), 0) AS total_vendido
+      ${ventasValidas}
+    `, [desde, hasta, sucursales]);
+
+    const [lineas] = aNumeros(lineasResult.rows, COLUMNAS_MONTOS);
+    const [ventas] = aNumeros(ventasResult.rows, COLUMNAS_MONTOS);
+
+    // El ticket promedio es el ingreso neto (con descuentos y devoluciones) por venta,
+    // igual que en los reportes por período, vendedor, sucursal y hora
+    return {
+      ...ventas,
+      ...lineas,
+      ticket_promedio: ventas.cantidad_ventas > 0 ? lineas.ingresos / ventas.cantidad_ventas : 0,
+      margen_porcentaje: lineas.ingresos > 0 ? (lineas.margen / lineas.ingresos) * 100 : 0
+    };
+  }));
+
+  // ===================== INGRESOS, COSTO Y MARGEN POR PERÍODO =====================
+  router.get("/periodos", responderReporte("períodos", async (req, { desde, hasta, sucursales }) => {
+    const { agrupar = "dia" } = req.query;
+    if (!PERIODOS[agrupar]) {
+      return { status: 400, error: "Agrupación inválida. Use dia, semana o mes" };
+    }
+
+    const result = await pool.query(`
+      ${LINEAS_CTE}
+      SELECT
+        date_trunc('${PERIODOS[agrupar]}', fecha AT TIME ZONE $4) AS periodo,
+        COUNT(DISTINCT venta_id)::int AS cantidad_ventas,
+        SUM(cantidad) AS unidades,
+        SUM(ingreso) AS ingresos,
+        SUM(costo) AS costo,
+        SUM(ingreso - costo) AS margen,
+        SUM(ingreso) / NULLIF(COUNT(DISTINCT venta_id), 0) AS ticket_promedio
+      FROM lineas
+      GROUP BY periodo
+      ORDER BY periodo
+    `, [desde, hasta, sucursales, ZONA_HORARIA]);
+
+    return { agrupar, periodos: aNumeros(result.rows, COLUMNAS_MONTOS) };
+  }));
+
+  // ===================== PRODUCTOS MÁS Y MENOS VENDIDOS =====================
+  router.get("/productos", responderReporte("productos", async (req, { desde, hasta, sucursales }) => {
+    const { criterio = "unidades", orden = "top", limite = 10 } = req.query;
+    if (!CRITERIOS_PRODUCTOS[criterio]) {
+      return { status: 400, error: "Criterio inválido. Use unidades, margen o ingresos" };
+    }
+    if (!["top", "bottom"].includes(orden)) {
+      return { status: 400, error: "El orden debe ser 'top' o 'bottom'" };
+    }
+
+    const result = await pool.query(`
+      ${LINEAS_CTE}
+      SELECT
+        p.id AS producto_id,
+        p.name AS producto_nombre,
+        p.sku,
+        SUM(l.cantidad) AS unidades,
+        SUM(l.ingreso) AS ingresos,
+        SUM(l.costo) AS costo,
+        SUM(l.ingreso - l.costo) AS margen
+      FROM lineas l
+      JOIN productos p ON l.producto_id = p.id
+      GROUP BY p.id, p.name, p.sku
+      ORDER BY ${CRITERIOS_PRODUCTOS[criterio]} ${orden === "top" ? "DESC" : "ASC"}, p.id
+      LIMIT $4
+    `, [desde, hasta, sucursales, Math.min(Math.max(parseInt(limite) || 10, 1), 100)]);
+
+    return { criterio, orden, productos: aNumeros(result.rows, COLUMNAS_MONTOS) };
+  }));
+
+  // ===================== VENTAS POR CATEGORÍA =====================
+  // Los totales de cada categoría incluyen los de todas sus subcategorías. Sin
+  // `padre_id` se listan las categorías raíz (y "Sin categoría"); con `padre_id` las
+  // hijas de esa categoría más una fila `directo` con lo vendido en ella misma.
+  // `todas=true` devuelve todas las categorías con sus totales acumulados.
+  router.get("/categorias", responderReporte("categorías", async (req, { desde, hasta, sucursales }) => {
+    const { padre_id, todas } = req.query;
+
+    const [directosResult, categoriasResult] = await Promise.all([
+      pool.query(`
+        ${LINEAS_CTE}
+        SELECT
+          p.categoria_id,
+          SUM(l.cantidad) AS unidades,
+          SUM(l.ingreso) AS ingresos,
+          SUM(l.costo) AS costo
+        FROM lineas l
+        JOIN productos p ON l.producto_id = p.id
+        GROUP BY p.categoria_id
+      `, [desde, hasta, sucursales]),
+      pool.query("SELECT id, nombre, parent_id FROM categorias")
+    ]);
+
+    const categorias = new Map(categoriasResult.rows.map(c => [c.id, c]));
+    const padreId = padre_id ? parseInt(padre_id) : null;
+    if (padreId && !categorias.has(padreId)) {
+      return { status: 404, error: "Categoría no encontrada" };
+    }
+
+    const vacio = () => ({ unidades: 0, ingresos: 0, costo: 0 });
+    const sumar = (destino, origen) => {
+      destino.unidades += origen.unidades;
+      destino.ingresos += origen.ingresos;
+      destino.costo += origen.costo;
+    };
+
+    // Suma lo vendido directamente en cada categoría a ella y a todos sus ancestros
+    const acumulados = new Map();
+    const directos = new Map();
+    for (const fila of aNumeros(directosResult.rows, COLUMNAS_MONTOS)) {
+      directos.set(fila.categoria_id, fila);
+      const vistos = new Set();
+      for (let id = fila.categoria_id; id != null && categorias.has(id) && !vistos.has(id); id = categorias.get(id).parent_id) {
+        vistos.add(id);
+        if (!acumulados.has(id)) acumulados.set(id, vacio());
+        sumar(acumulados.get(id), fila);
+      }
+    }
+
+    const conMargen = (fila) => ({ ...fila, margen: fila.ingresos - fila.costo });
+    const filaCategoria = (categoria) => conMargen({
+      categoria_id: categoria.id,
+      categoria_nombre: categoria.nombre,
+      parent_id: categoria.parent_id,
+      tiene_subcategorias: categoriasResult.rows.some(c => c.parent_id === categoria.id),
+      ...acumulados.get(categoria.id)
+    });
+
+    let filas;
+    if (todas === "true") {
+      filas = categoriasResult.rows.filter(c => acumulados.has(c.id)).map(filaCategoria);
+    } else {
+      filas = categoriasResult.rows
+        .filter(c => (c.parent_id ?? null) === padreId && acumulados.has(c.id))
+        .map(filaCategoria);
+      if (padreId && directos.has(padreId)) {
+        const { categoria_id, ...totales } = directos.get(padreId);
+        filas.push(conMargen({
+          categoria_id: padreId,
+          categoria_nombre: categorias.get(padreId).nombre,
+          parent_id: categorias.get(padreId).parent_id,
+          directo: true,
+          ...totales
+        }));
+      }
+    }
+    if (!padreId && directos.has(null)) {
+      const { categoria_id, ...totales } = directos.get(null);
+      filas.push(conMargen({ categoria_id: null, categoria_nombre: "Sin categoría", parent_id: null, ...totales }));
+    }
+
+    return {
+      padre_id: padreId,
+      categorias: filas.sort((a, b) => b.ingresos - a.ingresos)
+    };
+  }));
+
+  // ===================== VENTAS POR VENDEDOR =====================
+  router.get("/vendedores", responderReporte("vendedores", async (req, { desde, hasta, sucursales }) => {
+    const result = await pool.query(`
+      ${LINEAS_CTE}
+      SELECT
+        u.id AS user_id,
+        u.nombre AS user_nombre,
+        COUNT(DISTINCT l.venta_id)::int AS cantidad_ventas,
+        SUM(l.cantidad) AS unidades,
+        SUM(l.ingreso) AS ingresos,
+        SUM(l.costo) AS costo,
+        SUM(l.ingreso - l.costo) AS margen,
+        SUM(l.ingreso) / NULLIF(COUNT(DISTINCT l.venta_id), 0) AS ticket_promedio
+      FROM lineas l
+      LEFT JOIN usuarios u ON l.user_id = u.id
+      GROUP BY u.id, u.nombre
+      ORDER BY ingresos DESC
+    `, [desde, hasta, sucursales]);
+
+    return { vendedores: aNumeros(result.rows, COLUMNAS_MONTOS) };
+  }));
+
+  // ===================== VENTAS POR SUCURSAL =====================
+  // Una fila por sucursal con lo vendido en el rango, para comparar sucursales
+  router.get("/sucursales", responderReporte("sucursales", async (req, { desde, hasta, sucursales }) => {
+    const result = await pool.query(`
+      ${LINEAS_CTE}
+      SELECT
+        s.id AS sucursal_id,
+        s.nombre AS sucursal_nombre,
+        COUNT(DISTINCT l.venta_id)::int AS cantidad_ventas,
+        COALESCE(SUM(l.cantidad), 0) AS unidades,
+        COALESCE(SUM(l.ingreso), 0) AS ingresos,
+        COALESCE(SUM(l.costo), 0) AS costo,
+        COALESCE(SUM(l.ingreso - l.costo), 0) AS margen,
+        SUM(l.ingreso) / NULLIF(COUNT(DISTINCT l.venta_id), 0) AS ticket_promedio
+      FROM sucursales s
+      LEFT JOIN lineas l ON l.sucursal_id = s.id
+      WHERE $3::int[] IS NULL OR s.id = ANY($3::int[])
+      GROUP BY s.id, s.nombre
+      ORDER BY ingresos DESC, s.id
+    `, [desde, hasta, sucursales]);
+
+    return { sucursales: aNumeros(result.rows, COLUMNAS_MONTOS) };
+  }));
+
+  // ===================== VENTAS POR HORA DEL DÍA =====================
+  router.get("/horas", responderReporte("horas", async (req, { desde, hasta, sucursales }) => {
+    const result = await pool.query(`
+      ${LINEAS_CTE}
+      SELECT
+        EXTRACT(HOUR FROM fecha AT TIME ZONE $4)::int AS hora,
+        COUNT(DISTINCT venta_id)::int AS cantidad_ventas,
+        SUM(cantidad) AS unidades,
+        SUM(ingreso) AS ingresos,
+        SUM(ingreso - costo) AS margen,
+        SUM(ingreso) / NULLIF(COUNT(DISTINCT venta_id), 0) AS ticket_promedio
+      FROM lineas
+      GROUP BY hora
+      ORDER BY hora
+    `, [desde, hasta, sucursales, ZONA_HORARIA]);
+
+    return { zona_horaria: ZONA_HORARIA, horas: aNumeros(result.rows, COLUMNAS_MONTOS) };
+  }));
+
+  return router;
+};
+
+export default createReportesRouter;
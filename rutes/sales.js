@@ -1,4 +1,138 @@
 import express from "express";
+import { mejorPromocion } from "../utils/promociones.js";
+import { validarRut } from "../utils/rut.js";
+import { COLUMNAS_POR_ANCHO, generarTicketEscPos, generarTicketPdf } from "../utils/ticket.js";
+import { moverStock } from "../utils/kardex.js";
+import { filtroSucursal } from "../utils/sucursales.js";
+import { eventosStock } from "../utils/eventos.js";
+import {
+  calcularEtiquetaBalanza,
+  decodificarCodigoBalanza,
+  esUnidadFraccionable,
+  redondearCantidad,
+  validarFormatoBalanza
+} from "../utils/balanza.js";
+
+// Diferencia máxima aceptada al cuadrar pagos contra el total (redondeo de decimales)
+const TOLERANCIA_MONTO = 0.01;
+
+const redondear = (monto) => Math.round(monto * 100) / 100;
+
+// Los precios de `productos` incluyen IVA
+const TASA_IVA = parseFloat(process.env.IVA_TASA || "0.19");
+const TIPOS_DOCUMENTO = ["boleta", "factura"];
+
+// Columnas por las que se puede ordenar el listado de ventas
+const ORDENES_VENTAS = {
+  fecha: "v.fecha",
+  total: "v.total",
+  deuda: "v.deuda",
+  folio: "v.folio",
+  id: "v.id",
+};
+const LIMITE_MAXIMO_VENTAS = 200;
+
+// Separa el total en neto, IVA y exento. El descuento general se reparte en
+// proporción entre la parte afecta y la exenta.
+const calcularImpuestos = (lineas, descuentoGeneral) => {
+  const afectoBruto = lineas.filter(l => !l.exento).reduce((sum, l) => sum + l.precio * l.cantidad, 0);
+  const exentoBruto = lineas.filter(l => l.exento).reduce((sum, l) => sum + l.precio * l.cantidad, 0);
+  const bruto = afectoBruto + exentoBruto;
+
+  const proporcionAfecta = bruto > 0 ? afectoBruto / bruto : 0;
+  const afecto = redondear(afectoBruto - descuentoGeneral * proporcionAfecta);
+  const exento = redondear(exentoBruto - descuentoGeneral * (1 - proporcionAfecta));
+  const neto = redondear(afecto / (1 + TASA_IVA));
+
+  return { neto, iva: redondear(afecto - neto), exento };
+};
+
+// Fracción del precio de cada línea que se pagó después del descuento general.
+// venta_detalles.precio ya trae las promociones pero no el descuento general, que es
+// ventas.descuento menos lo ahorrado por línea; se reparte igual que en calcularImpuestos.
+const factorDescuentoGeneral = (detalles, descuento) => {
+  let bruto = 0;
+  let descuentoLineas = 0;
+  for (const detalle of detalles) {
+    const cantidad = parseFloat(detalle.cantidad);
+    const precio = parseFloat(detalle.precio);
+    const precioLista = detalle.precio_lista != null ? parseFloat(detalle.precio_lista) : precio;
+    bruto += precio * cantidad;
+    descuentoLineas += redondear(precioLista * cantidad) - redondear(precio * cantidad);
+  }
+  const descuentoGeneral = Math.max(redondear((parseFloat(descuento) || 0) - descuentoLineas), 0);
+  return bruto > 0 ? Math.max(1 - descuentoGeneral / bruto, 0) : 1;
+};
+
+// Error de validación que se responde con un código HTTP distinto de 500
+const errorVenta = (status, message, detalle = {}) => Object.assign(new Error(message), { status, detalle });
+
+// Normaliza los pagos de una venta contra el total calculado por el servidor. Si no
+// se envía `pagos`, se arma un único pago con el formato anterior (metodo_pago +
+// recibido + transfer) para no romper a los clientes existentes. El vuelto siempre
+// lo calcula el servidor. Devuelve { pagos } o { error }.
+const normalizarPagos = ({ pagos, metodo_pago, total, recibido, deuda, transfer }) => {
+  if (pagos == null) {
+    const monto = redondear(total - deuda);
+    if (monto <= TOLERANCIA_MONTO) {
+      return { pagos: [] };
+    }
+    pagos = [{
+      metodo_pago,
+      monto,
+      recibido,
+      titular: transfer?.titular || null,
+      banco: transfer?.banco || null
+    }];
+  }
+
+  if (!Array.isArray(pagos)) {
+    return { error: "El campo pagos debe ser una lista" };
+  }
+
+  const normalizados = [];
+  for (const pago of pagos) {
+    const monto = parseFloat(pago.monto);
+    if (!pago.metodo_pago || isNaN(monto) || monto <= 0) {
+      return { error: "Cada pago debe indicar método de pago y un monto mayor a cero" };
+    }
+
+    // Solo el efectivo admite vuelto; el resto de los métodos se cobra exacto
+    let recibidoPago = monto;
+    if (pago.metodo_pago === "efectivo" && pago.recibido != null) {
+      recibidoPago = parseFloat(pago.recibido);
+      if (isNaN(recibidoPago) || recibidoPago + TOLERANCIA_MONTO < monto) {
+        return { error: "El efectivo recibido no puede ser menor al monto del pago" };
+      }
+    }
+
+    normalizados.push({
+      metodo_pago: pago.metodo_pago,
+      monto,
+      recibido: recibidoPago,
+      cambio: redondear(Math.max(recibidoPago - monto, 0)),
+      titular: pago.titular || null,
+      banco: pago.banco || null,
+      referencia: pago.referencia || null
+    });
+  }
+
+  const pagado = normalizados.reduce((sum, p) => sum + p.monto, 0);
+  if (Math.abs(pagado + deuda - total) > TOLERANCIA_MONTO) {
+    return {
+      error: `Los pagos (${pagado}) más la deuda (${deuda}) no cuadran con el total (${total})`
+    };
+  }
+
+  return { pagos: normalizados };
+};
+
+// Método de pago que se guarda en `ventas`: el único usado, 'mixto' o 'credito'
+const resumirMetodoPago = (pagos) => {
+  const metodos = [...new Set(pagos.map(p => p.metodo_pago))];
+  if (metodos.length === 1) return metodos[0];
+  return metodos.length > 1 ? "mixto" : "credito";
+};
 
 const createSalesRouter = (pool) => {
   const router = express.Router();
@@ -35,7 +169,11 @@ const createSalesRouter = (pool) => {
               can_view_customers: true,
               can_edit_customers: false,
               can_view_reports: false,
-              can_manage_stock: false
+              can_manage_stock: false,
+              can_void_sales: false,
+              can_override_prices: false,
+              can_override_credit: false,
+              can_count_inventory: false
             };
           }
 
@@ -61,184 +199,1082 @@ const createSalesRouter = (pool) => {
     };
   };
 
-  // ===================== REGISTRAR NUEVA VENTA =====================
+  // Consulta un permiso puntual del usuario (los administradores tienen todos)
+  const tienePermiso = async (db, user, permiso) => {
+    if (user.rol === "admin") return true;
+
+    const result = await db.query(
+      "SELECT permissions FROM user_permissions WHERE user_id = $1",
+      [user.id]
+    );
+    return Boolean(result.rows[0]?.permissions?.[permiso]);
+  };
+
+  // Formato de etiqueta de balanza configurado en la tienda (o el por defecto)
+  const obtenerFormatoBalanza = async (db) => {
+    const result = await db.query("SELECT formato_balanza FROM configuracion_tienda WHERE id = 1");
+    const { formato } = validarFormatoBalanza(result.rows[0]?.formato_balanza || {});
+    return formato || validarFormatoBalanza().formato;
+  };
+
+  const obtenerPromocionesVigentes = async (db) => {
+    const result = await db.query(`
+      SELECT * FROM promociones
+      WHERE activa
+        AND (fecha_inicio IS NULL OR fecha_inicio <= NOW())
+        AND (fecha_fin IS NULL OR fecha_fin >= NOW())
+    `);
+    return result.rows;
+  };
 
-router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) => {
-    console.log("🛒 REGISTRANDO NUEVA VENTA - Datos recibidos:", JSON.stringify(req.body, null, 2));
+  // ===================== REGISTRAR NUEVA VENTA =====================
 
+// Registra una venta dentro de la transacción abierta en `client`. Los errores de
+// validación se lanzan con errorVenta(); quien llama hace COMMIT o ROLLBACK.
+const registrarVenta = async (client, datos, user) => {
     const {
-        total,
+        total, // Opcional: si viene, debe coincidir con el calculado por el servidor
         recibido,
-        cambio,
         metodo_pago,
         cliente_id, // Puede ser null
         deuda = 0,
+        descuento = 0,
         user_id,
         items = [],
         transfer = null,
-    } = req.body;
-
-    // Validaciones
-    if (total == null || recibido == null || cambio == null || !metodo_pago || !user_id || !Array.isArray(items)) {
-        return res.status(400).json({ error: "Datos de venta incompletos o inválidos" });
+        pagos = null,
+        tipo_documento = "boleta",
+        fecha_captura = null, // Momento en que se capturó la venta si se registró sin conexión
+        autorizar_credito = false, // Vender a crédito aunque el cliente exceda su límite o tenga deuda vencida
+    } = datos;
+
+    // Validaciones: sin lista de pagos se exige el formato anterior de pago único
+    const pagoUnicoIncompleto = pagos == null && (recibido == null || !metodo_pago);
+    if (pagoUnicoIncompleto || !user_id || !Array.isArray(items) || items.length === 0) {
+        throw errorVenta(400, "Datos de venta incompletos o inválidos");
     }
 
     // Asegurarse de que los valores null se pasen correctamente a la consulta
     const clienteIdFinal = cliente_id ? parseInt(cliente_id) : null;
-    const titular = transfer?.titular || null;
-    const banco = transfer?.banco || null;
     const deudaFinal = parseFloat(deuda) || 0;
+    const descuentoGeneral = parseFloat(descuento) || 0;
+
+    if (deudaFinal < 0 || descuentoGeneral < 0) {
+        throw errorVenta(400, "La deuda y el descuento no pueden ser negativos");
+    }
+
+    if (!TIPOS_DOCUMENTO.includes(tipo_documento)) {
+        throw errorVenta(400, "El tipo de documento debe ser 'boleta' o 'factura'");
+    }
+    if (tipo_documento === "factura" && !clienteIdFinal) {
+        throw errorVenta(400, "La factura requiere un cliente");
+    }
+    if (fecha_captura && isNaN(Date.parse(fecha_captura))) {
+        throw errorVenta(400, "Fecha de captura inválida");
+    }
 
     console.log("🔍 Procesando venta con cliente_id:", clienteIdFinal);
     console.log("🔍 Procesando venta con deuda:", { deuda: deudaFinal, cliente_id: clienteIdFinal });
 
-    let client;
-    try {
-        client = await pool.connect();
-        console.log("✅ Conexión a BD obtenida");
+    // Toda venta queda asociada a la caja abierta del usuario que la registra y a su sucursal
+    const sesionResult = await client.query(
+        "SELECT id, sucursal_id FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta'",
+        [user.id]
+    );
 
-        await client.query('BEGIN');
-        console.log("✅ Transacción iniciada");
+    if (sesionResult.rows.length === 0) {
+        throw errorVenta(400, "Debes abrir la caja antes de registrar ventas");
+    }
 
-        // Insertar venta CON la deuda
-        const ventaQuery = `
-            INSERT INTO ventas
-            (total, recibido, cambio, metodo_pago, cliente_id, deuda, user_id, titular_transferencia, banco_transferencia)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING id, deuda
-        `;
+    const cajaSesionId = sesionResult.rows[0].id;
+    const sucursalId = sesionResult.rows[0].sucursal_id;
 
-        const ventaResult = await client.query(ventaQuery, [
-            total,
-            recibido,
-            cambio,
-            metodo_pago,
-            clienteIdFinal, // Aquí se usa el valor que puede ser null
-            deudaFinal,
-            user_id,
-            titular, // Puede ser null
-            banco,   // Puede ser null
-        ]);
-
-        const ventaId = ventaResult.rows[0].id;
-        const deudaGuardada = ventaResult.rows[0].deuda;
-
-        console.log("✅ Venta registrada con ID:", ventaId, "Deuda guardada:", deudaGuardada);
-
-        // Procesar items
-        for (const item of items) {
-            console.log("🔍 Procesando item:", item);
-            
-            const productoResult = await client.query(
-                "SELECT name, purchase_price, stock FROM productos WHERE id = $1",
-                [item.producto_id]
+    if (tipo_documento === "factura") {
+        const clienteFactura = await client.query(
+            "SELECT rut FROM clientes WHERE id = $1",
+            [clienteIdFinal]
+        );
+        if (clienteFactura.rows.length === 0) {
+            throw errorVenta(400, "Cliente no encontrado para emitir la factura");
+        }
+        if (!validarRut(clienteFactura.rows[0].rut)) {
+            throw errorVenta(400, "El cliente no tiene un RUT válido para emitir factura");
+        }
+    }
+    const puedeModificarPrecios = await tienePermiso(client, user, "can_override_prices");
+
+    const promociones = await obtenerPromocionesVigentes(client);
+
+    // Calcular precios desde `productos` aplicando la mejor promoción vigente; el
+    // precio enviado por el cliente solo se acepta como modificación si el usuario
+    // tiene permiso para hacerlo (y en ese caso no se aplican promociones)
+    const lineas = [];
+    let formatoBalanza = null;
+    for (const item of items) {
+        console.log("🔍 Procesando item:", item);
+
+        // Etiqueta de balanza: el PLU debe ser del producto y la cantidad sale del código
+        let etiqueta = null;
+        if (item.codigo_balanza) {
+            if (!formatoBalanza) formatoBalanza = await obtenerFormatoBalanza(client);
+            etiqueta = decodificarCodigoBalanza(item.codigo_balanza, formatoBalanza);
+            if (!etiqueta) {
+                throw errorVenta(400, `Código de balanza inválido: ${item.codigo_balanza}`, { producto_id: item.producto_id });
+            }
+        }
+
+        let cantidad = etiqueta ? null : redondearCantidad(parseFloat(item.cantidad));
+        if (!etiqueta && (!cantidad || cantidad <= 0)) {
+            throw errorVenta(400, `Cantidad inválida para el producto ${item.producto_id}`);
+        }
+
+        // Código de pack: la cantidad escaneada se convierte a unidades del producto base
+        if (!etiqueta && item.codigo_barra) {
+            const codigoResult = await client.query(
+                "SELECT producto_id, factor FROM codigos_barra WHERE codigo = $1",
+                [String(item.codigo_barra)]
             );
+            if (codigoResult.rows.length === 0 || codigoResult.rows[0].producto_id !== parseInt(item.producto_id)) {
+                throw errorVenta(400, `El código ${item.codigo_barra} no corresponde al producto ${item.producto_id}`, {
+                    producto_id: item.producto_id
+                });
+            }
+            cantidad = redondearCantidad(cantidad * parseFloat(codigoResult.rows[0].factor));
+        }
+
+        // El stock que se puede vender es el de la sucursal de la caja
+        const productoResult = await client.query(
+            `SELECT p.name, p.price, p.purchase_price, COALESCE(ss.stock, 0) AS stock, p.categoria_id, p.exento,
+                    p.stock_minimo, p.stock_unit, p.plu, p.archivado
+             FROM productos p
+             LEFT JOIN stock_sucursales ss ON ss.producto_id = p.id AND ss.sucursal_id = $2
+             WHERE p.id = $1
+             FOR UPDATE OF p`,
+            [item.producto_id, sucursalId]
+        );
+
+        if (productoResult.rows.length === 0) {
+            throw errorVenta(404, `Producto con ID ${item.producto_id} no encontrado`, { producto_id: item.producto_id });
+        }
+
+        const producto = productoResult.rows[0];
+        const precioLista = parseFloat(producto.price) || 0;
 
-            if (productoResult.rows.length === 0) {
-                throw new Error(`Producto con ID ${item.producto_id} no encontrado`);
+        if (producto.archivado) {
+            throw errorVenta(400, `${producto.name} está archivado y no se puede vender`, { producto_id: item.producto_id });
+        }
+
+        let importeEtiqueta = null;
+        if (etiqueta) {
+            if (producto.plu == null || parseInt(producto.plu) !== etiqueta.plu) {
+                throw errorVenta(400, `El código de balanza no corresponde a ${producto.name}`, {
+                    producto_id: item.producto_id,
+                    plu: etiqueta.plu
+                });
+            }
+            const calculo = calcularEtiquetaBalanza(etiqueta, precioLista);
+            cantidad = calculo.cantidad;
+            if (!cantidad) {
+                throw errorVenta(400, `No se pudo calcular la cantidad de ${producto.name} desde la etiqueta`);
             }
+            if (etiqueta.tipo === "precio") importeEtiqueta = calculo.total;
+        } else if (!esUnidadFraccionable(producto.stock_unit) && !Number.isInteger(cantidad)) {
+            throw errorVenta(400, `${producto.name} se vende por unidades enteras`, {
+                producto_id: item.producto_id,
+                stock_unit: producto.stock_unit
+            });
+        }
 
-            const producto = productoResult.rows[0];
+        if (cantidad > parseFloat(producto.stock)) {
+            // Conflicto típico de ventas capturadas sin conexión: otro terminal vendió antes
+            throw errorVenta(409, `Stock insuficiente para ${producto.name}`, {
+                conflicto: "stock",
+                producto_id: item.producto_id,
+                sucursal_id: sucursalId,
+                stock_disponible: parseFloat(producto.stock),
+                cantidad_solicitada: cantidad
+            });
+        }
 
-            if (item.cantidad > producto.stock) {
-                throw new Error(`Stock insuficiente para ${producto.name}`);
+        const promocion = importeEtiqueta != null ? null : mejorPromocion(promociones, {
+            producto_id: item.producto_id,
+            categoria_id: producto.categoria_id,
+            cantidad,
+            precio_lista: precioLista
+        });
+        const precioPromocion = promocion ? precioLista - promocion.descuento / cantidad : precioLista;
+        const precioEnviado = item.precio != null ? parseFloat(item.precio) : null;
+
+        // Con etiqueta de precio se cobra lo impreso: el precio unitario se ajusta a ese monto
+        let precio = importeEtiqueta != null ? importeEtiqueta / cantidad : precioPromocion;
+        let precioModificado = false;
+
+        if (importeEtiqueta == null && precioEnviado != null
+            && Math.abs(precioEnviado - precioLista) > TOLERANCIA_MONTO
+            && Math.abs(precioEnviado - precioPromocion) > TOLERANCIA_MONTO) {
+            if (!puedeModificarPrecios) {
+                throw errorVenta(403, `No tienes permiso para modificar el precio de ${producto.name}`, {
+                    producto_id: item.producto_id,
+                    precio_lista: precioLista
+                });
             }
+            precio = precioEnviado;
+            if (precio < 0) {
+                throw errorVenta(400, `Precio inválido para ${producto.name}`);
+            }
+            precioModificado = true;
+        }
 
-            // Insertar detalle de venta
-            await client.query(
-                "INSERT INTO venta_detalles (venta_id, producto_id, cantidad, precio, purchase_price) VALUES ($1, $2, $3, $4, $5)",
-                [ventaId, item.producto_id, item.cantidad, item.precio, producto.purchase_price]
-            );
+        lineas.push({
+            producto_id: item.producto_id,
+            cantidad,
+            precio,
+            precio_lista: precioLista,
+            precio_modificado: precioModificado,
+            motivo_precio: precioModificado ? (item.motivo_precio || null) : null,
+            promocion: precioModificado ? null : promocion,
+            exento: Boolean(producto.exento),
+            purchase_price: producto.purchase_price,
+            producto_nombre: producto.name,
+            stock_minimo: parseFloat(producto.stock_minimo) || 0
+        });
+    }
 
-            // Actualizar stock
-            await client.query(
-                "UPDATE productos SET stock = stock - $1 WHERE id = $2",
-                [item.cantidad, item.producto_id]
-            );
+    if (descuentoGeneral > 0 && !puedeModificarPrecios) {
+        throw errorVenta(403, "No tienes permiso para aplicar descuentos");
+    }
+
+    // Cada línea se redondea por separado, igual que se imprime en el comprobante
+    const subtotal = redondear(lineas.reduce((sum, l) => sum + redondear(l.precio_lista * l.cantidad), 0));
+    const descuentoLineas = redondear(lineas.reduce(
+        (sum, l) => sum + redondear(l.precio_lista * l.cantidad) - redondear(l.precio * l.cantidad), 0));
+    const descuentoTotal = redondear(descuentoLineas + descuentoGeneral);
+    const totalCalculado = redondear(subtotal - descuentoTotal);
+
+    if (totalCalculado < 0) {
+        throw errorVenta(400, "El descuento no puede superar el subtotal");
+    }
+    if (total != null && Math.abs(parseFloat(total) - totalCalculado) > TOLERANCIA_MONTO) {
+        throw errorVenta(409, "El total enviado no coincide con el calculado por el servidor", {
+            total_enviado: parseFloat(total),
+            total_calculado: totalCalculado
+        });
+    }
+    if (deudaFinal > totalCalculado + TOLERANCIA_MONTO) {
+        throw errorVenta(400, "La deuda no puede superar el total de la venta");
+    }
+
+    // Control de crédito: la nueva deuda no puede superar el límite del cliente ni
+    // otorgarse si tiene deuda vencida según su plazo de pago, salvo autorización
+    let creditoAutorizadoPor = null;
+    if (clienteIdFinal && deudaFinal > 0) {
+        // Bloquear al cliente serializa las ventas a crédito concurrentes
+        const clienteCredito = await client.query(
+            "SELECT id, limite_credito, plazo_dias FROM clientes WHERE id = $1 FOR UPDATE",
+            [clienteIdFinal]
+        );
+        if (clienteCredito.rows.length === 0) {
+            throw errorVenta(404, "Cliente no encontrado");
         }
 
-        // ACTUALIZAR SALDO DEL CLIENTE SI HAY DEUDA
-        if (clienteIdFinal && deudaFinal > 0) {
-            console.log("💰 Actualizando saldo del cliente por deuda:", {
-                cliente_id: clienteIdFinal,
-                deuda: deudaFinal
-            });
+        const { limite_credito, plazo_dias } = clienteCredito.rows[0];
+        const deudaResult = await client.query(`
+            SELECT
+                COALESCE(SUM(deuda), 0) AS deuda_actual,
+                COALESCE(SUM(deuda) FILTER (WHERE fecha < NOW() - make_interval(days => $2)), 0) AS deuda_vencida
+            FROM ventas
+            WHERE cliente_id = $1 AND deuda > 0 AND COALESCE(estado, 'completada') <> 'anulada'
+        `, [clienteIdFinal, plazo_dias ?? 30]);
+
+        const deudaActual = parseFloat(deudaResult.rows[0].deuda_actual);
+        const deudaVencida = parseFloat(deudaResult.rows[0].deuda_vencida);
+        const limite = limite_credito != null ? parseFloat(limite_credito) : null;
+
+        const motivos = [];
+        if (limite != null && deudaActual + deudaFinal > limite + TOLERANCIA_MONTO) motivos.push("limite_excedido");
+        if (deudaVencida > 0) motivos.push("deuda_vencida");
+
+        if (motivos.length > 0) {
+            const detalleCredito = {
+                conflicto: "credito",
+                motivos,
+                limite_credito: limite,
+                deuda_actual: deudaActual,
+                deuda_vencida: deudaVencida,
+                deuda_solicitada: deudaFinal,
+                credito_disponible: limite != null ? redondear(Math.max(limite - deudaActual, 0)) : null
+            };
+
+            if (!autorizar_credito) {
+                throw errorVenta(409, motivos.includes("deuda_vencida")
+                    ? "El cliente tiene deuda vencida"
+                    : "La deuda supera el límite de crédito del cliente", { ...detalleCredito, requiere_autorizacion: true });
+            }
+            if (!(await tienePermiso(client, user, "can_override_credit"))) {
+                throw errorVenta(403, "No tienes permiso para autorizar ventas fuera del límite de crédito", detalleCredito);
+            }
+            creditoAutorizadoPor = user.id;
+            console.log("⚠️ Venta a crédito autorizada fuera de condiciones:", { cliente_id: clienteIdFinal, motivos });
+        }
+    }
 
-            // Código para actualizar el saldo del cliente... (sin cambios)
-            const clienteExists = await client.query(
-                "SELECT id, nombre FROM clientes WHERE id = $1",
-                [clienteIdFinal]
-            );
+    const pagosResult = normalizarPagos({
+        pagos, metodo_pago, total: totalCalculado, recibido, deuda: deudaFinal, transfer
+    });
+    if (pagosResult.error) {
+        throw errorVenta(400, pagosResult.error);
+    }
 
-            if (clienteExists.rows.length === 0) {
-                console.log("⚠️ Cliente no encontrado, omitiendo actualización de saldo");
-            } else {
-                console.log("👤 Cliente encontrado:", clienteExists.rows[0].nombre);
+    const pagosVenta = pagosResult.pagos;
+    const metodoPagoFinal = pagos == null ? metodo_pago : resumirMetodoPago(pagosVenta);
+    const recibidoFinal = redondear(pagosVenta.reduce((sum, p) => sum + p.recibido, 0));
+    const cambioFinal = redondear(pagosVenta.reduce((sum, p) => sum + p.cambio, 0));
+    const pagoTransferencia = pagosVenta.find(p => p.titular || p.banco);
+    const titular = pagoTransferencia?.titular || null;
+    const banco = pagoTransferencia?.banco || null;
+
+    const { neto, iva, exento } = calcularImpuestos(lineas, descuentoGeneral);
+
+    // El folio se toma dentro de la transacción: el bloqueo de la fila evita
+    // duplicados y, si la venta falla, el ROLLBACK lo devuelve (sin saltos)
+    const folioResult = await client.query(
+        "UPDATE folios SET ultimo_folio = ultimo_folio + 1 WHERE tipo_documento = $1 RETURNING ultimo_folio",
+        [tipo_documento]
+    );
+    if (folioResult.rows.length === 0) {
+        throw new Error(`No hay numeración configurada para ${tipo_documento}`);
+    }
+    const folio = folioResult.rows[0].ultimo_folio;
+
+    // Insertar venta CON la deuda
+    const ventaQuery = `
+        INSERT INTO ventas
+        (total, recibido, cambio, metodo_pago, cliente_id, deuda, user_id, titular_transferencia, banco_transferencia,
+         caja_sesion_id, subtotal, descuento, descuento_autorizado_por, tipo_documento, folio, neto, iva, exento,
+         capturada_en, credito_autorizado_por, sucursal_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+        RETURNING id, deuda
+    `;
+
+    const ventaResult = await client.query(ventaQuery, [
+        totalCalculado,
+        recibidoFinal,
+        cambioFinal,
+        metodoPagoFinal,
+        clienteIdFinal, // Aquí se usa el valor que puede ser null
+        deudaFinal,
+        user_id,
+        titular, // Puede ser null
+        banco,   // Puede ser null
+        cajaSesionId,
+        subtotal,
+        descuentoTotal,
+        descuentoTotal > 0 ? user.id : null,
+        tipo_documento,
+        folio,
+        neto,
+        iva,
+        exento,
+        fecha_captura,
+        creditoAutorizadoPor,
+        sucursalId,
+    ]);
+
+    const ventaId = ventaResult.rows[0].id;
+    const deudaGuardada = ventaResult.rows[0].deuda;
+
+    console.log("✅ Venta registrada con ID:", ventaId, "Deuda guardada:", deudaGuardada);
+
+    // Registrar el desglose de pagos
+    for (const pago of pagosVenta) {
+        await client.query(
+            `INSERT INTO venta_pagos (venta_id, metodo_pago, monto, recibido, cambio, titular, banco, referencia)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [ventaId, pago.metodo_pago, pago.monto, pago.recibido, pago.cambio, pago.titular, pago.banco, pago.referencia]
+        );
+    }
 
-                // Permisos...
-                if (req.user.rol === "vendedor") {
-                    const permisosResult = await client.query(
-                        "SELECT permissions FROM user_permissions WHERE user_id = $1",
-                        [req.user.id]
-                    );
+    // Procesar items
+    const alertasStock = [];
+    for (const linea of lineas) {
+        // Insertar detalle de venta
+        await client.query(
+            `INSERT INTO venta_detalles
+             (venta_id, producto_id, cantidad, precio, purchase_price, precio_lista, precio_modificado_por, motivo_precio,
+              promocion_id, descuento_promocion)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [
+                ventaId,
+                linea.producto_id,
+                linea.cantidad,
+                linea.precio,
+                linea.purchase_price,
+                linea.precio_lista,
+                linea.precio_modificado ? user.id : null,
+                linea.motivo_precio,
+                linea.promocion?.promocion_id || null,
+                linea.promocion ? redondear(linea.promocion.descuento) : 0
+            ]
+        );
+
+        // Descontar stock dejando el movimiento en el kardex
+        const movimiento = await moverStock(client, {
+            producto_id: linea.producto_id,
+            cantidad: -linea.cantidad,
+            motivo: "venta",
+            user_id: user.id,
+            documento_tipo: "venta",
+            documento_id: ventaId,
+            sucursal_id: sucursalId
+        });
+
+        // Alerta solo cuando esta venta cruza el mínimo, no en cada venta posterior
+        const saldo = parseFloat(movimiento.saldo);
+        if (linea.stock_minimo > 0 && saldo <= linea.stock_minimo && saldo + linea.cantidad > linea.stock_minimo) {
+            alertasStock.push({
+                producto_id: linea.producto_id,
+                producto_nombre: linea.producto_nombre,
+                stock: saldo,
+                stock_minimo: linea.stock_minimo,
+                venta_id: ventaId,
+                sucursal_id: sucursalId
+            });
+        }
+    }
 
-                    let userPermissions = { can_edit_customers: false };
-                    if (permisosResult.rows.length > 0) {
-                        userPermissions = permisosResult.rows[0].permissions;
-                    }
-
-                    if (!userPermissions.can_edit_customers) {
-                        console.log("⚠️ Vendedor no tiene permiso para editar clientes, omitiendo actualización de saldo");
-                    } else {
-                        await client.query(
-                            "UPDATE clientes SET saldo_pendiente = saldo_pendiente + $1 WHERE id = $2",
-                            [deudaFinal, clienteIdFinal]
-                        );
-                        console.log("✅ Saldo del cliente actualizado por deuda");
-                    }
+    // ACTUALIZAR SALDO DEL CLIENTE SI HAY DEUDA
+    let deudaEnCliente = false;
+    if (clienteIdFinal && deudaFinal > 0) {
+        console.log("💰 Actualizando saldo del cliente por deuda:", {
+            cliente_id: clienteIdFinal,
+            deuda: deudaFinal
+        });
+
+        // Código para actualizar el saldo del cliente... (sin cambios)
+        const clienteExists = await client.query(
+            "SELECT id, nombre FROM clientes WHERE id = $1",
+            [clienteIdFinal]
+        );
+
+        if (clienteExists.rows.length === 0) {
+            console.log("⚠️ Cliente no encontrado, omitiendo actualización de saldo");
+        } else {
+            console.log("👤 Cliente encontrado:", clienteExists.rows[0].nombre);
+
+            // Permisos...
+            if (user.rol === "vendedor") {
+                const permisosResult = await client.query(
+                    "SELECT permissions FROM user_permissions WHERE user_id = $1",
+                    [user.id]
+                );
+
+                let userPermissions = { can_edit_customers: false };
+                if (permisosResult.rows.length > 0) {
+                    userPermissions = permisosResult.rows[0].permissions;
+                }
+
+                if (!userPermissions.can_edit_customers) {
+                    console.log("⚠️ Vendedor no tiene permiso para editar clientes, omitiendo actualización de saldo");
                 } else {
                     await client.query(
                         "UPDATE clientes SET saldo_pendiente = saldo_pendiente + $1 WHERE id = $2",
                         [deudaFinal, clienteIdFinal]
                     );
-                    console.log("✅ Saldo del cliente actualizado por deuda (admin)");
+                    deudaEnCliente = true;
+                    console.log("✅ Saldo del cliente actualizado por deuda");
                 }
+            } else {
+                await client.query(
+                    "UPDATE clientes SET saldo_pendiente = saldo_pendiente + $1 WHERE id = $2",
+                    [deudaFinal, clienteIdFinal]
+                );
+                deudaEnCliente = true;
+                console.log("✅ Saldo del cliente actualizado por deuda (admin)");
             }
         }
 
-        await client.query('COMMIT');
-        console.log("✅ Transacción confirmada");
+        // Las devoluciones solo descuentan del saldo del cliente lo que se le cargó aquí
+        if (deudaEnCliente) {
+            await client.query("UPDATE ventas SET deuda_en_cliente = TRUE WHERE id = $1", [ventaId]);
+        }
+    }
 
-        res.json({
-            success: true,
-            venta_id: ventaId,
-            deuda_guardada: deudaGuardada,
-            message: "Venta registrada exitosamente"
-        });
+    return {
+        success: true,
+        venta_id: ventaId,
+        caja_sesion_id: cajaSesionId,
+        sucursal_id: sucursalId,
+        tipo_documento,
+        folio,
+        subtotal,
+        descuento: descuentoTotal,
+        neto,
+        iva,
+        exento,
+        total: totalCalculado,
+        cambio: cambioFinal,
+        metodo_pago: metodoPagoFinal,
+        pagos: pagosVenta,
+        promociones_aplicadas: lineas
+            .filter(l => l.promocion)
+            .map(l => ({ producto_id: l.producto_id, ...l.promocion, descuento: redondear(l.promocion.descuento) })),
+        deuda_guardada: deudaGuardada,
+        credito_autorizado: creditoAutorizadoPor != null,
+        alertas_stock: alertasStock,
+        message: "Venta registrada exitosamente"
+    };
+};
 
-    } catch (error) {
-        if (client) {
-            await client.query('ROLLBACK');
-            console.log("🔁 Transacción revertida");
+  // Abre la transacción de una venta y aplica la clave de idempotencia: si el usuario
+  // ya usó la clave, devuelve la respuesta original sin registrar la venta otra vez.
+  // Devuelve { status, body } para que lo usen tanto la venta individual como el lote.
+  // `preparar(client, datos)` puede completar los datos dentro de la transacción y
+  // `completar(client, respuesta)` agregar campos a la respuesta antes del COMMIT.
+  const procesarVenta = async (datos, user, claveIdempotencia = null, { preparar, completar } = {}) => {
+    const buscarRespuestaPrevia = async (db) => {
+      const previa = await db.query(
+        "SELECT respuesta FROM ventas_idempotencia WHERE user_id = $1 AND clave = $2",
+        [user.id, claveIdempotencia]
+      );
+      return previa.rows[0] ? { status: 200, body: { ...previa.rows[0].respuesta, duplicada: true } } : null;
+    };
+
+    let client;
+    try {
+      client = await pool.connect();
+      console.log("✅ Conexión a BD obtenida");
+
+      await client.query('BEGIN');
+      console.log("✅ Transacción iniciada");
+
+      if (claveIdempotencia) {
+        const previa = await buscarRespuestaPrevia(client);
+        if (previa) {
+          await client.query('ROLLBACK');
+          console.log("♻️ Venta duplicada, se devuelve el resultado original:", claveIdempotencia);
+          return previa;
         }
+      }
 
-        console.error("❌ ERROR al registrar venta:", error.message);
+      if (preparar) {
+        datos = await preparar(client, datos);
+      }
 
-        res.status(500).json({
-            error: "Error al registrar venta",
-            message: error.message
-        });
-    } finally {
-        if (client) {
-            client.release();
-            console.log("🔗 Conexión liberada");
+      let respuesta = await registrarVenta(client, datos, user);
+      if (completar) {
+        respuesta = { ...respuesta, ...(await completar(client, respuesta)) };
+      }
+
+      if (claveIdempotencia) {
+        await client.query(
+          "INSERT INTO ventas_idempotencia (clave, venta_id, user_id, respuesta) VALUES ($1, $2, $3, $4)",
+          [claveIdempotencia, respuesta.venta_id, user.id, JSON.stringify(respuesta)]
+        );
+      }
+
+      await client.query('COMMIT');
+      console.log("✅ Transacción confirmada");
+
+      for (const alerta of respuesta.alertas_stock || []) {
+        console.log("⚠️ Producto bajo su stock mínimo:", alerta);
+        eventosStock.emit("stock_bajo", alerta);
+      }
+
+      return { status: 200, body: respuesta };
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+
+      // Otra petición con la misma clave se confirmó primero: se devuelve su resultado
+      if (claveIdempotencia && error.code === '23505') {
+        const previa = await buscarRespuestaPrevia(pool);
+        if (previa) return previa;
+      }
+
+      console.error("❌ ERROR al registrar venta:", error.message);
+
+      return {
+        status: error.status || 500,
+        body: {
+          error: "Error al registrar venta",
+          message: error.message,
+          ...error.detalle
         }
+      };
+    } finally {
+      if (client) {
+        client.release();
+        console.log("🔗 Conexión liberada");
+      }
     }
+  };
+
+  const obtenerClaveIdempotencia = (req, datos = req.body) =>
+    datos.idempotency_key || (datos === req.body ? req.get("Idempotency-Key") : null) || null;
+
+router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) => {
+    console.log("🛒 REGISTRANDO NUEVA VENTA - Datos recibidos:", JSON.stringify(req.body, null, 2));
+
+    const { status, body } = await procesarVenta(req.body, req.user, obtenerClaveIdempotencia(req));
+    res.status(status).json(body);
 });
+
+  // ===================== SINCRONIZAR VENTAS CAPTURADAS SIN CONEXIÓN =====================
+  // Cada venta del lote se registra en su propia transacción, en el orden recibido.
+  // Un error (p. ej. falta de stock) no afecta a las demás; se informa por venta.
+  const MAXIMO_VENTAS_LOTE = 100;
+
+  router.post("/batch", verificarPermisosVentas("can_create_sales"), async (req, res) => {
+    const { ventas } = req.body;
+
+    if (!Array.isArray(ventas) || ventas.length === 0) {
+      return res.status(400).json({ error: "Debe enviar la lista de ventas a sincronizar" });
+    }
+    if (ventas.length > MAXIMO_VENTAS_LOTE) {
+      return res.status(400).json({ error: `El lote no puede superar las ${MAXIMO_VENTAS_LOTE} ventas` });
+    }
+    if (ventas.some(venta => !venta?.idempotency_key)) {
+      return res.status(400).json({ error: "Cada venta del lote debe incluir su idempotency_key" });
+    }
+
+    console.log(`🔄 SINCRONIZANDO LOTE DE ${ventas.length} VENTAS - Usuario:`, req.user.id);
+
+    const resultados = [];
+    for (const [indice, venta] of ventas.entries()) {
+      const { status, body } = await procesarVenta(venta, req.user, obtenerClaveIdempotencia(req, venta));
+      const resultado = { indice, idempotency_key: venta.idempotency_key, status, ok: status === 200 };
+
+      if (resultado.ok) {
+        Object.assign(resultado, {
+          duplicada: Boolean(body.duplicada),
+          venta_id: body.venta_id,
+          folio: body.folio,
+          total: body.total
+        });
+      } else {
+        const { error, message, ...detalle } = body;
+        Object.assign(resultado, { error: message || error, ...detalle });
+      }
+
+      resultados.push(resultado);
+    }
+
+    const resumen = {
+      total: resultados.length,
+      registradas: resultados.filter(r => r.ok && !r.duplicada).length,
+      duplicadas: resultados.filter(r => r.duplicada).length,
+      conflictos_stock: resultados.filter(r => r.conflicto === "stock").length,
+      conflictos_credito: resultados.filter(r => r.conflicto === "credito").length,
+      fallidas: resultados.filter(r => !r.ok).length
+    };
+
+    console.log("✅ Lote sincronizado:", resumen);
+    res.json({ resumen, resultados });
+  });
+
+  // ===================== CARRITOS EN ESPERA Y COTIZACIONES =====================
+  // Un borrador guarda el carrito (cliente, descuento y tipo de documento incluidos)
+  // sin tocar stock, caja ni folios. Al convertirlo se registra con la misma lógica
+  // de POST /sales, así que precios, promociones y stock se validan en ese momento.
+  const TIPOS_BORRADOR = ["carrito", "cotizacion"];
+  const DIAS_VIGENCIA_COTIZACION = parseInt(process.env.DIAS_VIGENCIA_COTIZACION) || 7;
+
+  // El precio de un ítem solo se guarda si se modificó a mano; si no, se usa el vigente
+  const normalizarItemsBorrador = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: "El borrador debe tener al menos un producto" };
+    }
+
+    const normalizados = [];
+    for (const item of items) {
+      const cantidad = parseFloat(item?.cantidad);
+      if (!item?.producto_id || !cantidad || cantidad <= 0) {
+        return { error: "Cada producto debe indicar producto_id y una cantidad mayor a cero" };
+      }
+      normalizados.push({
+        producto_id: parseInt(item.producto_id),
+        cantidad,
+        ...(item.precio != null ? { precio: parseFloat(item.precio), motivo_precio: item.motivo_precio || null } : {})
+      });
+    }
+    return { items: normalizados };
+  };
+
+  // Sucursal de la caja abierta del usuario; null si no tiene caja abierta
+  const sucursalDeCaja = async (db, userId) => {
+    const result = await db.query(
+      "SELECT sucursal_id FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta'",
+      [userId]
+    );
+    return result.rows[0]?.sucursal_id || null;
+  };
+
+  // Precio vigente de cada ítem (lista y mejor promoción) y si hay stock para venderlo.
+  // Con `sucursalId` el stock es el de esa sucursal; sin ella, el consolidado.
+  const cotizarItems = async (db, items, sucursalId = null) => {
+    const promociones = await obtenerPromocionesVigentes(db);
+    const lineas = [];
+
+    for (const item of items) {
+      const productoResult = await db.query(
+        `SELECT p.name, p.sku, p.price, p.categoria_id, p.archivado,
+                CASE WHEN $2::int IS NULL THEN p.stock ELSE COALESCE(ss.stock, 0) END AS stock
+         FROM productos p
+         LEFT JOIN stock_sucursales ss ON ss.producto_id = p.id AND ss.sucursal_id = $2
+         WHERE p.id = $1`,
+        [item.producto_id, sucursalId]
+      );
+      const producto = productoResult.rows[0];
+      if (!producto) {
+        throw errorVenta(404, `Producto con ID ${item.producto_id} no encontrado`, { producto_id: item.producto_id });
+      }
+
+      const precioLista = parseFloat(producto.price) || 0;
+      const promocion = item.precio != null ? null : mejorPromocion(promociones, {
+        producto_id: item.producto_id,
+        categoria_id: producto.categoria_id,
+        cantidad: item.cantidad,
+        precio_lista: precioLista
+      });
+      const subtotal = item.precio != null
+        ? item.precio * item.cantidad
+        : precioLista * item.cantidad - (promocion?.descuento || 0);
+
+      lineas.push({
+        ...item,
+        producto_nombre: producto.name,
+        sku: producto.sku,
+        precio_lista: precioLista,
+        precio: redondear(subtotal / item.cantidad),
+        promocion: promocion ? { promocion_id: promocion.promocion_id, nombre: promocion.nombre } : null,
+        subtotal: redondear(subtotal),
+        stock_disponible: parseFloat(producto.stock),
+        archivado: Boolean(producto.archivado),
+        disponible: !producto.archivado && parseFloat(producto.stock) >= item.cantidad
+      });
+    }
+
+    return lineas;
+  };
+
+  const totalEstimado = (lineas, descuento) =>
+    redondear(Math.max(lineas.reduce((sum, l) => sum + l.subtotal, 0) - descuento, 0));
+
+  // Diferencias entre los precios guardados en el borrador y los actuales
+  const compararPrecios = (cotizadas = [], actuales) => actuales
+    .map((actual, indice) => ({ actual, cotizada: cotizadas[indice] }))
+    .filter(({ actual, cotizada }) => cotizada && Math.abs(parseFloat(actual.precio) - parseFloat(cotizada.precio)) > TOLERANCIA_MONTO)
+    .map(({ actual, cotizada }) => ({
+      producto_id: cotizada.producto_id,
+      precio_cotizado: parseFloat(cotizada.precio),
+      precio_actual: parseFloat(actual.precio)
+    }));
+
+  // Valida los datos comunes al crear o editar un borrador
+  const validarBorrador = ({ tipo, descuento = 0, tipo_documento = "boleta", vence_en = null }) => {
+    if (!TIPOS_BORRADOR.includes(tipo)) {
+      return "El tipo debe ser 'carrito' o 'cotizacion'";
+    }
+    if (isNaN(descuento) || parseFloat(descuento) < 0) {
+      return "El descuento no puede ser negativo";
+    }
+    if (!TIPOS_DOCUMENTO.includes(tipo_documento)) {
+      return "El tipo de documento debe ser 'boleta' o 'factura'";
+    }
+    if (vence_en && (isNaN(Date.parse(vence_en)) || new Date(vence_en) <= new Date())) {
+      return "La fecha de vencimiento debe ser futura";
+    }
+    return null;
+  };
+
+  const estaVencido = (borrador) => Boolean(borrador.vence_en) && new Date(borrador.vence_en) <= new Date();
+
+  const obtenerBorrador = async (db, id, bloquear = false) => {
+    const result = await db.query(
+      `SELECT * FROM ventas_borradores WHERE id = $1${bloquear ? " FOR UPDATE" : ""}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  router.post("/borradores", verificarPermisosVentas("can_create_sales"), async (req, res) => {
+    const { tipo = "carrito", cliente_id = null, descuento = 0, tipo_documento = "boleta", nota = null } = req.body;
+
+    const errorValidacion = validarBorrador({ ...req.body, tipo });
+    if (errorValidacion) {
+      return res.status(400).json({ error: errorValidacion });
+    }
+    const { items, error } = normalizarItemsBorrador(req.body.items);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Las cotizaciones vencen por defecto; los carritos en espera no
+    let venceEn = req.body.vence_en || null;
+    if (!venceEn && tipo === "cotizacion") {
+      venceEn = new Date(Date.now() + DIAS_VIGENCIA_COTIZACION * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    try {
+      const lineas = await cotizarItems(pool, items, await sucursalDeCaja(pool, req.user.id));
+      const descuentoBorrador = parseFloat(descuento) || 0;
+
+      const result = await pool.query(
+        `INSERT INTO ventas_borradores
+         (tipo, user_id, cliente_id, items, lineas_cotizadas, total_estimado, descuento, tipo_documento, nota, vence_en)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          tipo,
+          req.user.id,
+          cliente_id ? parseInt(cliente_id) : null,
+          JSON.stringify(items),
+          JSON.stringify(lineas),
+          totalEstimado(lineas, descuentoBorrador),
+          descuentoBorrador,
+          tipo_documento,
+          nota,
+          venceEn
+        ]
+      );
+
+      console.log(`✅ ${tipo === "cotizacion" ? "Cotización" : "Carrito"} guardado con ID:`, result.rows[0].id);
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error("❌ ERROR al guardar borrador:", error.message);
+      res.status(500).json({ error: "Error al guardar borrador", message: error.message });
+    }
+  });
+
+  router.get("/borradores", verificarPermisosVentas("can_view_sales"), async (req, res) => {
+    const { tipo, estado = "pendiente", user_id, cliente_id, incluir_vencidos } = req.query;
+
+    const condiciones = [];
+    const params = [];
+    const agregarParam = (valor) => {
+      params.push(valor);
+      return `$${params.length}`;
+    };
+
+    if (tipo) condiciones.push(`b.tipo = ${agregarParam(tipo)}`);
+    if (estado !== "todos") condiciones.push(`b.estado = ${agregarParam(estado)}`);
+    if (user_id) condiciones.push(`b.user_id = ${agregarParam(parseInt(user_id))}`);
+    if (cliente_id) condiciones.push(`b.cliente_id = ${agregarParam(parseInt(cliente_id))}`);
+    if (incluir_vencidos !== "true") condiciones.push("(b.vence_en IS NULL OR b.vence_en > NOW())");
+
+    try {
+      const result = await pool.query(`
+        SELECT
+          b.id, b.tipo, b.estado, b.user_id, u.nombre AS user_nombre,
+          b.cliente_id, c.nombre AS cliente_nombre, b.total_estimado, b.descuento,
+          b.tipo_documento, b.nota, b.vence_en, b.venta_id, b.created_at, b.updated_at,
+          jsonb_array_length(b.items) AS cantidad_items,
+          (b.vence_en IS NOT NULL AND b.vence_en <= NOW()) AS vencido
+        FROM ventas_borradores b
+        LEFT JOIN usuarios u ON b.user_id = u.id
+        LEFT JOIN clientes c ON b.cliente_id = c.id
+        ${condiciones.length > 0 ? `WHERE ${condiciones.join(" AND ")}` : ""}
+        ORDER BY b.updated_at DESC
+        LIMIT ${LIMITE_MAXIMO_VENTAS}
+      `, params);
+
+      res.json(result.rows.map(b => ({
+        ...b,
+        total_estimado: parseFloat(b.total_estimado),
+        descuento: parseFloat(b.descuento)
+      })));
+    } catch (error) {
+      console.error("❌ ERROR al listar borradores:", error.message);
+      res.status(500).json({ error: "Error al listar borradores", message: error.message });
+    }
+  });
+
+  // Detalle con los precios y el stock actuales, para avisar cambios desde que se guardó
+  router.get("/borradores/:id", verificarPermisosVentas("can_view_sales"), async (req, res) => {
+    try {
+      const borrador = await obtenerBorrador(pool, req.params.id);
+      if (!borrador) {
+        return res.status(404).json({ error: "Borrador no encontrado" });
+      }
+
+      const respuesta = { ...borrador, vencido: estaVencido(borrador) };
+      if (borrador.estado === "pendiente") {
+        const lineas = await cotizarItems(pool, borrador.items, await sucursalDeCaja(pool, req.user.id));
+        Object.assign(respuesta, {
+          lineas_actuales: lineas,
+          total_actual: totalEstimado(lineas, parseFloat(borrador.descuento)),
+          cambios_precio: compararPrecios(borrador.lineas_cotizadas, lineas),
+          sin_stock: lineas.filter(l => !l.disponible).map(l => l.producto_id)
+        });
+      }
+
+      res.json(respuesta);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error("❌ ERROR al obtener borrador:", error.message);
+      res.status(500).json({ error: "Error al obtener borrador", message: error.message });
+    }
+  });
+
+  // Editar un borrador vuelve a cotizar sus ítems con los precios vigentes
+  router.put("/borradores/:id", verificarPermisosVentas("can_create_sales"), async (req, res) => {
+    try {
+      const borrador = await obtenerBorrador(pool, req.params.id);
+      if (!borrador) {
+        return res.status(404).json({ error: "Borrador no encontrado" });
+      }
+      if (req.user.rol !== "admin" && parseInt(borrador.user_id) !== req.user.id) {
+        return res.status(403).json({ error: "No puedes modificar borradores de otros usuarios" });
+      }
+      if (borrador.estado !== "pendiente") {
+        return res.status(409).json({ error: `El borrador ya está ${borrador.estado}` });
+      }
+
+      const datos = {
+        tipo: borrador.tipo,
+        cliente_id: borrador.cliente_id,
+        descuento: parseFloat(borrador.descuento),
+        tipo_documento: borrador.tipo_documento,
+        nota: borrador.nota,
+        vence_en: borrador.vence_en,
+        items: borrador.items,
+        ...req.body
+      };
+      const errorValidacion = validarBorrador({ ...datos, vence_en: req.body.vence_en });
+      if (errorValidacion) {
+        return res.status(400).json({ error: errorValidacion });
+      }
+      const { items, error } = normalizarItemsBorrador(datos.items);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const lineas = await cotizarItems(pool, items, await sucursalDeCaja(pool, req.user.id));
+      const descuentoBorrador = parseFloat(datos.descuento) || 0;
+
+      const result = await pool.query(
+        `UPDATE ventas_borradores
+         SET tipo = $1, cliente_id = $2, items = $3, lineas_cotizadas = $4, total_estimado = $5, descuento = $6,
+             tipo_documento = $7, nota = $8, vence_en = $9, updated_at = NOW()
+         WHERE id = $10 AND estado = 'pendiente'
+         RETURNING *`,
+        [
+          datos.tipo,
+          datos.cliente_id ? parseInt(datos.cliente_id) : null,
+          JSON.stringify(items),
+          JSON.stringify(lineas),
+          totalEstimado(lineas, descuentoBorrador),
+          descuentoBorrador,
+          datos.tipo_documento,
+          datos.nota,
+          datos.vence_en || null,
+          req.params.id
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: "El borrador ya no está pendiente" });
+      }
+      res.json(result.rows[0]);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error("❌ ERROR al actualizar borrador:", error.message);
+      res.status(500).json({ error: "Error al actualizar borrador", message: error.message });
+    }
+  });
+
+  router.delete("/borradores/:id", verificarPermisosVentas("can_create_sales"), async (req, res) => {
+    try {
+      const borrador = await obtenerBorrador(pool, req.params.id);
+      if (!borrador) {
+        return res.status(404).json({ error: "Borrador no encontrado" });
+      }
+      if (req.user.rol !== "admin" && parseInt(borrador.user_id) !== req.user.id) {
+        return res.status(403).json({ error: "No puedes modificar borradores de otros usuarios" });
+      }
+
+      const result = await pool.query(
+        "UPDATE ventas_borradores SET estado = 'cancelado', updated_at = NOW() WHERE id = $1 AND estado = 'pendiente' RETURNING id",
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: `El borrador ya está ${borrador.estado}` });
+      }
+
+      res.json({ success: true, message: "Borrador cancelado" });
+    } catch (error) {
+      console.error("❌ ERROR al cancelar borrador:", error.message);
+      res.status(500).json({ error: "Error al cancelar borrador", message: error.message });
+    }
+  });
+
+  // Convierte el borrador en venta. El cuerpo trae solo el pago (pagos o metodo_pago y
+  // recibido, deuda, transfer, autorizar_credito); ítems, cliente, descuento y tipo de
+  // documento salen del borrador. Si el cliente no se fijó antes, puede enviarse ahora.
+  router.post("/borradores/:id/convertir", verificarPermisosVentas("can_create_sales"), async (req, res) => {
+    const { id } = req.params;
+    console.log("🛒 CONVIRTIENDO BORRADOR EN VENTA - Borrador ID:", id, "Usuario:", req.user.id);
+
+    let borrador;
+    const { status, body } = await procesarVenta(req.body, req.user, obtenerClaveIdempotencia(req), {
+      preparar: async (client, datos) => {
+        // El bloqueo evita que dos cajas conviertan el mismo borrador a la vez
+        borrador = await obtenerBorrador(client, id, true);
+        if (!borrador) {
+          throw errorVenta(404, "Borrador no encontrado");
+        }
+        if (borrador.estado !== "pendiente") {
+          throw errorVenta(409, `El borrador ya está ${borrador.estado}`, { venta_id: borrador.venta_id });
+        }
+        if (estaVencido(borrador)) {
+          throw errorVenta(409, "El borrador está vencido", { vence_en: borrador.vence_en });
+        }
+
+        return {
+          ...datos,
+          user_id: req.user.id,
+          cliente_id: borrador.cliente_id || datos.cliente_id || null,
+          descuento: parseFloat(borrador.descuento) || 0,
+          tipo_documento: borrador.tipo_documento,
+          items: borrador.items
+        };
+      },
+      completar: async (client, respuesta) => {
+        await client.query(
+          `UPDATE ventas_borradores
+           SET estado = 'convertido', venta_id = $1, convertido_por = $2, convertido_en = NOW(), updated_at = NOW()
+           WHERE id = $3`,
+          [respuesta.venta_id, req.user.id, id]
+        );
+
+        const detallesResult = await client.query(
+          "SELECT producto_id, precio FROM venta_detalles WHERE venta_id = $1 ORDER BY id",
+          [respuesta.venta_id]
+        );
+
+        return {
+          borrador_id: parseInt(id),
+          cambios_precio: compararPrecios(borrador.lineas_cotizadas, detallesResult.rows)
+        };
+      }
+    });
+
+    res.status(status).json(body);
+  });
+
   // ===================== REGISTRAR PAGO DE DEUDA =====================
   router.post("/:id/pagar-deuda", verificarPermisosVentas("can_create_sales"), async (req, res) => {
     const { id } = req.params;
-    const { monto } = req.body;
+    const { monto, metodo_pago = "efectivo" } = req.body;
 
     console.log("💳 SOLICITUD DE PAGO DE DEUDA - Venta ID:", id, "Monto:", monto, "Usuario:", req.user);
 
@@ -252,13 +1288,17 @@ router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) =
       client = await pool.connect();
       console.log("✅ Conexión a BD obtenida para pago de deuda");
 
-      // 1. Obtener información de la venta
+      await client.query('BEGIN');
+      console.log("✅ Transacción iniciada para pago");
+
+      // 1. Obtener información de la venta, bloqueada hasta confirmar el pago
       const ventaResult = await client.query(
-        "SELECT id, cliente_id, deuda, user_id FROM ventas WHERE id = $1",
+        "SELECT id, cliente_id, deuda, deuda_en_cliente, user_id FROM ventas WHERE id = $1 FOR UPDATE",
         [id]
       );
 
       if (ventaResult.rows.length === 0) {
+        await client.query('ROLLBACK');
         return res.status(404).json({ error: "Venta no encontrada" });
       }
 
@@ -272,14 +1312,30 @@ router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) =
       });
 
       if (deudaActual <= 0) {
+        await client.query('ROLLBACK');
         return res.status(400).json({ error: "La venta no tiene deuda pendiente" });
       }
 
       // Verificar permisos
       if (req.user.rol !== "admin" && parseInt(venta.user_id) !== req.user.id) {
+        await client.query('ROLLBACK');
         return res.status(403).json({ error: "No puedes modificar ventas de otros usuarios" });
       }
 
+      // Con cliente, el pago baja su saldo y queda en su estado de cuenta: exige el mismo
+      // permiso que un abono desde clientes, antes de tocar la deuda
+      if (venta.cliente_id && req.user.rol === "vendedor") {
+        const permisosResult = await client.query(
+          "SELECT permissions FROM user_permissions WHERE user_id = $1",
+          [req.user.id]
+        );
+        const userPermissions = permisosResult.rows[0]?.permissions || { can_edit_customers: false };
+        if (!userPermissions.can_edit_customers) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ error: "No tienes permiso para registrar pagos de clientes" });
+        }
+      }
+
       const pago = Math.min(parseFloat(monto), deudaActual);
       const nuevaDeuda = deudaActual - pago;
 
@@ -290,9 +1346,6 @@ router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) =
         deuda_nueva: nuevaDeuda
       });
 
-      await client.query('BEGIN');
-      console.log("✅ Transacción iniciada para pago");
-
       // 2. Actualizar deuda en la venta
       await client.query(
         "UPDATE ventas SET deuda = $1 WHERE id = $2",
@@ -300,44 +1353,37 @@ router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) =
       );
       console.log("✅ Deuda actualizada en venta");
 
-      // 3. Actualizar saldo del cliente si existe
-      let clienteActualizado = false;
-      if (venta.cliente_id) {
-        console.log("👤 Actualizando saldo del cliente ID:", venta.cliente_id);
-
-        // Verificar permisos para editar clientes
-        if (req.user.rol === "vendedor") {
-          const permisosResult = await client.query(
-            "SELECT permissions FROM user_permissions WHERE user_id = $1",
-            [req.user.id]
-          );
-
-          let userPermissions = { can_edit_customers: false };
-          if (permisosResult.rows.length > 0) {
-            userPermissions = permisosResult.rows[0].permissions;
-          }
-
-          if (!userPermissions.can_edit_customers) {
-            console.log("⚠️ Vendedor no tiene permiso para editar clientes, omitiendo actualización de saldo");
-          } else {
-            await client.query(
-              "UPDATE clientes SET saldo_pendiente = saldo_pendiente - $1 WHERE id = $2",
-              [pago, venta.cliente_id]
-            );
-            clienteActualizado = true;
-            console.log("✅ Saldo del cliente actualizado");
-          }
-        } else {
-          await client.query(
-            "UPDATE clientes SET saldo_pendiente = saldo_pendiente - $1 WHERE id = $2",
-            [pago, venta.cliente_id]
-          );
-          clienteActualizado = true;
-          console.log("✅ Saldo del cliente actualizado (admin)");
-        }
-      } else {
-        console.log("ℹ️ Venta sin cliente asociado, omitiendo actualización de saldo");
-      }
+      // Todo pago que baja la deuda queda como abono, con la caja de quien lo recibe; así
+      // el estado de cuenta reconstruye bien el cargo original. Sin cliente, el abono
+      // queda sin cliente_id pero aplicado a la venta.
+      const sesionResult = await client.query(
+        "SELECT id FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta'",
+        [req.user.id]
+      );
+      const abonoResult = await client.query(
+        `INSERT INTO abonos (cliente_id, monto, metodo_pago, user_id, caja_sesion_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [venta.cliente_id, pago, metodo_pago, req.user.id, sesionResult.rows[0]?.id || null]
+      );
+      const abonoId = abonoResult.rows[0].id;
+      await client.query(
+        "INSERT INTO abono_aplicaciones (abono_id, venta_id, monto) VALUES ($1, $2, $3)",
+        [abonoId, id, pago]
+      );
+
+      // 3. Actualizar saldo del cliente, solo si la venta se lo cargó al registrarse
+      let clienteActualizado = false;
+      if (venta.cliente_id && venta.deuda_en_cliente) {
+        await client.query(
+          "UPDATE clientes SET saldo_pendiente = saldo_pendiente - $1 WHERE id = $2",
+          [pago, venta.cliente_id]
+        );
+        clienteActualizado = true;
+        console.log("✅ Saldo del cliente actualizado:", venta.cliente_id);
+      } else {
+        console.log("ℹ️ Venta sin deuda cargada a un cliente, omitiendo actualización de saldo");
+      }
 
       await client.query('COMMIT');
       console.log("✅ Transacción de pago confirmada");
@@ -345,6 +1391,7 @@ router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) =
       res.json({
         success: true,
         pago_registrado: pago,
+        abono_id: abonoId,
         deuda_anterior: deudaActual,
         deuda_actualizada: nuevaDeuda,
         cliente_actualizado: clienteActualizado,
@@ -372,33 +1419,492 @@ router.post("/", verificarPermisosVentas("can_create_sales"), async (req, res) =
     }
   });
 
+  // ===================== ANULACIONES Y DEVOLUCIONES =====================
+  // Repone stock, revierte la deuda del cliente y deja registro de quién y por qué.
+  // `lineas` es una lista de { detalle, cantidad } ya validada contra lo vendido.
+  const registrarDevolucion = async (client, venta, lineas, { tipo, motivo, userId }) => {
+    // Se devuelve lo que se pagó por cada unidad, con el descuento general ya aplicado
+    const factor = factorDescuentoGeneral(venta.detalles, venta.descuento);
+    let monto = 0;
+    for (const { detalle, cantidad } of lineas) {
+      monto += cantidad * parseFloat(detalle.precio) * factor;
+    }
+    monto = redondear(monto);
+
+    // La devolución primero salda la deuda pendiente de la venta; el resto se reembolsa
+    const deudaActual = parseFloat(venta.deuda) || 0;
+    const deudaRevertida = tipo === "anulacion" ? deudaActual : Math.min(monto, deudaActual);
+    const reembolso = Math.max(monto - deudaRevertida, 0);
+
+    // El reembolso sale de la caja abierta de quien procesa la devolución, si la tiene
+    const sesionResult = await client.query(
+      "SELECT id FROM caja_sesiones WHERE user_id = $1 AND estado = 'abierta'",
+      [userId]
+    );
+    const cajaSesionId = sesionResult.rows[0]?.id || null;
+
+    const devolucionResult = await client.query(
+      `INSERT INTO devoluciones (venta_id, tipo, monto, deuda_revertida, reembolso, motivo, user_id, caja_sesion_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, fecha`,
+      [venta.id, tipo, monto, deudaRevertida, reembolso, motivo, userId, cajaSesionId]
+    );
+    const devolucionId = devolucionResult.rows[0].id;
+
+    for (const { detalle, cantidad } of lineas) {
+      await client.query(
+        `INSERT INTO devolucion_detalles (devolucion_id, venta_detalle_id, producto_id, cantidad, precio)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [devolucionId, detalle.id, detalle.producto_id, cantidad, redondear(parseFloat(detalle.precio) * factor)]
+      );
+
+      await client.query(
+        "UPDATE venta_detalles SET cantidad_devuelta = cantidad_devuelta + $1 WHERE id = $2",
+        [cantidad, detalle.id]
+      );
+
+      // Reponer stock en la sucursal donde se vendió
+      await moverStock(client, {
+        producto_id: detalle.producto_id,
+        cantidad,
+        motivo: "devolucion",
+        user_id: userId,
+        documento_tipo: "devolucion",
+        documento_id: devolucionId,
+        observacion: tipo === "anulacion" ? `Anulación de la venta ${venta.id}` : `Devolución de la venta ${venta.id}`,
+        sucursal_id: venta.sucursal_id
+      });
+    }
+
+    if (deudaRevertida > 0) {
+      await client.query(
+        "UPDATE ventas SET deuda = deuda - $1 WHERE id = $2",
+        [deudaRevertida, venta.id]
+      );
+
+      // Solo se descuenta del cliente la deuda que la venta le cargó al registrarse
+      if (venta.cliente_id && venta.deuda_en_cliente) {
+        await client.query(
+          "UPDATE clientes SET saldo_pendiente = GREATEST(saldo_pendiente - $1, 0) WHERE id = $2",
+          [deudaRevertida, venta.cliente_id]
+        );
+        console.log("✅ Saldo del cliente revertido:", { cliente_id: venta.cliente_id, deuda_revertida: deudaRevertida });
+      }
+    }
+
+    return { devolucion_id: devolucionId, monto, deuda_revertida: deudaRevertida, reembolso };
+  };
+
+  const obtenerVentaParaDevolucion = async (client, id) => {
+    const ventaResult = await client.query(
+      "SELECT id, cliente_id, descuento, deuda, deuda_en_cliente, estado, sucursal_id FROM ventas WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    if (ventaResult.rows.length === 0) return null;
+
+    const detallesResult = await client.query(
+      `SELECT id, producto_id, cantidad, cantidad_devuelta, precio, precio_lista
+       FROM venta_detalles WHERE venta_id = $1 ORDER BY id`,
+      [id]
+    );
+    return { ...ventaResult.rows[0], detalles: detallesResult.rows };
+  };
+
+  router.post("/:id/anular", verificarPermisosVentas("can_void_sales"), async (req, res) => {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
+    console.log("🚫 SOLICITUD DE ANULACIÓN - Venta ID:", id, "Usuario:", req.user);
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de venta inválido" });
+    }
+    if (!motivo || !motivo.trim()) {
+      return res.status(400).json({ error: "Debe indicar el motivo de la anulación" });
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const venta = await obtenerVentaParaDevolucion(client, id);
+      if (!venta) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Venta no encontrada" });
+      }
+      if (venta.estado === "anulada") {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: "La venta ya fue anulada" });
+      }
+
+      // Solo se repone lo que no se haya devuelto antes
+      const lineas = venta.detalles
+        .map(detalle => ({
+          detalle,
+          cantidad: parseFloat(detalle.cantidad) - parseFloat(detalle.cantidad_devuelta)
+        }))
+        .filter(linea => linea.cantidad > 0);
+
+      const resultado = await registrarDevolucion(client, venta, lineas, {
+        tipo: "anulacion",
+        motivo: motivo.trim(),
+        userId: req.user.id
+      });
+
+      await client.query(
+        `UPDATE ventas
+         SET estado = 'anulada', anulada_por = $1, anulada_en = NOW(), motivo_anulacion = $2
+         WHERE id = $3`,
+        [req.user.id, motivo.trim(), id]
+      );
+
+      await client.query('COMMIT');
+      console.log("✅ Venta anulada:", { venta_id: id, ...resultado });
+
+      res.json({
+        success: true,
+        venta_id: parseInt(id),
+        ...resultado,
+        message: "Venta anulada exitosamente"
+      });
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+      console.error("❌ ERROR al anular venta:", error.message);
+      res.status(500).json({ error: "Error al anular venta", message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  });
+
+  router.post("/:id/devolucion", verificarPermisosVentas("can_void_sales"), async (req, res) => {
+    const { id } = req.params;
+    const { motivo, items = [] } = req.body;
+
+    console.log("↩️ SOLICITUD DE DEVOLUCIÓN - Venta ID:", id, "Items:", items, "Usuario:", req.user);
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de venta inválido" });
+    }
+    if (!motivo || !motivo.trim()) {
+      return res.status(400).json({ error: "Debe indicar el motivo de la devolución" });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: "Debe indicar los productos a devolver" });
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const venta = await obtenerVentaParaDevolucion(client, id);
+      if (!venta) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Venta no encontrada" });
+      }
+      if (venta.estado === "anulada") {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: "No se puede devolver productos de una venta anulada" });
+      }
+
+      // Lo que queda por devolver de una línea, contando lo ya pedido en esta misma devolución
+      const lineas = [];
+      const disponibleDe = (detalle) => parseFloat(detalle.cantidad) - parseFloat(detalle.cantidad_devuelta)
+        - lineas.filter(l => l.detalle.id === detalle.id).reduce((sum, l) => sum + l.cantidad, 0);
+
+      // Cada item se identifica por el detalle de venta o, en su defecto, por el producto;
+      // por producto se salta las líneas ya devueltas por completo
+      for (const item of items) {
+        const cantidad = parseFloat(item.cantidad);
+        const detalle = item.detalle_id
+          ? venta.detalles.find(d => d.id === parseInt(item.detalle_id))
+          : venta.detalles.find(d => d.producto_id === parseInt(item.producto_id) && disponibleDe(d) > 0)
+            || venta.detalles.find(d => d.producto_id === parseInt(item.producto_id));
+
+        if (!detalle) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: "El producto indicado no pertenece a esta venta", item });
+        }
+        if (!cantidad || cantidad <= 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: "Cantidad a devolver inválida", item });
+        }
+
+        const disponible = disponibleDe(detalle);
+        if (cantidad > disponible) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            error: "La cantidad a devolver supera lo vendido",
+            item,
+            disponible
+          });
+        }
+
+        lineas.push({ detalle, cantidad });
+      }
+
+      const resultado = await registrarDevolucion(client, venta, lineas, {
+        tipo: "devolucion",
+        motivo: motivo.trim(),
+        userId: req.user.id
+      });
+
+      const pendientesResult = await client.query(
+        "SELECT COUNT(*)::int AS pendientes FROM venta_detalles WHERE venta_id = $1 AND cantidad_devuelta < cantidad",
+        [id]
+      );
+      const estado = pendientesResult.rows[0].pendientes === 0 ? "devuelta" : "devolucion_parcial";
+      await client.query("UPDATE ventas SET estado = $1 WHERE id = $2", [estado, id]);
+
+      await client.query('COMMIT');
+      console.log("✅ Devolución registrada:", { venta_id: id, estado, ...resultado });
+
+      res.json({
+        success: true,
+        venta_id: parseInt(id),
+        estado,
+        ...resultado,
+        message: "Devolución registrada exitosamente"
+      });
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+      console.error("❌ ERROR al registrar devolución:", error.message);
+      res.status(500).json({ error: "Error al registrar devolución", message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  });
+
+  router.get("/:id/pagos", verificarPermisosVentas("can_view_sales"), async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de venta inválido" });
+    }
+
+    try {
+      const result = await pool.query(
+        "SELECT * FROM venta_pagos WHERE venta_id = $1 ORDER BY id",
+        [id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ Error al obtener pagos de venta:", error.message);
+      res.status(500).json({ error: "Error al obtener pagos de venta", message: error.message });
+    }
+  });
+
+  // ===================== COMPROBANTES (ESC/POS Y PDF) =====================
+  // Reúne lo mismo que muestra /:id/detalles más la cabecera de la venta, los pagos
+  // y los datos de la tienda configurados en `configuracion_tienda`.
+  const obtenerDatosTicket = async (id) => {
+    const ventaResult = await pool.query(`
+      SELECT v.*, c.nombre AS cliente_nombre, c.rut AS cliente_rut, u.nombre AS user_nombre
+      FROM ventas v
+      LEFT JOIN clientes c ON v.cliente_id = c.id
+      LEFT JOIN usuarios u ON v.user_id = u.id
+      WHERE v.id = $1
+    `, [id]);
+
+    if (ventaResult.rows.length === 0) return null;
+
+    const detallesResult = await pool.query(`
+      SELECT vd.*, p.name as producto_nombre, p.sku
+      FROM venta_detalles vd
+      JOIN productos p ON vd.producto_id = p.id
+      WHERE vd.venta_id = $1
+      ORDER BY vd.id
+    `, [id]);
+
+    const pagosResult = await pool.query(
+      "SELECT * FROM venta_pagos WHERE venta_id = $1 ORDER BY id",
+      [id]
+    );
+
+    const tiendaResult = await pool.query("SELECT * FROM configuracion_tienda WHERE id = 1");
+
+    return {
+      tienda: tiendaResult.rows[0] || {},
+      venta: ventaResult.rows[0],
+      detalles: detallesResult.rows,
+      pagos: pagosResult.rows
+    };
+  };
+
+  const anchoTicket = (req, tienda) => parseInt(req.query.ancho) || parseInt(tienda.ancho_papel) || 80;
+
+  router.get("/:id/ticket", verificarPermisosVentas("can_view_sales"), async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de venta inválido" });
+    }
+
+    try {
+      const datos = await obtenerDatosTicket(id);
+      if (!datos) {
+        return res.status(404).json({ error: "Venta no encontrada" });
+      }
+
+      const ancho = anchoTicket(req, datos.tienda);
+      if (!COLUMNAS_POR_ANCHO[ancho]) {
+        return res.status(400).json({ error: "Ancho de papel inválido. Use 58 u 80" });
+      }
+
+      const ticket = generarTicketEscPos(datos, { ancho });
+      res.set({
+        "Content-Type": "application/octet-stream",
+        "Content-Disposition": `attachment; filename="ticket-${id}.bin"`
+      });
+      res.send(ticket);
+    } catch (error) {
+      console.error("❌ Error al generar ticket:", error.message);
+      res.status(500).json({ error: "Error al generar ticket", message: error.message });
+    }
+  });
+
+  router.get("/:id/ticket.pdf", verificarPermisosVentas("can_view_sales"), async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de venta inválido" });
+    }
+
+    try {
+      const datos = await obtenerDatosTicket(id);
+      if (!datos) {
+        return res.status(404).json({ error: "Venta no encontrada" });
+      }
+
+      const ancho = anchoTicket(req, datos.tienda);
+      if (!COLUMNAS_POR_ANCHO[ancho]) {
+        return res.status(400).json({ error: "Ancho de papel inválido. Use 58 u 80" });
+      }
+
+      const pdf = await generarTicketPdf(datos, { ancho });
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="venta-${id}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      console.error("❌ Error al generar PDF de venta:", error.message);
+      res.status(500).json({ error: "Error al generar PDF de venta", message: error.message });
+    }
+  });
+
+  router.get("/:id/devoluciones", verificarPermisosVentas("can_view_sales"), async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: "ID de venta inválido" });
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT d.*, u.nombre AS user_nombre,
+          COALESCE(
+            json_agg(json_build_object(
+              'venta_detalle_id', dd.venta_detalle_id,
+              'producto_id', dd.producto_id,
+              'producto_nombre', p.name,
+              'cantidad', dd.cantidad,
+              'precio', dd.precio
+            )) FILTER (WHERE dd.id IS NOT NULL),
+            '[]'
+          ) AS items
+        FROM devoluciones d
+        LEFT JOIN usuarios u ON d.user_id = u.id
+        LEFT JOIN devolucion_detalles dd ON dd.devolucion_id = d.id
+        LEFT JOIN productos p ON dd.producto_id = p.id
+        WHERE d.venta_id = $1
+        GROUP BY d.id, u.nombre
+        ORDER BY d.fecha ASC
+      `, [id]);
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ Error al obtener devoluciones:", error.message);
+      res.status(500).json({ error: "Error al obtener devoluciones", message: error.message });
+    }
+  });
+
 // ===================== OBTENER VENTAS =====================
+// Sin `limite`/`pagina`/`offset` se responde la lista completa como antes, para no
+// romper a los clientes existentes; con paginación se responde { ventas, total, ... }.
 router.get("/", verificarPermisosVentas("can_view_sales"), async (req, res) => {
-    console.log("🔍 SOLICITUD RECIBIDA: Obtener ventas");
+    console.log("🔍 SOLICITUD RECIBIDA: Obtener ventas", req.query);
 
-    const { filtro } = req.query; // Obtener el parámetro de filtro
+    const {
+        filtro, // hoy | semana | mes | anio
+        desde,
+        hasta,
+        vendedor_id,
+        cliente_id,
+        metodo_pago,
+        total_min,
+        total_max,
+        con_deuda,
+        estado,
+        tipo_documento,
+        sucursal_id,
+        orden = "fecha",
+        direccion = "desc",
+        limite,
+        pagina,
+        offset,
+    } = req.query;
+
+    if (!ORDENES_VENTAS[orden]) {
+        return res.status(400).json({ error: `Orden inválido. Valores permitidos: ${Object.keys(ORDENES_VENTAS).join(", ")}` });
+    }
+    if (!["asc", "desc"].includes(String(direccion).toLowerCase())) {
+        return res.status(400).json({ error: "La dirección debe ser 'asc' o 'desc'" });
+    }
+    for (const [nombre, valor] of Object.entries({ desde, hasta })) {
+        if (valor && isNaN(Date.parse(valor))) {
+            return res.status(400).json({ error: `Fecha inválida en '${nombre}'` });
+        }
+    }
+    for (const [nombre, valor] of Object.entries({ vendedor_id, cliente_id, total_min, total_max, limite, pagina, offset })) {
+        if (valor != null && valor !== "" && isNaN(valor)) {
+            return res.status(400).json({ error: `Valor numérico inválido en '${nombre}'` });
+        }
+    }
+
+    const paginado = limite != null || pagina != null || offset != null;
+    const limiteFinal = Math.min(Math.max(parseInt(limite) || 50, 1), LIMITE_MAXIMO_VENTAS);
+    const offsetFinal = offset != null
+        ? Math.max(parseInt(offset) || 0, 0)
+        : (Math.max(parseInt(pagina) || 1, 1) - 1) * limiteFinal;
 
     let client;
     try {
         client = await pool.connect();
 
-        let query = `
-            SELECT
-                v.*,
-                c.nombre as cliente_nombre,
-                c.rut as cliente_rut,
-                u.nombre as user_nombre
-            FROM ventas v
-            LEFT JOIN clientes c ON v.cliente_id = c.id
-            LEFT JOIN usuarios u ON v.user_id = u.id
-        `;
         let params = [];
         let conditions = [];
+        const agregarParam = (valor) => {
+            params.push(valor);
+            return `$${params.length}`;
+        };
 
         // 1. Manejar permisos de vendedor
         if (req.user.rol === "vendedor") {
-            conditions.push(`v.user_id = $${conditions.length + 1}`);
-            params.push(req.user.id);
+            conditions.push(`v.user_id = ${agregarParam(req.user.id)}`);
+        } else if (vendedor_id) {
+            conditions.push(`v.user_id = ${agregarParam(parseInt(vendedor_id))}`);
         }
 
         // 2. Manejar filtro por fecha
@@ -412,17 +1918,116 @@ router.get("/", verificarPermisosVentas("can_view_sales"), async (req, res) => {
             conditions.push(`v.fecha >= date_trunc('year', CURRENT_DATE) AND v.fecha < date_trunc('year', CURRENT_DATE) + INTERVAL '1 year'`);
         }
 
+        // Rango personalizado; `hasta` incluye el día completo si viene sin hora
+        if (desde) {
+            conditions.push(`v.fecha >= ${agregarParam(desde)}::timestamp`);
+        }
+        if (hasta) {
+            const soloFecha = /^\d{4}-\d{2}-\d{2}$/.test(hasta);
+            conditions.push(soloFecha
+                ? `v.fecha < ${agregarParam(hasta)}::date + INTERVAL '1 day'`
+                : `v.fecha <= ${agregarParam(hasta)}::timestamp`);
+        }
+
+        // 3. Demás filtros
+        if (cliente_id) {
+            conditions.push(`v.cliente_id = ${agregarParam(parseInt(cliente_id))}`);
+        }
+        if (metodo_pago) {
+            // Incluye ventas mixtas que tengan algún pago con ese método
+            const param = agregarParam(metodo_pago);
+            conditions.push(`(v.metodo_pago = ${param} OR EXISTS (
+                SELECT 1 FROM venta_pagos vpf WHERE vpf.venta_id = v.id AND vpf.metodo_pago = ${param}
+            ))`);
+        }
+        if (total_min) {
+            conditions.push(`v.total >= ${agregarParam(parseFloat(total_min))}`);
+        }
+        if (total_max) {
+            conditions.push(`v.total <= ${agregarParam(parseFloat(total_max))}`);
+        }
+        if (con_deuda === "true") {
+            conditions.push(`v.deuda > 0`);
+        } else if (con_deuda === "false") {
+            conditions.push(`COALESCE(v.deuda, 0) = 0`);
+        }
+        if (estado) {
+            conditions.push(`v.estado = ${agregarParam(estado)}`);
+        }
+        if (tipo_documento) {
+            conditions.push(`v.tipo_documento = ${agregarParam(tipo_documento)}`);
+        }
+
+        // 4. Sucursal: el admin sin filtro ve el consolidado; los demás, sus sucursales
+        const filtroSucursalVentas = await filtroSucursal(client, req.user, sucursal_id);
+        if (filtroSucursalVentas.error) {
+            return res.status(filtroSucursalVentas.status).json({ error: filtroSucursalVentas.error });
+        }
+        if (filtroSucursalVentas.sucursales) {
+            conditions.push(`v.sucursal_id = ANY(${agregarParam(filtroSucursalVentas.sucursales)}::int[])`);
+        }
+
         // Construir la cláusula WHERE
-        if (conditions.length > 0) {
-            query += " WHERE " + conditions.join(" AND ");
+        const where = conditions.length > 0 ? " WHERE " + conditions.join(" AND ") : "";
+
+        let query = `
+            SELECT
+                v.*,
+                c.nombre as cliente_nombre,
+                c.rut as cliente_rut,
+                u.nombre as user_nombre,
+                s.nombre as sucursal_nombre,
+                (
+                    SELECT COALESCE(json_agg(json_build_object(
+                        'metodo_pago', vp.metodo_pago,
+                        'monto', vp.monto,
+                        'recibido', vp.recibido,
+                        'cambio', vp.cambio,
+                        'titular', vp.titular,
+                        'banco', vp.banco,
+                        'referencia', vp.referencia
+                    ) ORDER BY vp.id), '[]')
+                    FROM venta_pagos vp
+                    WHERE vp.venta_id = v.id
+                ) as pagos
+            FROM ventas v
+            LEFT JOIN clientes c ON v.cliente_id = c.id
+            LEFT JOIN usuarios u ON v.user_id = u.id
+            LEFT JOIN sucursales s ON v.sucursal_id = s.id
+        ` + where;
+
+        // El id desempata para que la paginación sea estable
+        const sentido = String(direccion).toUpperCase();
+        query += ` ORDER BY ${ORDENES_VENTAS[orden]} ${sentido} NULLS LAST, v.id ${sentido}`;
+
+        if (!paginado) {
+            console.log("🛠️  Ejecutando consulta:", { query, params });
+            const result = await client.query(query, params);
+            return res.json(result.rows);
         }
 
-        query += " ORDER BY v.fecha DESC";
+        const countResult = await client.query(
+            `SELECT COUNT(*)::int AS total, COALESCE(SUM(v.total), 0) AS monto_total FROM ventas v${where}`,
+            params
+        );
+
+        query += ` LIMIT ${agregarParam(limiteFinal)} OFFSET ${agregarParam(offsetFinal)}`;
 
         console.log("🛠️  Ejecutando consulta:", { query, params });
 
         const result = await client.query(query, params);
-        res.json(result.rows);
+        const total = countResult.rows[0].total;
+
+        res.json({
+            ventas: result.rows,
+            total,
+            monto_total: parseFloat(countResult.rows[0].monto_total),
+            limite: limiteFinal,
+            offset: offsetFinal,
+            pagina: Math.floor(offsetFinal / limiteFinal) + 1,
+            paginas: Math.ceil(total / limiteFinal),
+            hay_mas: offsetFinal + result.rows.length < total
+        });
     } catch (error) {
         console.error("❌ Error al obtener ventas:", error.message);
         res.status(500).json({ error: "Error al obtener ventas", message: error.message });
@@ -1,4 +1,11 @@
 import express from "express";
+import multer from "multer";
+import { validarPromocion } from "../utils/promociones.js";
+import { MOTIVOS_MOVIMIENTO } from "../utils/kardex.js";
+import { eventosStock } from "../utils/eventos.js";
+import { generarArchivoCatalogo, leerArchivoCatalogo, validarFilaCatalogo } from "../utils/catalogo.js";
+import { calcularEtiquetaBalanza, decodificarCodigoBalanza, validarFormatoBalanza } from "../utils/balanza.js";
+import { resolverFiltroSucursal, resolverSucursalOperacion } from "../utils/sucursales.js";
 
 const createStockRouter = (supabase, verifyToken = (req, res, next) => next()) => {
   const router = express.Router();
@@ -38,7 +45,11 @@ const createStockRouter = (supabase, verifyToken = (req, res, next) => next()) =
               can_view_customers: true,
               can_edit_customers: false,
               can_view_reports: false,
-              can_manage_stock: false
+              can_manage_stock: false,
+              can_void_sales: false,
+              can_override_prices: false,
+              can_override_credit: false,
+              can_count_inventory: false
             };
           }
           
@@ -65,73 +76,1324 @@ const createStockRouter = (supabase, verifyToken = (req, res, next) => next()) =
     };
   };
 
+  // ===================== SUCURSALES =====================
+  const obtenerSucursalesAsignadas = async (userId) => {
+    const { data, error } = await supabase
+      .from('usuario_sucursales')
+      .select('sucursal_id')
+      .eq('user_id', userId)
+      .order('sucursal_id');
+    if (error) throw error;
+    return data.map(fila => fila.sucursal_id);
+  };
+
+  // Sucursal cuyo stock se muestra. Con `sucursal_id` se verifica el acceso; sin él el
+  // admin ve el consolidado (null) y los demás su primera sucursal asignada.
+  // Devuelve { sucursal_id } o { status, error }.
+  const resolverSucursalConsulta = async (usuario, valor) => {
+    const asignadas = usuario.rol === "admin" ? [] : await obtenerSucursalesAsignadas(usuario.id);
+    const filtro = resolverFiltroSucursal(usuario, asignadas, valor);
+    if (filtro.error) return filtro;
+    if (filtro.sucursales && filtro.sucursales.length === 0) {
+      return { status: 403, error: "No tienes sucursales asignadas" };
+    }
+    return { sucursal_id: filtro.sucursales ? filtro.sucursales[0] : null };
+  };
+
+  // Sucursal donde se aplica un cambio de stock, resuelta a un id activo
+  const resolverSucursalMovimiento = async (usuario, valor) => {
+    const resuelta = resolverSucursalOperacion(usuario, await obtenerSucursalesAsignadas(usuario.id), valor);
+    if (resuelta.error) return resuelta;
+
+    let sucursalId = resuelta.sucursal_id;
+    if (sucursalId == null) {
+      const { data, error } = await supabase.rpc('sucursal_por_defecto');
+      if (error) throw error;
+      sucursalId = data;
+    }
+
+    const { data: sucursal, error } = await supabase
+      .from('sucursales')
+      .select('id, activa')
+      .eq('id', sucursalId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!sucursal) return { status: 404, error: "Sucursal no encontrada" };
+    if (!sucursal.activa) return { status: 400, error: "La sucursal está inactiva" };
+    return { sucursal_id: sucursal.id };
+  };
+
+  const obtenerStockSucursal = async (productoId, sucursalId) => {
+    const { data, error } = await supabase
+      .from('stock_sucursales')
+      .select('stock')
+      .eq('producto_id', productoId)
+      .eq('sucursal_id', sucursalId)
+      .maybeSingle();
+    if (error) throw error;
+    return parseFloat(data?.stock) || 0;
+  };
+
+  // Reemplaza el stock consolidado por el de la sucursal y deja el total aparte
+  const conStockDeSucursal = async (producto, sucursalId) => {
+    if (sucursalId == null) return producto;
+    return {
+      ...producto,
+      stock: await obtenerStockSucursal(producto.id, sucursalId),
+      stock_total: producto.stock,
+      sucursal_id: sucursalId
+    };
+  };
+
   // ===================== PRODUCTOS =====================
+  const ORDENES_PRODUCTOS = {
+    id: "id",
+    nombre: "name",
+    sku: "sku",
+    precio: "price",
+    stock: "stock",
+    actualizado: "last_updated"
+  };
+  // archivados: "excluir" (por defecto), "incluir" o "solo"
+  const FILTROS_ARCHIVADOS = ["excluir", "incluir", "solo"];
+  const ESTADOS_STOCK = { agotado: "agotado", bajo: "bajo", disponible: "disponible", out: "agotado", low: "bajo", available: "disponible" };
+  const LIMITE_MAXIMO_PRODUCTOS = 200;
+
+  // Mismo criterio que la columna texto_busqueda: sin acentos y en minúsculas.
+  // Se quitan los comodines de LIKE y los caracteres que PostgREST usa como separadores.
+  const normalizarBusqueda = (texto) => String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[%_,()*\\]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Categoría y todas sus subcategorías (función categorias_descendientes)
+  const obtenerCategoriasDescendientes = async (categoriaId) => {
+    const { data, error } = await supabase.rpc('categorias_descendientes', { p_categoria_id: parseInt(categoriaId) });
+    if (error) throw error;
+    return data.map(fila => fila.id);
+  };
+
+  // El filtro por categoría incluye sus subcategorías salvo con subcategorias=false
+  const resolverFiltroCategoria = async ({ categoria_id, subcategorias }) => {
+    if (!categoria_id) return null;
+    return subcategorias === "false" ? [parseInt(categoria_id)] : obtenerCategoriasDescendientes(categoria_id);
+  };
+
+  // Con sucursal se consulta la vista productos_sucursales, que trae el stock y el
+  // estado de stock de esa sucursal en stock_sucursal y estado_stock_sucursal
+  const consultarProductos = (sucursalId, columnas, opciones) => sucursalId
+    ? supabase.from('productos_sucursales').select(columnas, opciones).eq('sucursal_id', sucursalId)
+    : supabase.from('productos').select(columnas, opciones);
+
+  const formatearStockSucursal = ({ stock_sucursal, estado_stock_sucursal, sucursal_id, ...producto }) =>
+    stock_sucursal === undefined ? producto : {
+      ...producto,
+      stock: stock_sucursal,
+      estado_stock: estado_stock_sucursal,
+      stock_total: producto.stock,
+      sucursal_id
+    };
+
+  // Aplica a la consulta los filtros comunes del listado y del autocompletado.
+  // `categoria_ids` viene de resolverFiltroCategoria(); `sucursal_id`, si viene, indica
+  // que la consulta es sobre productos_sucursales.
+  const aplicarFiltrosProductos = (consulta, {
+    q, categoria_ids, estado_stock, precio_min, precio_max, archivados = "excluir", sucursal_id = null
+  }) => {
+    if (archivados === "excluir") consulta = consulta.eq('archivado', false);
+    if (archivados === "solo") consulta = consulta.eq('archivado', true);
+    for (const palabra of normalizarBusqueda(q)) {
+      consulta = consulta.ilike('texto_busqueda', `%${palabra}%`);
+    }
+    if (categoria_ids) consulta = consulta.in('categoria_id', categoria_ids);
+    if (estado_stock) consulta = consulta.eq(sucursal_id ? 'estado_stock_sucursal' : 'estado_stock', ESTADOS_STOCK[estado_stock]);
+    if (precio_min != null && precio_min !== "") consulta = consulta.gte('price', parseFloat(precio_min));
+    if (precio_max != null && precio_max !== "") consulta = consulta.lte('price', parseFloat(precio_max));
+    return consulta;
+  };
+
+  // Filtros: q (nombre, SKU o descripción), categoria_id (con sus subcategorías; solo
+  // la categoría con subcategorias=false), estado_stock (agotado, bajo,
+  // disponible), precio_min, precio_max, archivados (excluir, incluir o solo) y
+  // sucursal_id (stock y estado de esa sucursal; sin ella el admin ve el consolidado).
+  // Orden: orden + direccion.
+  // Con limite, pagina u offset responde paginado con el total; sin ellos devuelve la
+  // lista como antes, para no romper al frontend actual.
   router.get("/products", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { estado_stock, precio_min, precio_max, archivados, orden = "id", direccion, limite, pagina, offset } = req.query;
+
+    if (archivados && !FILTROS_ARCHIVADOS.includes(archivados)) {
+      return res.status(400).json({ message: "Filtro de archivados inválido. Use excluir, incluir o solo" });
+    }
+
+    if (estado_stock && !ESTADOS_STOCK[estado_stock]) {
+      return res.status(400).json({ message: "Estado de stock inválido. Use agotado, bajo o disponible" });
+    }
+    if ((precio_min && isNaN(precio_min)) || (precio_max && isNaN(precio_max))) {
+      return res.status(400).json({ message: "Rango de precios inválido" });
+    }
+    if (!ORDENES_PRODUCTOS[orden]) {
+      return res.status(400).json({ message: `Orden inválido. Valores permitidos: ${Object.keys(ORDENES_PRODUCTOS).join(", ")}` });
+    }
+
+    const paginado = limite != null || pagina != null || offset != null;
+    // Por compatibilidad, el listado sin orden explícito sigue siendo del más nuevo al más antiguo
+    const ascendente = direccion ? direccion === "asc" : orden !== "id";
+
+    try {
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+
+      let consulta = consultarProductos(sucursal.sucursal_id, `
+          *,
+          categorias:categoria_id (nombre)
+        `, paginado ? { count: 'exact' } : undefined);
+
+      const categoriaIds = await resolverFiltroCategoria(req.query);
+      const columnaOrden = sucursal.sucursal_id && orden === "stock" ? "stock_sucursal" : ORDENES_PRODUCTOS[orden];
+      consulta = aplicarFiltrosProductos(consulta, { ...req.query, categoria_ids: categoriaIds, sucursal_id: sucursal.sucursal_id })
+        .order(columnaOrden, { ascending: ascendente });
+      if (orden !== "id") consulta = consulta.order('id', { ascending: true });
+
+      let limiteFinal;
+      let offsetFinal;
+      if (paginado) {
+        limiteFinal = Math.min(Math.max(parseInt(limite) || 50, 1), LIMITE_MAXIMO_PRODUCTOS);
+        offsetFinal = offset != null
+          ? Math.max(parseInt(offset) || 0, 0)
+          : (Math.max(parseInt(pagina) || 1, 1) - 1) * limiteFinal;
+        consulta = consulta.range(offsetFinal, offsetFinal + limiteFinal - 1);
+      }
+
+      const { data: productos, error, count } = await consulta;
+
+      if (error) throw error;
+
+      // Formatear la respuesta para que sea compatible con el frontend
+      const productosFormateados = productos.map(({ texto_busqueda, ...producto }) => ({
+        ...formatearStockSucursal(producto),
+        categoria_nombre: producto.categorias?.nombre || null
+      }));
+
+      if (!paginado) {
+        return res.json(productosFormateados);
+      }
+
+      res.json({
+        productos: productosFormateados,
+        total: count,
+        limite: limiteFinal,
+        offset: offsetFinal,
+        pagina: Math.floor(offsetFinal / limiteFinal) + 1,
+        paginas: Math.ceil(count / limiteFinal),
+        hay_mas: offsetFinal + productosFormateados.length < count
+      });
+    } catch (err) {
+      console.error("Error al obtener productos:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Autocompletado liviano para el buscador del POS: pocas columnas y pocos resultados.
+  // Primero el SKU o código de barra exacto, luego los nombres que empiezan con lo escrito.
+  router.get("/products/autocomplete", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { q } = req.query;
+    const limiteFinal = Math.min(Math.max(parseInt(req.query.limite) || 10, 1), 25);
+
+    const palabras = normalizarBusqueda(q);
+    if (palabras.join("").length < 2) {
+      return res.json([]);
+    }
+
+    try {
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+
+      const categoriaIds = await resolverFiltroCategoria(req.query);
+      const columnas = 'id, sku, name, price, stock, stock_unit, estado_stock'
+        + (sucursal.sucursal_id ? ', sucursal_id, stock_sucursal, estado_stock_sucursal' : '');
+      const filtros = { ...req.query, categoria_ids: categoriaIds, archivados: "excluir", sucursal_id: sucursal.sucursal_id };
+
+      // El SKU o código alternativo exacto se busca aparte: en un catálogo grande el
+      // límite de la búsqueda por texto podría dejarlo fuera
+      const codigo = String(q).trim();
+      const [porSku, porAlias] = await Promise.all([
+        // ilike sin comodines: el SKU exacto sin distinguir mayúsculas
+        supabase.from('productos').select('id').ilike('sku', codigo.replace(/[\\%_]/g, "\\$&")),
+        supabase.from('codigos_barra').select('producto_id').eq('codigo', codigo)
+      ]);
+      if (porSku.error) throw porSku.error;
+      if (porAlias.error) throw porAlias.error;
+      const idsExactos = [...porSku.data.map(p => p.id), ...porAlias.data.map(a => a.producto_id)];
+
+      let exactos = [];
+      if (idsExactos.length > 0) {
+        const { data, error } = await aplicarFiltrosProductos(
+          consultarProductos(sucursal.sucursal_id, columnas),
+          { ...filtros, q: undefined }
+        ).in('id', idsExactos);
+        if (error) throw error;
+        exactos = data;
+      }
+
+      const { data, error } = await aplicarFiltrosProductos(consultarProductos(sucursal.sucursal_id, columnas), filtros)
+        .order('name')
+        .limit(limiteFinal * 3);
+
+      if (error) throw error;
+
+      const busqueda = palabras.join(" ");
+      const empiezaConBusqueda = (producto) => normalizarBusqueda(producto.name).join(" ").startsWith(busqueda);
+
+      const idsIncluidos = new Set(exactos.map(producto => producto.id));
+      const resto = data
+        .filter(producto => !idsIncluidos.has(producto.id))
+        .map(producto => ({ producto, prioridad: empiezaConBusqueda(producto) ? 0 : 1 }))
+        .sort((a, b) => a.prioridad - b.prioridad)
+        .map(({ producto }) => producto);
+
+      res.json([...exactos, ...resto]
+        .slice(0, limiteFinal)
+        .map(formatearStockSucursal));
+    } catch (err) {
+      console.error("Error en autocompletado de productos:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Devuelve el producto al que apunta un código alternativo, con el factor del pack
+  const buscarPorCodigoAlternativo = async (codigo) => {
+    const { data: alias, error } = await supabase
+      .from('codigos_barra')
+      .select(`
+        codigo, factor, descripcion,
+        productos:producto_id (*, categorias:categoria_id (nombre))
+      `)
+      .eq('codigo', codigo)
+      .maybeSingle();
+    if (error) throw error;
+    if (!alias?.productos || alias.productos.archivado) return null;
+
+    const { productos: producto, ...codigoBarra } = alias;
+    return {
+      ...producto,
+      categoria_nombre: producto.categorias?.nombre || null,
+      // La caja envía `codigo_barra` en el item y la venta multiplica por el factor
+      codigo_barra: { ...codigoBarra, factor: parseFloat(codigoBarra.factor) }
+    };
+  };
+
+  // Devuelve el producto de una etiqueta de balanza con la cantidad y el total
+  // calculados, o null si el código no es de balanza o su PLU no existe
+  const buscarPorCodigoBalanza = async (codigo) => {
+    if (!/^2\d{12}$/.test(codigo)) return null;
+
+    const { data: configuracion, error: errorConfiguracion } = await supabase
+      .from('configuracion_tienda')
+      .select('formato_balanza')
+      .eq('id', 1)
+      .maybeSingle();
+    if (errorConfiguracion) throw errorConfiguracion;
+
+    const { formato } = validarFormatoBalanza(configuracion?.formato_balanza || {});
+    const etiqueta = decodificarCodigoBalanza(codigo, formato || validarFormatoBalanza().formato);
+    if (!etiqueta) return null;
+
+    const { data: producto, error } = await supabase
+      .from('productos')
+      .select(`
+        *,
+        categorias:categoria_id (nombre)
+      `)
+      .eq('plu', etiqueta.plu)
+      .eq('archivado', false)
+      .maybeSingle();
+    if (error) throw error;
+    if (!producto) return null;
+
+    const precioUnitario = parseFloat(producto.price) || 0;
+    const { cantidad, total } = calcularEtiquetaBalanza(etiqueta, precioUnitario);
+
+    return {
+      ...producto,
+      categoria_nombre: producto.categorias?.nombre || null,
+      // Lo que la caja debe enviar en el item de la venta
+      balanza: {
+        codigo_balanza: codigo,
+        plu: etiqueta.plu,
+        tipo: etiqueta.tipo,
+        cantidad,
+        precio_unitario: precioUnitario,
+        total
+      }
+    };
+  };
+
+  // `sucursal_id` devuelve el stock de esa sucursal (por defecto, como en /products)
+  router.get("/products/by-sku/:sku", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { sku } = req.params;
     try {
-      const { data: productos, error } = await supabase
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+
+      const { data: producto, error } = await supabase
         .from('productos')
         .select(`
           *,
           categorias:categoria_id (nombre)
         `)
-        .order('id', { ascending: false });
+        .eq('sku', sku)
+        .single();
 
-      if (error) throw error;
+      if (error) {
+        if (error.code === 'PGRST116') { // Código de Supabase para "No encontrado"
+          // Si no es un SKU puede ser un código alternativo o de pack del producto
+          const alternativo = await buscarPorCodigoAlternativo(sku);
+          if (alternativo) {
+            return res.json(await conStockDeSucursal(alternativo, sucursal.sucursal_id));
+          }
+          // ...o la etiqueta de una balanza (PLU + peso o precio)
+          const pesado = await buscarPorCodigoBalanza(sku);
+          if (pesado) {
+            return res.json(await conStockDeSucursal(pesado, sucursal.sucursal_id));
+          }
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw error;
+      }
 
-      // Formatear la respuesta para que sea compatible con el frontend
-      const productosFormateados = productos.map(producto => ({
+      // Los productos archivados no se venden; se avisa en vez de responder "no encontrado"
+      if (producto.archivado) {
+        return res.status(404).json({ message: "El producto está archivado", archivado: true, producto_id: producto.id });
+      }
+
+      const productoFormateado = {
         ...producto,
         categoria_nombre: producto.categorias?.nombre || null
+      };
+
+      res.json(await conStockDeSucursal(productoFormateado, sucursal.sucursal_id));
+    } catch (err) {
+      console.error("Error al obtener producto por SKU:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // ===================== CÓDIGOS DE BARRA ALTERNATIVOS =====================
+  router.get("/products/:id/codigos", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data, error } = await supabase
+        .from('codigos_barra')
+        .select('*')
+        .eq('producto_id', id)
+        .order('factor', { ascending: true });
+
+      if (error) throw error;
+      res.json(data.map(codigo => ({ ...codigo, factor: parseFloat(codigo.factor) })));
+    } catch (err) {
+      console.error("Error al obtener códigos de barra:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // `factor` es cuántas unidades del producto base representa el código (1 si es un alias)
+  router.post("/products/:id/codigos", verifyToken, verificarPermisosStock("can_edit_products"), async (req, res) => {
+    const { id } = req.params;
+    const { codigo, factor = 1, descripcion } = req.body;
+    const codigoLimpio = String(codigo ?? "").trim();
+
+    if (!codigoLimpio) {
+      return res.status(400).json({ message: "El código de barra es requerido" });
+    }
+    if (isNaN(factor) || parseFloat(factor) <= 0) {
+      return res.status(400).json({ message: "El factor debe ser un número mayor a cero" });
+    }
+
+    try {
+      const { data: producto, error: productoError } = await supabase
+        .from('productos')
+        .select('id, sku')
+        .eq('id', id)
+        .single();
+
+      if (productoError) {
+        if (productoError.code === 'PGRST116') {
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw productoError;
+      }
+
+      // Un código no puede ser a la vez el SKU de un producto: la búsqueda sería ambigua
+      const { data: conSku, error: skuError } = await supabase
+        .from('productos')
+        .select('id')
+        .eq('sku', codigoLimpio)
+        .maybeSingle();
+      if (skuError) throw skuError;
+      if (conSku) {
+        return res.status(400).json({ message: "El código ya es el SKU de un producto", producto_id: conSku.id });
+      }
+
+      const { data, error } = await supabase
+        .from('codigos_barra')
+        .insert([{
+          codigo: codigoLimpio,
+          producto_id: producto.id,
+          factor: parseFloat(factor),
+          descripcion: descripcion?.trim() || null,
+          user_id: req.user.id
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      console.log("✅ Código de barra agregado:", data);
+      res.status(201).json({ ...data, factor: parseFloat(data.factor), message: "Código de barra agregado" });
+    } catch (err) {
+      console.error("Error al agregar código de barra:", err);
+      if (err.code === '23505') {
+        return res.status(400).json({ message: "Ese código de barra ya está asignado a un producto" });
+      }
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  router.delete("/products/:id/codigos/:codigoId", verifyToken, verificarPermisosStock("can_edit_products"), async (req, res) => {
+    const { id, codigoId } = req.params;
+    try {
+      const { data, error } = await supabase
+        .from('codigos_barra')
+        .delete()
+        .eq('id', codigoId)
+        .eq('producto_id', id)
+        .select();
+
+      if (error) throw error;
+      if (data.length === 0) {
+        return res.status(404).json({ message: "Código de barra no encontrado" });
+      }
+      res.json({ message: "Código de barra eliminado" });
+    } catch (err) {
+      console.error("Error al eliminar código de barra:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // ===================== IMPORTACIÓN Y EXPORTACIÓN DEL CATÁLOGO =====================
+  const MAXIMO_FILAS_IMPORTACION = 10000;
+  const subirArchivo = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }
+  }).single("archivo");
+
+  // PostgREST limita cada respuesta (1000 filas por defecto): se pide por páginas
+  const TAMANO_PAGINA = 1000;
+  const obtenerTodasLasFilas = async (crearConsulta) => {
+    const filas = [];
+    for (let desde = 0; ; desde += TAMANO_PAGINA) {
+      const { data, error } = await crearConsulta().range(desde, desde + TAMANO_PAGINA - 1);
+      if (error) throw error;
+      filas.push(...data);
+      if (data.length < TAMANO_PAGINA) return filas;
+    }
+  };
+
+  // Recibe un CSV o XLSX en el campo `archivo`. Con `dry_run=true` solo valida y
+  // devuelve el resultado por fila. Si alguna fila tiene errores no se importa nada;
+  // si todas son válidas, el catálogo se actualiza en una sola transacción.
+  router.post(
+    "/products/import",
+    verifyToken,
+    verificarPermisosStock("can_create_products"),
+    verificarPermisosStock("can_edit_products"),
+    (req, res, next) => {
+      subirArchivo(req, res, (err) => {
+        if (err) {
+          return res.status(400).json({
+            message: err.code === "LIMIT_FILE_SIZE" ? "El archivo supera los 10 MB" : "No se pudo recibir el archivo"
+          });
+        }
+        next();
+      });
+    },
+    async (req, res) => {
+      if (!req.file) {
+        return res.status(400).json({ message: "Debe adjuntar el archivo en el campo 'archivo'" });
+      }
+
+      const dryRun = [req.query.dry_run, req.body?.dry_run].some(valor => valor === "true" || valor === "1");
+      const { filas, error: errorArchivo } = leerArchivoCatalogo(req.file.buffer, req.file.originalname);
+      if (errorArchivo) {
+        return res.status(400).json({ message: errorArchivo });
+      }
+      if (filas.length > MAXIMO_FILAS_IMPORTACION) {
+        return res.status(400).json({ message: `El archivo no puede superar las ${MAXIMO_FILAS_IMPORTACION} filas` });
+      }
+
+      console.log(`📥 Importando catálogo "${req.file.originalname}" (${filas.length} filas, dry_run: ${dryRun})`);
+
+      try {
+        // SKUs ya existentes, consultados por lotes para no exceder el largo de la URL
+        const skus = [...new Set(filas.map(({ datos }) => String(datos.sku ?? "").trim()).filter(Boolean))];
+        const existentes = new Set();
+        for (let i = 0; i < skus.length; i += 200) {
+          const { data, error } = await supabase
+            .from('productos')
+            .select('sku')
+            .in('sku', skus.slice(i, i + 200));
+          if (error) throw error;
+          data.forEach(producto => existentes.add(producto.sku));
+        }
+
+        const { data: categorias, error: categoriasError } = await supabase.from('categorias').select('nombre');
+        if (categoriasError) throw categoriasError;
+        const categoriasExistentes = new Set(categorias.map(c => c.nombre.trim().toLowerCase()));
+
+        const errores = [];
+        const productos = [];
+        const filaPorSku = new Map();
+        const categoriasNuevas = new Map();
+        let nuevos = 0;
+
+        for (const { numero, datos } of filas) {
+          const sku = String(datos.sku ?? "").trim();
+          const { producto, errores: erroresFila = [] } = validarFilaCatalogo(datos, existentes.has(sku));
+
+          if (sku && filaPorSku.has(sku)) {
+            erroresFila.push(`SKU repetido en el archivo (fila ${filaPorSku.get(sku)})`);
+          }
+          filaPorSku.set(sku, filaPorSku.get(sku) ?? numero);
+
+          if (erroresFila.length > 0) {
+            errores.push({ fila: numero, sku: sku || null, errores: erroresFila });
+            continue;
+          }
+
+          if (!existentes.has(sku)) nuevos++;
+          const categoria = producto.categoria_nombre?.toLowerCase();
+          if (categoria && !categoriasExistentes.has(categoria)) {
+            categoriasNuevas.set(categoria, producto.categoria_nombre);
+          }
+          productos.push(producto);
+        }
+
+        // El stock del archivo es el de una sucursal: la de `sucursal_id` o la que mostró
+        // GET /products/export sin ella. El consolidado del admin no se puede importar.
+        let sucursalId = null;
+        if (productos.some(producto => producto.stock != null)) {
+          let valorSucursal = req.query.sucursal_id ?? req.body?.sucursal_id;
+          if (valorSucursal == null || valorSucursal === "") {
+            const vista = await resolverSucursalConsulta(req.user, null);
+            if (vista.error) {
+              return res.status(vista.status).json({ message: vista.error });
+            }
+            if (vista.sucursal_id == null) {
+              return res.status(400).json({
+                message: "El stock del archivo se aplica a una sucursal. Indique sucursal_id para importarlo"
+              });
+            }
+            valorSucursal = vista.sucursal_id;
+          }
+          const sucursal = await resolverSucursalMovimiento(req.user, valorSucursal);
+          if (sucursal.error) {
+            return res.status(sucursal.status).json({ message: sucursal.error });
+          }
+          sucursalId = sucursal.sucursal_id;
+        }
+
+        const resumen = {
+          dry_run: dryRun,
+          sucursal_id: sucursalId,
+          total_filas: filas.length,
+          validas: productos.length,
+          con_errores: errores.length,
+          nuevos,
+          actualizados: productos.length - nuevos,
+          categorias_nuevas: [...categoriasNuevas.values()],
+          errores
+        };
+
+        if (errores.length > 0 && !dryRun) {
+          return res.status(400).json({
+            ...resumen,
+            message: "El archivo tiene errores; no se importó ningún producto"
+          });
+        }
+        if (dryRun) {
+          return res.json(resumen);
+        }
+
+        const { data: resultado, error } = await supabase.rpc('importar_catalogo', {
+          p_filas: productos,
+          p_user_id: req.user.id,
+          p_motivo: req.body?.motivo?.trim() || `Importación de catálogo (${req.file.originalname})`,
+          p_sucursal_id: sucursalId
+        });
+        if (error) throw error;
+
+        console.log("✅ Catálogo importado:", resultado);
+        res.json({ ...resumen, ...resultado, message: "Catálogo importado correctamente" });
+      } catch (err) {
+        console.error("Error al importar catálogo:", err);
+        res.status(500).json({ error: "Error de servidor al importar catálogo" });
+      }
+    }
+  );
+
+  // Mismas columnas que acepta la importación. `formato` = csv (por defecto) o xlsx.
+  // El stock es el de la sucursal, con el mismo filtro `sucursal_id` que GET /products.
+  router.get("/products/export", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const formato = req.query.formato === "xlsx" ? "xlsx" : "csv";
+    try {
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+
+      const productos = await obtenerTodasLasFilas(() => consultarProductos(sucursal.sucursal_id, `
+          *,
+          categorias:categoria_id (nombre)
+        `)
+        .order('sku'));
+
+      const archivo = generarArchivoCatalogo(
+        productos.map(producto => ({
+          ...formatearStockSucursal(producto),
+          categoria_nombre: producto.categorias?.nombre || ""
+        })),
+        formato
+      );
+
+      const fecha = new Date().toISOString().slice(0, 10);
+      const sufijo = sucursal.sucursal_id ? `-sucursal-${sucursal.sucursal_id}` : "";
+      res.set({
+        "Content-Type": formato === "xlsx"
+          ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          : "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="productos${sufijo}-${fecha}.${formato}"`
+      });
+      res.send(archivo);
+    } catch (err) {
+      console.error("Error al exportar catálogo:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // ===================== KARDEX Y AJUSTES DE STOCK =====================
+  // Todo cambio de stock pasa por registrar_movimiento_stock, que actualiza el stock
+  // de la sucursal y el consolidado y deja el movimiento con su saldo en una sola operación.
+  const registrarMovimiento = async ({
+    producto_id, cantidad, motivo, user_id, observacion = null, documento_tipo = null, documento_id = null, sucursal_id = null,
+    sin_negativo = false
+  }) => {
+    const { data, error } = await supabase.rpc('registrar_movimiento_stock', {
+      p_producto_id: producto_id,
+      p_cantidad: cantidad,
+      p_motivo: motivo,
+      p_user_id: user_id,
+      p_documento_tipo: documento_tipo,
+      p_documento_id: documento_id,
+      p_observacion: observacion,
+      p_sucursal_id: sucursal_id,
+      p_sin_negativo: sin_negativo
+    });
+    if (error) throw error;
+    return data;
+  };
+
+  // Con sucursal el saldo es el de la sucursal; en la vista consolidada (admin sin
+  // sucursal_id) se listan los movimientos de todas con el saldo total
+  router.get("/products/:id/kardex", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { id } = req.params;
+    const { desde, hasta, motivo } = req.query;
+
+    if ((desde && isNaN(Date.parse(desde))) || (hasta && isNaN(Date.parse(hasta)))) {
+      return res.status(400).json({ message: "Rango de fechas inválido" });
+    }
+    if (motivo && !MOTIVOS_MOVIMIENTO.includes(motivo)) {
+      return res.status(400).json({ message: `Motivo inválido. Valores permitidos: ${MOTIVOS_MOVIMIENTO.join(", ")}` });
+    }
+
+    // `hasta` sin hora incluye el día completo
+    let fin = null;
+    if (hasta) {
+      const fecha = new Date(hasta);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(hasta)) fecha.setDate(fecha.getDate() + 1);
+      fin = fecha.toISOString();
+    }
+
+    try {
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+      const sucursalId = sucursal.sucursal_id;
+
+      const { data: productoBase, error: productoError } = await supabase
+        .from('productos')
+        .select('id, sku, name, stock, stock_unit')
+        .eq('id', id)
+        .single();
+
+      if (productoError) {
+        if (productoError.code === 'PGRST116') {
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw productoError;
+      }
+      const producto = await conStockDeSucursal(productoBase, sucursalId);
+
+      let consulta = supabase
+        .from('movimientos_stock')
+        .select('*, usuarios:user_id (nombre), sucursales:sucursal_id (nombre)')
+        .eq('producto_id', id)
+        .order('fecha', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (sucursalId) consulta = consulta.eq('sucursal_id', sucursalId);
+      if (desde) consulta = consulta.gte('fecha', new Date(desde).toISOString());
+      if (fin) consulta = consulta.lt('fecha', fin);
+      if (motivo) consulta = consulta.eq('motivo', motivo);
+
+      const { data: movimientos, error } = await consulta;
+      if (error) throw error;
+
+      // Saldo con que abre el período: el del último movimiento anterior a `desde`
+      // En la vista consolidada el saldo que cuenta es el total de todas las sucursales
+      const columnaSaldo = sucursalId ? 'saldo' : 'saldo_total';
+      let saldoInicial = 0;
+      if (desde) {
+        let consultaAnterior = supabase
+          .from('movimientos_stock')
+          .select(columnaSaldo)
+          .eq('producto_id', id)
+          .lt('fecha', new Date(desde).toISOString())
+          .order('fecha', { ascending: false })
+          .order('id', { ascending: false })
+          .limit(1);
+        if (sucursalId) consultaAnterior = consultaAnterior.eq('sucursal_id', sucursalId);
+        const { data: anterior, error: anteriorError } = await consultaAnterior;
+        if (anteriorError) throw anteriorError;
+        saldoInicial = anterior.length > 0 ? parseFloat(anterior[0][columnaSaldo]) : 0;
+      }
+
+      const movimientosFormateados = movimientos.map(({ usuarios, sucursales, ...movimiento }) => ({
+        ...movimiento,
+        cantidad: parseFloat(movimiento.cantidad),
+        saldo: parseFloat(movimiento[columnaSaldo]),
+        saldo_sucursal: parseFloat(movimiento.saldo),
+        saldo_total: parseFloat(movimiento.saldo_total),
+        user_nombre: usuarios?.nombre || null,
+        sucursal_nombre: sucursales?.nombre || null
       }));
 
-      res.json(productosFormateados);
-    } catch (err) {
-      console.error("Error al obtener productos:", err);
-      res.status(500).json({ error: "Error de servidor" });
+      res.json({
+        producto,
+        sucursal_id: sucursalId,
+        desde: desde || null,
+        hasta: fin,
+        saldo_inicial: saldoInicial,
+        entradas: movimientosFormateados.filter(m => m.cantidad > 0).reduce((sum, m) => sum + m.cantidad, 0),
+        salidas: movimientosFormateados.filter(m => m.cantidad < 0).reduce((sum, m) => sum - m.cantidad, 0),
+        saldo_final: movimientosFormateados.length > 0
+          ? movimientosFormateados[movimientosFormateados.length - 1].saldo
+          : saldoInicial,
+        movimientos: movimientosFormateados
+      });
+    } catch (err) {
+      console.error("Error al obtener kardex:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Ajuste manual: `cantidad` es la diferencia a aplicar, o `stock` el saldo final deseado,
+  // en `sucursal_id` (o la única sucursal del usuario)
+  router.post("/products/:id/ajustes", verifyToken, verificarPermisosStock("can_manage_stock"), async (req, res) => {
+    const { id } = req.params;
+    const { cantidad, stock, motivo } = req.body;
+
+    if (!motivo || !motivo.trim()) {
+      return res.status(400).json({ message: "Debe indicar el motivo del ajuste" });
+    }
+    if ((cantidad == null) === (stock == null)) {
+      return res.status(400).json({ message: "Indique la cantidad a ajustar o el stock final, pero no ambos" });
+    }
+    if ((cantidad != null && isNaN(cantidad)) || (stock != null && (isNaN(stock) || parseFloat(stock) < 0))) {
+      return res.status(400).json({ message: "Cantidad inválida" });
+    }
+
+    try {
+      const sucursal = await resolverSucursalMovimiento(req.user, req.body.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+
+      const { data: producto, error: productoError } = await supabase
+        .from('productos')
+        .select('id')
+        .eq('id', id)
+        .single();
+
+      if (productoError) {
+        if (productoError.code === 'PGRST116') {
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw productoError;
+      }
+
+      const stockActual = await obtenerStockSucursal(producto.id, sucursal.sucursal_id);
+      const delta = cantidad != null ? parseFloat(cantidad) : parseFloat(stock) - stockActual;
+      if (delta === 0) {
+        return res.status(400).json({ message: "El ajuste no cambia el stock" });
+      }
+
+      // El stock negativo se rechaza dentro de la función, con la fila bloqueada, para
+      // que dos ajustes simultáneos no lo dejen bajo cero
+      const movimiento = await registrarMovimiento({
+        producto_id: producto.id,
+        cantidad: delta,
+        motivo: "ajuste",
+        user_id: req.user.id,
+        observacion: motivo.trim(),
+        sucursal_id: sucursal.sucursal_id,
+        sin_negativo: true
+      });
+
+      console.log("✅ Ajuste de stock registrado:", movimiento);
+      res.status(201).json({ ...movimiento, message: "Ajuste de stock registrado" });
+    } catch (err) {
+      console.error("Error al registrar ajuste de stock:", err);
+      if (err.code === '23514') {
+        return res.status(400).json({ message: "El ajuste dejaría el stock en negativo" });
+      }
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Stock del producto en cada sucursal más el consolidado. Los usuarios que no son
+  // admin solo ven sus sucursales.
+  router.get("/products/:id/sucursales", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: producto, error: productoError } = await supabase
+        .from('productos')
+        .select('id, sku, name, stock, stock_unit, stock_minimo')
+        .eq('id', id)
+        .single();
+
+      if (productoError) {
+        if (productoError.code === 'PGRST116') {
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw productoError;
+      }
+
+      let consulta = supabase
+        .from('productos_sucursales')
+        .select('sucursal_id, stock_sucursal, estado_stock_sucursal')
+        .eq('id', id)
+        .order('sucursal_id');
+      if (req.user.rol !== "admin") {
+        consulta = consulta.in('sucursal_id', await obtenerSucursalesAsignadas(req.user.id));
+      }
+      const { data: existencias, error } = await consulta;
+      if (error) throw error;
+
+      const { data: sucursales, error: sucursalesError } = await supabase
+        .from('sucursales')
+        .select('id, nombre, activa');
+      if (sucursalesError) throw sucursalesError;
+      const nombres = new Map(sucursales.map(sucursal => [sucursal.id, sucursal]));
+
+      res.json({
+        ...producto,
+        stock_total: parseFloat(producto.stock),
+        sucursales: existencias.map(fila => ({
+          sucursal_id: fila.sucursal_id,
+          sucursal_nombre: nombres.get(fila.sucursal_id)?.nombre || null,
+          activa: nombres.get(fila.sucursal_id)?.activa ?? null,
+          stock: parseFloat(fila.stock_sucursal),
+          estado_stock: fila.estado_stock_sucursal
+        }))
+      });
+    } catch (err) {
+      console.error("Error al obtener stock por sucursal:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // ===================== PUNTO DE REPOSICIÓN Y ALERTAS =====================
+  router.put("/products/:id/reposicion", verifyToken, verificarPermisosStock("can_manage_stock"), async (req, res) => {
+    const { id } = req.params;
+    const { stock_minimo, cantidad_reposicion } = req.body;
+
+    const valores = { stock_minimo, cantidad_reposicion };
+    for (const [campo, valor] of Object.entries(valores)) {
+      if (valor == null || isNaN(valor) || parseFloat(valor) < 0) {
+        return res.status(400).json({ message: `El campo ${campo} debe ser un número mayor o igual a cero` });
+      }
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('productos')
+        .update({ stock_minimo: parseFloat(stock_minimo), cantidad_reposicion: parseFloat(cantidad_reposicion) })
+        .eq('id', id)
+        .select('id, sku, name, stock, stock_minimo, cantidad_reposicion')
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw error;
+      }
+      res.json({ ...data, message: "Punto de reposición actualizado" });
+    } catch (err) {
+      console.error("Error al actualizar punto de reposición:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Productos en o bajo su mínimo, agrupados por categoría. `dias` es la ventana para
+  // la venta diaria promedio (30 por defecto) y `cobertura`, si viene, agrega los
+  // productos que según ese promedio se agotarían dentro de esa cantidad de días.
+  // Con `sucursal_id` se mide el stock y la venta de esa sucursal.
+  router.get("/alerts", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const dias = parseInt(req.query.dias) || 30;
+    const cobertura = req.query.cobertura != null ? parseFloat(req.query.cobertura) : null;
+
+    if (dias < 1 || dias > 365 || (cobertura != null && (isNaN(cobertura) || cobertura < 0))) {
+      return res.status(400).json({ message: "Parámetros inválidos: dias debe estar entre 1 y 365 y cobertura ser positiva" });
+    }
+
+    try {
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+
+      const { data, error } = await supabase.rpc('obtener_alertas_stock', {
+        p_dias: dias,
+        p_dias_cobertura: cobertura,
+        p_sucursal_id: sucursal.sucursal_id
+      });
+      if (error) throw error;
+
+      const categorias = new Map();
+      for (const producto of data) {
+        const clave = producto.categoria_id ?? 0;
+        if (!categorias.has(clave)) {
+          categorias.set(clave, {
+            categoria_id: producto.categoria_id,
+            categoria_nombre: producto.categoria_nombre || "Sin categoría",
+            productos: []
+          });
+        }
+        categorias.get(clave).productos.push(producto);
+      }
+
+      res.json({
+        dias,
+        cobertura,
+        sucursal_id: sucursal.sucursal_id,
+        total_productos: data.length,
+        bajo_minimo: data.filter(p => p.bajo_minimo).length,
+        categorias: [...categorias.values()].sort((a, b) => a.categoria_nombre.localeCompare(b.categoria_nombre))
+      });
+    } catch (err) {
+      console.error("Error al obtener alertas de stock:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Stream (Server-Sent Events) con las alertas que generan las ventas en tiempo real.
+  // Cada alerta trae su sucursal_id; `sucursal_id` en la consulta deja pasar solo esas.
+  router.get("/alerts/stream", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    // Misma sucursal que GET /alerts: solo el admin sin filtro recibe las de todas
+    let sucursalFiltro;
+    try {
+      const sucursal = await resolverSucursalConsulta(req.user, req.query.sucursal_id);
+      if (sucursal.error) {
+        return res.status(sucursal.status).json({ message: sucursal.error });
+      }
+      sucursalFiltro = sucursal.sucursal_id;
+    } catch (err) {
+      console.error("Error al abrir el stream de alertas:", err);
+      return res.status(500).json({ error: "Error de servidor" });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.flushHeaders();
+
+    const enviarAlerta = (alerta) => {
+      if (sucursalFiltro && alerta.sucursal_id !== sucursalFiltro) return;
+      res.write(`event: stock_bajo\ndata: ${JSON.stringify(alerta)}\n\n`);
+    };
+    // Comentario periódico para que proxies no cierren la conexión inactiva
+    const latido = setInterval(() => res.write(": ping\n\n"), 30000);
+
+    eventosStock.on("stock_bajo", enviarAlerta);
+    req.on("close", () => {
+      clearInterval(latido);
+      eventosStock.off("stock_bajo", enviarAlerta);
+    });
+  });
+
+  // ===================== HISTORIAL Y CAMBIOS DE PRECIO =====================
+  const redondearMonto = (monto) => Math.round(monto * 100) / 100;
+
+  // Línea de tiempo de precios: cada tramo con su vigencia, quién lo cambió y el
+  // margen, más los cambios programados que aún no se aplican
+  router.get("/products/:id/precios", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: producto, error: productoError } = await supabase
+        .from('productos')
+        .select('id, sku, name, price, purchase_price')
+        .eq('id', id)
+        .single();
+
+      if (productoError) {
+        if (productoError.code === 'PGRST116') {
+          return res.status(404).json({ message: "Producto no encontrado" });
+        }
+        throw productoError;
+      }
+
+      const [historialResult, programadosResult] = await Promise.all([
+        supabase
+          .from('historial_precios')
+          .select('id, price, purchase_price, vigente_desde, user_id, cambio_programado_id, usuarios:user_id (nombre)')
+          .eq('producto_id', id)
+          .order('vigente_desde', { ascending: true })
+          .order('id', { ascending: true }),
+        supabase
+          .from('cambios_precio_programados')
+          .select('id, price, purchase_price, aplicar_en, motivo, user_id, created_at, usuarios:user_id (nombre)')
+          .eq('producto_id', id)
+          .eq('estado', 'pendiente')
+          .order('aplicar_en', { ascending: true })
+      ]);
+      if (historialResult.error) throw historialResult.error;
+      if (programadosResult.error) throw programadosResult.error;
+
+      const historial = historialResult.data.map(({ usuarios, ...tramo }, i, lista) => {
+        const precio = parseFloat(tramo.price) || 0;
+        const costo = parseFloat(tramo.purchase_price) || 0;
+        const anterior = lista[i - 1];
+        return {
+          ...tramo,
+          price: precio,
+          purchase_price: costo,
+          vigente_hasta: lista[i + 1]?.vigente_desde || null,
+          usuario_nombre: usuarios?.nombre || null,
+          variacion_precio: anterior ? redondearMonto(precio - (parseFloat(anterior.price) || 0)) : null,
+          margen: redondearMonto(precio - costo),
+          margen_porcentaje: precio > 0 ? redondearMonto((precio - costo) / precio * 100) : null
+        };
+      });
+
+      res.json({
+        producto_id: producto.id,
+        sku: producto.sku,
+        nombre: producto.name,
+        precio_actual: parseFloat(producto.price) || 0,
+        costo_actual: parseFloat(producto.purchase_price) || 0,
+        historial,
+        programados: programadosResult.data.map(({ usuarios, ...cambio }) => ({
+          ...cambio,
+          price: cambio.price != null ? parseFloat(cambio.price) : null,
+          purchase_price: cambio.purchase_price != null ? parseFloat(cambio.purchase_price) : null,
+          usuario_nombre: usuarios?.nombre || null
+        }))
+      });
+    } catch (err) {
+      console.error("Error al obtener historial de precios:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Cambia el precio y/o el costo. Con `vigente_desde` futuro queda programado y se
+  // aplica solo al llegar la fecha; sin fecha se aplica de inmediato. Una fecha pasada
+  // se rechaza: el historial registraría el cambio con la fecha de hoy, no con esa.
+  router.post("/products/:id/precios", verifyToken, verificarPermisosStock("can_edit_products"), async (req, res) => {
+    const { id } = req.params;
+    const { price, purchase_price, vigente_desde, motivo } = req.body;
+
+    if (price == null && purchase_price == null) {
+      return res.status(400).json({ message: "Debe indicar el nuevo precio, el nuevo costo o ambos" });
+    }
+    for (const [campo, valor] of Object.entries({ price, purchase_price })) {
+      if (valor != null && (isNaN(valor) || parseFloat(valor) < 0)) {
+        return res.status(400).json({ message: `El campo ${campo} debe ser un número mayor o igual a cero` });
+      }
+    }
+    if (vigente_desde && isNaN(Date.parse(vigente_desde))) {
+      return res.status(400).json({ message: "Fecha de vigencia inválida" });
+    }
+
+    // Un minuto de margen por la diferencia de hora entre el terminal y el servidor
+    if (vigente_desde && new Date(vigente_desde) < new Date(Date.now() - 60 * 1000)) {
+      return res.status(400).json({
+        message: "La fecha de vigencia no puede ser pasada. Omítala para aplicar el cambio ahora"
+      });
     }
-  });
 
-  router.get("/products/by-sku/:sku", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
-    const { sku } = req.params;
+    const programado = vigente_desde && new Date(vigente_desde) > new Date();
+
     try {
-      const { data: producto, error } = await supabase
+      const { data: producto, error: productoError } = await supabase
         .from('productos')
-        .select(`
-          *,
-          categorias:categoria_id (nombre)
-        `)
-        .eq('sku', sku)
+        .select('id')
+        .eq('id', id)
         .single();
 
-      if (error) {
-        if (error.code === 'PGRST116') { // Código de Supabase para "No encontrado"
+      if (productoError) {
+        if (productoError.code === 'PGRST116') {
           return res.status(404).json({ message: "Producto no encontrado" });
         }
-        throw error;
+        throw productoError;
       }
 
-      const productoFormateado = {
-        ...producto,
-        categoria_nombre: producto.categorias?.nombre || null
-      };
+      if (programado) {
+        const { data, error } = await supabase
+          .from('cambios_precio_programados')
+          .insert([{
+            producto_id: producto.id,
+            price: price != null ? parseFloat(price) : null,
+            purchase_price: purchase_price != null ? parseFloat(purchase_price) : null,
+            aplicar_en: new Date(vigente_desde),
+            motivo: motivo?.trim() || null,
+            user_id: req.user.id
+          }])
+          .select()
+          .single();
+
+        if (error) throw error;
+        console.log("✅ Cambio de precio programado:", data);
+        return res.status(201).json({ ...data, programado: true, message: "Cambio de precio programado" });
+      }
+
+      // El historial lo escribe el trigger de `productos`
+      const { data, error } = await supabase
+        .from('productos')
+        .update({
+          ...(price != null ? { price: parseFloat(price) } : {}),
+          ...(purchase_price != null ? { purchase_price: parseFloat(purchase_price) } : {}),
+          user_id: req.user.id,
+          last_updated: new Date()
+        })
+        .eq('id', producto.id)
+        .select('id, sku, name, price, purchase_price')
+        .single();
 
-      res.json(productoFormateado);
+      if (error) throw error;
+      console.log("✅ Precio actualizado:", data);
+      res.json({ ...data, programado: false, message: "Precio actualizado" });
     } catch (err) {
-      console.error("Error al obtener producto por SKU:", err);
+      console.error("Error al cambiar precio:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  router.delete("/products/:id/precios/programados/:cambioId", verifyToken, verificarPermisosStock("can_edit_products"), async (req, res) => {
+    const { id, cambioId } = req.params;
+    try {
+      const { data, error } = await supabase
+        .from('cambios_precio_programados')
+        .update({ estado: 'cancelado', cancelado_por: req.user.id })
+        .eq('id', cambioId)
+        .eq('producto_id', id)
+        .eq('estado', 'pendiente')
+        .select();
+
+      if (error) throw error;
+      if (data.length === 0) {
+        return res.status(404).json({ message: "Cambio programado no encontrado o ya aplicado" });
+      }
+      res.json({ ...data[0], message: "Cambio de precio programado cancelado" });
+    } catch (err) {
+      console.error("Error al cancelar cambio de precio:", err);
       res.status(500).json({ error: "Error de servidor" });
     }
   });
 
   // ===================== CATEGORÍAS =====================
+  // Completa cada categoría con su ruta ("Bebidas > Gaseosas") y su nivel (0 = raíz)
+  const armarCategorias = (categorias) => {
+    const porId = new Map(categorias.map(categoria => [categoria.id, categoria]));
+    const ruta = (categoria) => {
+      const nombres = [];
+      const vistos = new Set();
+      for (let actual = categoria; actual && !vistos.has(actual.id); actual = porId.get(actual.parent_id)) {
+        vistos.add(actual.id);
+        nombres.unshift(actual.nombre);
+      }
+      return nombres;
+    };
+    return categorias.map(({ productos, ...categoria }) => {
+      const nombres = ruta(categoria);
+      return {
+        ...categoria,
+        cantidad_productos: productos?.[0]?.count ?? 0,
+        ruta: nombres.join(" > "),
+        nivel: nombres.length - 1
+      };
+    });
+  };
+
+  const anidarCategorias = (categorias, parentId = null) => categorias
+    .filter(categoria => (categoria.parent_id ?? null) === parentId)
+    .map(categoria => ({ ...categoria, subcategorias: anidarCategorias(categorias, categoria.id) }));
+
+  // Valida que `parentId` exista y no sea la categoría ni una de sus subcategorías.
+  // Devuelve un mensaje de error o null.
+  const validarCategoriaPadre = async (parentId, categoriaId = null) => {
+    if (parentId == null) return null;
+    const { data: padre, error } = await supabase
+      .from('categorias')
+      .select('id')
+      .eq('id', parentId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!padre) return "La categoría padre no existe";
+    if (categoriaId != null) {
+      const descendientes = await obtenerCategoriasDescendientes(categoriaId);
+      if (descendientes.includes(parseInt(parentId))) {
+        return "Una categoría no puede quedar dentro de sí misma ni de una de sus subcategorías";
+      }
+    }
+    return null;
+  };
+
+  // Lista plana ordenada por ruta; con arbol=true, anidada en `subcategorias`
   router.get("/categories", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
     try {
       const { data: categorias, error } = await supabase
         .from('categorias')
-        .select('*')
+        .select('*, productos(count)')
         .order('nombre');
 
       if (error) throw error;
-      res.json(categorias || []);
+      const completas = armarCategorias(categorias || [])
+        .sort((a, b) => a.ruta.localeCompare(b.ruta, "es"));
+
+      res.json(req.query.arbol === "true" ? anidarCategorias(completas) : completas);
     } catch (err) {
       console.error("Error al obtener categorías:", err);
       res.status(500).json({ error: "Error de servidor" });
@@ -139,14 +1401,19 @@ const createStockRouter = (supabase, verifyToken = (req, res, next) => next()) =
   });
 
   router.post("/categories", verifyToken, verificarPermisosStock("can_create_products"), async (req, res) => {
-    const { nombre } = req.body;
+    const { nombre, parent_id = null } = req.body;
     if (!nombre) {
       return res.status(400).json({ message: "El nombre de la categoría es requerido" });
     }
     try {
+      const errorPadre = await validarCategoriaPadre(parent_id);
+      if (errorPadre) {
+        return res.status(400).json({ message: errorPadre });
+      }
+
       const { data: categoria, error } = await supabase
         .from('categorias')
-        .insert([{ nombre }])
+        .insert([{ nombre, parent_id: parent_id || null }])
         .select()
         .single();
 
@@ -160,45 +1427,409 @@ const createStockRouter = (supabase, verifyToken = (req, res, next) => next()) =
       res.status(500).json({ error: "Error de servidor" });
     }
   });
+
+  // Renombra y/o mueve la categoría; parent_id null la deja en la raíz
+  router.put("/categories/:id", verifyToken, verificarPermisosStock("can_edit_products"), async (req, res) => {
+    const { id } = req.params;
+    const { nombre, parent_id } = req.body;
+
+    const cambios = {};
+    if (nombre !== undefined) {
+      if (!nombre || !String(nombre).trim()) {
+        return res.status(400).json({ message: "El nombre de la categoría es requerido" });
+      }
+      cambios.nombre = String(nombre).trim();
+    }
+    if (parent_id !== undefined) cambios.parent_id = parent_id || null;
+    if (Object.keys(cambios).length === 0) {
+      return res.status(400).json({ message: "No hay datos para actualizar" });
+    }
+
+    try {
+      if (cambios.parent_id != null) {
+        const errorPadre = await validarCategoriaPadre(cambios.parent_id, id);
+        if (errorPadre) {
+          return res.status(400).json({ message: errorPadre });
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('categorias')
+        .update(cambios)
+        .eq('id', id)
+        .select();
+
+      if (error) throw error;
+      if (data.length === 0) {
+        return res.status(404).json({ message: "Categoría no encontrada" });
+      }
+      res.json({ ...data[0], message: "Categoría actualizada" });
+    } catch (err) {
+      console.error("Error al actualizar categoría:", err);
+      if (err.code === '23505') {
+        return res.status(400).json({ message: "Ya existe una categoría con ese nombre" });
+      }
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Reasigna lo que apunta a `origenId` hacia `destinoId` y la elimina, todo en la
+  // función reasignar_y_eliminar_categoria para que sea una sola operación
+  const reasignarYEliminarCategoria = async (res, origenId, destinoId, mensaje) => {
+    const { data, error } = await supabase.rpc('reasignar_y_eliminar_categoria', {
+      p_origen: parseInt(origenId),
+      p_destino: destinoId != null ? parseInt(destinoId) : null
+    });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.code === '22023') {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+    console.log("✅", mensaje, { origen: origenId, destino: destinoId, ...data });
+    res.json({ ...data, message: mensaje });
+  };
+
+  // Con productos hay que indicar `reasignar_a` (otra categoría) o `sin_categoria=true`.
+  // Las subcategorías pasan a la categoría de destino o, sin destino, a la categoría padre.
+  router.delete("/categories/:id", verifyToken, verificarPermisosStock("can_delete_products"), async (req, res) => {
+    const { id } = req.params;
+    const reasignarA = req.body?.reasignar_a ?? req.query.reasignar_a ?? null;
+    const sinCategoria = String(req.body?.sin_categoria ?? req.query.sin_categoria) === "true";
+
+    try {
+      if (reasignarA == null && !sinCategoria) {
+        const { count, error } = await supabase
+          .from('productos')
+          .select('id', { count: 'exact', head: true })
+          .eq('categoria_id', id);
+        if (error) throw error;
+        if (count > 0) {
+          return res.status(409).json({
+            message: "La categoría tiene productos. Indique reasignar_a con la categoría de destino o sin_categoria=true",
+            productos: count
+          });
+        }
+      }
+
+      await reasignarYEliminarCategoria(res, id, reasignarA, "Categoría eliminada");
+    } catch (err) {
+      console.error("Error al eliminar categoría:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Fusiona la categoría en `destino_id`: sus productos, promociones y subcategorías
+  // pasan al destino y la categoría se elimina
+  router.post("/categories/:id/fusionar", verifyToken, verificarPermisosStock("can_delete_products"), async (req, res) => {
+    const { id } = req.params;
+    const { destino_id } = req.body;
+
+    if (!destino_id) {
+      return res.status(400).json({ message: "Debe indicar la categoría de destino" });
+    }
+
+    try {
+      await reasignarYEliminarCategoria(res, id, destino_id, "Categorías fusionadas");
+    } catch (err) {
+      console.error("Error al fusionar categorías:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
   
+  // ===================== PROMOCIONES =====================
+  router.get("/promotions", verifyToken, verificarPermisosStock("can_view_products"), async (req, res) => {
+    const { vigentes, producto_id, categoria_id } = req.query;
+    try {
+      let query = supabase
+        .from('promociones')
+        .select(`
+          *,
+          productos:producto_id (name, sku),
+          categorias:categoria_id (nombre)
+        `)
+        .order('id', { ascending: false });
+
+      if (producto_id) query = query.eq('producto_id', producto_id);
+      if (categoria_id) query = query.eq('categoria_id', categoria_id);
+
+      // Solo las que están activas y dentro de su rango de fechas
+      if (vigentes === "true") {
+        const ahora = new Date().toISOString();
+        query = query
+          .eq('activa', true)
+          .or(`fecha_inicio.is.null,fecha_inicio.lte.${ahora}`)
+          .or(`fecha_fin.is.null,fecha_fin.gte.${ahora}`);
+      }
+
+      const { data: promociones, error } = await query;
+      if (error) throw error;
+
+      const promocionesFormateadas = promociones.map(promocion => ({
+        ...promocion,
+        producto_nombre: promocion.productos?.name || null,
+        categoria_nombre: promocion.categorias?.nombre || null
+      }));
+
+      res.json(promocionesFormateadas);
+    } catch (err) {
+      console.error("Error al obtener promociones:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  router.post("/promotions", verifyToken, verificarPermisosStock("can_create_products"), async (req, res) => {
+    const { promocion, error: errorValidacion } = validarPromocion(req.body);
+    if (errorValidacion) {
+      return res.status(400).json({ message: errorValidacion });
+    }
+    try {
+      const { data, error } = await supabase
+        .from('promociones')
+        .insert([{ ...promocion, user_id: req.user.id }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      res.status(201).json(data);
+    } catch (err) {
+      console.error("Error al crear promoción:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  router.put("/promotions/:id", verifyToken, verificarPermisosStock("can_edit_products"), async (req, res) => {
+    const { id } = req.params;
+    const { promocion, error: errorValidacion } = validarPromocion(req.body);
+    if (errorValidacion) {
+      return res.status(400).json({ message: errorValidacion });
+    }
+    try {
+      const { data, error } = await supabase
+        .from('promociones')
+        .update(promocion)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return res.status(404).json({ message: "Promoción no encontrada" });
+        }
+        throw error;
+      }
+      res.json(data);
+    } catch (err) {
+      console.error("Error al actualizar promoción:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Las promociones ya usadas en ventas se desactivan en vez de borrarse
+  router.delete("/promotions/:id", verifyToken, verificarPermisosStock("can_delete_products"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { count, error: errorUso } = await supabase
+        .from('venta_detalles')
+        .select('id', { count: 'exact', head: true })
+        .eq('promocion_id', id);
+
+      if (errorUso) throw errorUso;
+
+      if (count > 0) {
+        const { data, error } = await supabase
+          .from('promociones')
+          .update({ activa: false })
+          .eq('id', id)
+          .select()
+          .single();
+
+        if (error) {
+          if (error.code === 'PGRST116') {
+            return res.status(404).json({ message: "Promoción no encontrada" });
+          }
+          throw error;
+        }
+        return res.json({ ...data, message: "La promoción tiene ventas asociadas, se desactivó en lugar de eliminarse" });
+      }
+
+      const { data, error } = await supabase
+        .from('promociones')
+        .delete()
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return res.status(404).json({ message: "Promoción no encontrada" });
+        }
+        throw error;
+      }
+      res.json({ message: "Promoción eliminada correctamente" });
+    } catch (err) {
+      console.error("Error al eliminar promoción:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
+  // Rendimiento de una promoción a partir de las líneas de venta donde se aplicó
+  router.get("/promotions/:id/rendimiento", verifyToken, verificarPermisosStock("can_view_reports"), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data: lineas, error } = await supabase
+        .from('venta_detalles')
+        .select('venta_id, cantidad, precio, precio_lista, descuento_promocion, purchase_price')
+        .eq('promocion_id', id);
+
+      if (error) throw error;
+
+      const resumen = lineas.reduce((acc, linea) => {
+        const cantidad = parseFloat(linea.cantidad) || 0;
+        acc.unidades += cantidad;
+        acc.ingresos += cantidad * (parseFloat(linea.precio) || 0);
+        acc.descuento_total += parseFloat(linea.descuento_promocion) || 0;
+        acc.costo += cantidad * (parseFloat(linea.purchase_price) || 0);
+        acc.ventas.add(linea.venta_id);
+        return acc;
+      }, { unidades: 0, ingresos: 0, descuento_total: 0, costo: 0, ventas: new Set() });
+
+      res.json({
+        promocion_id: parseInt(id),
+        cantidad_ventas: resumen.ventas.size,
+        unidades: resumen.unidades,
+        ingresos: resumen.ingresos,
+        descuento_total: resumen.descuento_total,
+        margen: resumen.ingresos - resumen.costo
+      });
+    } catch (err) {
+      console.error("Error al obtener rendimiento de promoción:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  });
+
   // ===================== UPSERT PRODUCTO (CREAR O ACTUALIZAR) =====================
   router.post("/products/upsert", verifyToken, async (req, res, next) => {
     // La verificación de permisos se hace dentro de la ruta
     // para manejar la lógica de "crear" vs "editar".
     console.log("🔍 DEBUG - Datos recibidos en upsert:", req.body);
     
-    const { sku, name, description, price, stock, stockUnit, categoria_id, purchase_price } = req.body;
+    const {
+      sku, name, description, price, stock, stockUnit, categoria_id, purchase_price, exento, motivo_ajuste,
+      stock_minimo, cantidad_reposicion, plu
+    } = req.body;
 
     if (!sku) {
       return res.status(400).json({ message: "El SKU del producto es requerido" });
     }
+    if (plu != null && plu !== '' && !(Number.isInteger(Number(plu)) && Number(plu) > 0)) {
+      return res.status(400).json({ message: "El PLU debe ser un número entero positivo" });
+    }
+
+    const responderError = (err) => {
+      console.error("Error en upsert producto:", err);
+      if (err.code === '23505') {
+        if (String(err.message).includes('plu')) {
+          return res.status(400).json({ message: "Ya existe un producto con ese PLU" });
+        }
+        return res.status(400).json({ message: "Ya existe un producto con ese SKU" });
+      }
+      res.status(500).json({ error: "Error de servidor al procesar producto" });
+    };
 
     try {
       const { data: productoExistente } = await supabase
         .from('productos')
-        .select('id')
+        .select('id, stock')
         .eq('sku', sku)
         .single();
 
+      // El stock ya no se sobrescribe: un cambio se registra como ajuste justificado.
+      // `stock` es el de la sucursal indicada en `sucursal_id`. Sin ella se compara con
+      // lo que mostró GET /products al cargar el formulario: la primera sucursal del
+      // usuario o, para el admin, el consolidado, que no se puede ajustar directamente.
+      const stockNuevo = stock != null && stock !== '' ? parseFloat(stock) || 0 : null;
+      const sucursalIndicada = req.body.sucursal_id != null && req.body.sucursal_id !== '';
+      let sucursalId = null;
+      let stockActual = 0;
+      if (stockNuevo != null && productoExistente && !sucursalIndicada) {
+        const vista = await resolverSucursalConsulta(req.user, null);
+        if (vista.error) {
+          return res.status(vista.status).json({ message: vista.error });
+        }
+        if (vista.sucursal_id == null) {
+          stockActual = parseFloat(productoExistente.stock) || 0;
+          if (stockNuevo !== stockActual) {
+            return res.status(400).json({
+              message: "El stock mostrado es el total de todas las sucursales. Indique sucursal_id para ajustarlo",
+              stock_actual: stockActual
+            });
+          }
+        } else {
+          sucursalId = vista.sucursal_id;
+          stockActual = await obtenerStockSucursal(productoExistente.id, sucursalId);
+        }
+      } else if (stockNuevo != null) {
+        const sucursal = await resolverSucursalMovimiento(req.user, req.body.sucursal_id);
+        if (sucursal.error) {
+          return res.status(sucursal.status).json({ message: sucursal.error });
+        }
+        sucursalId = sucursal.sucursal_id;
+        if (productoExistente) stockActual = await obtenerStockSucursal(productoExistente.id, sucursalId);
+      }
+      const diferenciaStock = stockNuevo != null ? stockNuevo - stockActual : 0;
+
+      // Un SKU nuevo no puede coincidir con un código alternativo de otro producto
+      if (!productoExistente) {
+        const { data: alias } = await supabase
+          .from('codigos_barra')
+          .select('producto_id')
+          .eq('codigo', sku)
+          .maybeSingle();
+        if (alias) {
+          return res.status(400).json({ message: "Ese SKU ya es un código de barra de otro producto", producto_id: alias.producto_id });
+        }
+      }
+
+      if (productoExistente && diferenciaStock !== 0 && !motivo_ajuste?.trim()) {
+        return res.status(400).json({
+          message: "Para cambiar el stock de un producto debe indicar el motivo del ajuste",
+          stock_actual: stockActual,
+          sucursal_id: sucursalId
+        });
+      }
+
       // Determina el permiso necesario: si existe se edita, si no, se crea.
       const permisoRequerido = productoExistente ? "can_edit_products" : "can_create_products";
       
-      // Ejecuta el middleware de permisos manualmente
-      verificarPermisosStock(permisoRequerido)(req, res, async () => {
+      // El guardado va en una función aparte: el middleware de permisos no espera su
+      // callback, así que un error se responde ahí y no queda como promesa rechazada.
+      const guardarProducto = async () => {
         const productoData = {
           sku,
           name: name || '',
           description: description || '',
           price: parseFloat(price) || 0,
-          stock: parseFloat(stock) || 0,
           stock_unit: stockUnit || 'Unidad',
           user_id: req.user.id,
           categoria_id: categoria_id || null,
           last_updated: new Date(),
           purchase_price: purchase_price || 0,
+          // Un formulario que no envía `exento` no debe quitarle la exención al producto
+          ...(exento !== undefined ? { exento: Boolean(exento) } : {}),
+          // El punto de reposición solo se toca si viene en la petición
+          ...(stock_minimo != null ? { stock_minimo: parseFloat(stock_minimo) || 0 } : {}),
+          ...(cantidad_reposicion != null ? { cantidad_reposicion: parseFloat(cantidad_reposicion) || 0 } : {}),
+          // PLU de balanza para productos pesables; null lo quita
+          ...(plu !== undefined ? { plu: plu === null || plu === '' ? null : Number(plu) } : {}),
         };
 
         let resultado;
+        let movimiento = null;
         if (productoExistente) {
           // Actualizar producto existente
           const { data, error } = await supabase
@@ -209,45 +1840,124 @@ const createStockRouter = (supabase, verifyToken = (req, res, next) => next()) =
             .single();
           if (error) throw error;
           resultado = { ...data, message: "Producto actualizado" };
+
+          if (diferenciaStock !== 0) {
+            movimiento = await registrarMovimiento({
+              producto_id: resultado.id,
+              cantidad: diferenciaStock,
+              motivo: "ajuste",
+              user_id: req.user.id,
+              observacion: motivo_ajuste.trim(),
+              sucursal_id: sucursalId
+            });
+          }
         } else {
-          // Crear nuevo producto
-          const { data, error } = await supabase
-            .from('productos')
-            .insert([productoData])
-            .select()
-            .single();
+          // Crear nuevo producto; el stock inicial entra como primer movimiento en la
+          // misma transacción (función crear_producto)
+          const { data, error } = await supabase.rpc('crear_producto', {
+            p_producto: productoData,
+            p_user_id: req.user.id,
+            p_stock: diferenciaStock,
+            p_observacion: motivo_ajuste?.trim() || "Stock inicial",
+            p_sucursal_id: sucursalId
+          });
           if (error) throw error;
-          resultado = { ...data, message: "Producto creado" };
+          resultado = { ...data.producto, message: "Producto creado" };
+          movimiento = data.movimiento;
+        }
+
+        if (movimiento) {
+          resultado.stock = movimiento.saldo;
+          resultado.stock_total = movimiento.saldo_total;
+          resultado.sucursal_id = sucursalId;
+          resultado.movimiento_id = movimiento.id;
         }
         res.json(resultado);
-      });
+      };
+
+      // Ejecuta el middleware de permisos manualmente
+      verificarPermisosStock(permisoRequerido)(req, res, () => guardarProducto().catch(responderError));
     } catch (err) {
-      console.error("Error en upsert producto:", err);
-      if (err.code === '23505') {
-        return res.status(400).json({ message: "Ya existe un producto con ese SKU" });
-      }
-      res.status(500).json({ error: "Error de servidor al procesar producto" });
+      responderError(err);
     }
   });
 
+  // ===================== ARCHIVAR Y RESTAURAR PRODUCTOS =====================
+  // Archivar oculta el producto del POS sin tocar su historial de ventas
+  const cambiarArchivado = (archivar) => async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { data, error } = await supabase
+        .from('productos')
+        .update({
+          archivado: archivar,
+          archivado_en: archivar ? new Date() : null,
+          archivado_por: archivar ? req.user.id : null
+        })
+        .eq('id', id)
+        .eq('archivado', !archivar)
+        .select('id, sku, name, archivado, archivado_en, archivado_por');
+
+      if (error) throw error;
+      if (data.length === 0) {
+        const { data: producto } = await supabase
+          .from('productos')
+          .select('id')
+          .eq('id', id)
+          .maybeSingle();
+        return producto
+          ? res.status(400).json({ message: archivar ? "El producto ya está archivado" : "El producto no está archivado" })
+          : res.status(404).json({ message: "Producto no encontrado" });
+      }
+
+      console.log(archivar ? "✅ Producto archivado:" : "✅ Producto restaurado:", data[0]);
+      res.json({ ...data[0], message: archivar ? "Producto archivado" : "Producto restaurado" });
+    } catch (err) {
+      console.error("Error al cambiar el archivo del producto:", err);
+      res.status(500).json({ error: "Error de servidor" });
+    }
+  };
+
+  router.post("/products/:id/archivar", verifyToken, verificarPermisosStock("can_delete_products"), cambiarArchivado(true));
+  router.post("/products/:id/restaurar", verifyToken, verificarPermisosStock("can_delete_products"), cambiarArchivado(false));
+
   // ===================== ELIMINAR PRODUCTO =====================
+  // Solo se borran productos que nunca se vendieron; los demás se archivan
   router.delete("/products/:id", verifyToken, verificarPermisosStock("can_delete_products"), async (req, res) => {
     const { id } = req.params;
     try {
+      const { count: ventas, error: ventasError } = await supabase
+        .from('venta_detalles')
+        .select('id', { count: 'exact', head: true })
+        .eq('producto_id', id);
+
+      if (ventasError) throw ventasError;
+      if (ventas > 0) {
+        return res.status(409).json({
+          message: "El producto tiene ventas registradas y no se puede eliminar. Archívelo para ocultarlo del POS",
+          ventas
+        });
+      }
+
       const { data, error } = await supabase
         .from('productos')
         .delete()
         .eq('id', id)
-        .select()
-        .single();
+        .select();
 
       if (error) throw error;
-      if (!data) {
+      if (data.length === 0) {
         return res.status(404).json({ message: "Producto no encontrado" });
       }
       res.json({ message: "Producto eliminado correctamente" });
     } catch (err) {
       console.error("Error al eliminar producto:", err);
+      // Otras referencias (órdenes de compra, devoluciones) también impiden borrarlo
+      if (err.code === '23503') {
+        return res.status(409).json({
+          message: "El producto tiene compras u otros documentos asociados y no se puede eliminar. Archívelo para ocultarlo del POS"
+        });
+      }
       res.status(500).json({ error: "Error de servidor" });
     }
   });
@@ -0,0 +1,716 @@
+import express from "express";
+import { moverStock } from "../utils/kardex.js";
+import { esUnidadFraccionable } from "../utils/balanza.js";
+import { filtroSucursal, obtenerSucursalesUsuario } from "../utils/sucursales.js";
+
+// Transferencia: pendiente → en_transito (despachada) → recibida; o cancelada
+const ESTADOS_TRANSFERENCIA = ["pendiente", "en_transito", "recibida", "cancelada"];
+const CAMPOS_SUCURSAL = ["nombre", "direccion", "telefono", "activa"];
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+const redondearCantidad = (valor) => Math.round(valor * 1000) / 1000;
+
+// Errores de validación dentro de una transacción; la ruta los convierte en respuesta
+const errorSucursal = (status, message, detalle = {}) =>
+  Object.assign(new Error(message), { status, detalle });
+
+// Valida los ítems de una transferencia. Devuelve { items } o { error }.
+const normalizarItemsTransferencia = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "La transferencia debe tener al menos un producto" };
+  }
+
+  const normalizados = new Map();
+  for (const item of items) {
+    const productoId = parseInt(item?.producto_id);
+    const cantidad = redondearCantidad(parseFloat(item?.cantidad));
+    if (!productoId || !(cantidad > 0)) {
+      return { error: "Cada producto debe indicar producto_id y una cantidad mayor a cero" };
+    }
+    if (normalizados.has(productoId)) {
+      return { error: `El producto ${productoId} está repetido en la transferencia` };
+    }
+    normalizados.set(productoId, { producto_id: productoId, cantidad });
+  }
+  return { items: [...normalizados.values()] };
+};
+
+const createSucursalesRouter = (pool) => {
+  const router = express.Router();
+
+  // ===================== MIDDLEWARE DE VERIFICACIÓN DE PERMISOS =====================
+  const verificarPermisosSucursales = (permisoRequerido) => {
+    return async (req, res, next) => {
+      console.log("🔍 Verificando permisos para sucursales:", req.user);
+
+      if (req.user.rol === "admin") {
+        return next();
+      }
+
+      if (req.user.rol === "vendedor") {
+        try {
+          const result = await pool.query(
+            "SELECT permissions FROM user_permissions WHERE user_id = $1",
+            [req.user.id]
+          );
+
+          // Por defecto los vendedores no mueven stock entre sucursales
+          const userPermissions = result.rows.length > 0
+            ? result.rows[0].permissions
+            : { can_manage_stock: false, can_view_reports: false };
+
+          if (userPermissions[permisoRequerido]) {
+            next();
+          } else {
+            console.log(`❌ Permiso ${permisoRequerido} denegado para sucursales`);
+            res.status(403).json({
+              message: "No tienes permisos para realizar esta acción"
+            });
+          }
+        } catch (error) {
+          console.error("Error al verificar permisos:", error);
+          return res.status(500).json({ error: "Error interno del servidor" });
+        }
+      } else {
+        console.log(`❌ Rol no reconocido: ${req.user.rol}`);
+        res.status(403).json({ message: "Acceso denegado" });
+      }
+    };
+  };
+
+  // Crear sucursales y asignar usuarios es solo del admin
+  const soloAdmin = (req, res, next) => {
+    if (req.user.rol !== "admin") {
+      return res.status(403).json({ message: "Acceso denegado" });
+    }
+    next();
+  };
+
+  const enTransaccion = (nombre, accion) => async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const { status = 200, body } = await accion(client, req);
+
+      await client.query('COMMIT');
+      res.status(status).json(body);
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK');
+        console.log("🔁 Transacción revertida");
+      }
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.detalle });
+      }
+      console.error(`❌ ERROR al ${nombre}:`, error.message);
+      res.status(500).json({ error: `Error al ${nombre}`, message: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  };
+
+  // El admin opera en cualquier sucursal; los demás solo en las asignadas
+  const verificarAccesoSucursal = async (db, usuario, sucursalId, mensaje) => {
+    if (usuario.rol === "admin") return;
+    const asignadas = await obtenerSucursalesUsuario(db, usuario.id);
+    if (!asignadas.includes(sucursalId)) {
+      throw errorSucursal(403, mensaje);
+    }
+  };
+
+  // ===================== SUCURSALES =====================
+  // El admin ve todas; los demás, las que tienen asignadas
+  router.get("/", async (req, res) => {
+    const esAdmin = req.user.rol === "admin";
+    try {
+      const result = await pool.query(`
+        SELECT
+          s.*,
+          (SELECT COUNT(*)::int FROM usuario_sucursales us WHERE us.sucursal_id = s.id) AS usuarios,
+          EXISTS (SELECT 1 FROM usuario_sucursales us WHERE us.sucursal_id = s.id AND us.user_id = $1) AS asignada,
+          s.id = sucursal_por_defecto() AS por_defecto
+        FROM sucursales s
+        ${esAdmin ? "" : "WHERE s.id IN (SELECT sucursal_id FROM usuario_sucursales WHERE user_id = $1)"}
+        ORDER BY s.id
+      `, [req.user.id]);
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener sucursales:", error.message);
+      res.status(500).json({ error: "Error al obtener sucursales", message: error.message });
+    }
+  });
+
+  const validarSucursal = (datos, parcial = false) => {
+    if ((!parcial || datos.nombre !== undefined) && (!datos.nombre || !String(datos.nombre).trim())) {
+      return "El nombre de la sucursal es requerido";
+    }
+    if (datos.activa !== undefined && typeof datos.activa !== "boolean") {
+      return "El campo activa debe ser verdadero o falso";
+    }
+    return null;
+  };
+
+  router.post("/", soloAdmin, async (req, res) => {
+    const error = validarSucursal(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { nombre, direccion = null, telefono = null } = req.body;
+
+    try {
+      const result = await pool.query(
+        "INSERT INTO sucursales (nombre, direccion, telefono) VALUES ($1, $2, $3) RETURNING *",
+        [nombre.trim(), direccion, telefono]
+      );
+      console.log("✅ Sucursal creada:", result.rows[0]);
+      res.status(201).json({ ...result.rows[0], message: "Sucursal creada" });
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(400).json({ error: "Ya existe una sucursal con ese nombre" });
+      }
+      console.error("❌ ERROR al crear sucursal:", error.message);
+      res.status(500).json({ error: "Error al crear sucursal", message: error.message });
+    }
+  });
+
+  // Una sucursal con caja abierta o transferencias por resolver no se puede desactivar
+  router.put("/:id(\\d+)", soloAdmin, enTransaccion("actualizar sucursal", async (client, req) => {
+    const id = parseInt(req.params.id);
+    const error = validarSucursal(req.body, true);
+    if (error) {
+      throw errorSucursal(400, error);
+    }
+
+    const campos = CAMPOS_SUCURSAL.filter(campo => req.body[campo] !== undefined);
+    if (campos.length === 0) {
+      throw errorSucursal(400, "No hay datos para actualizar");
+    }
+
+    const actualResult = await client.query("SELECT * FROM sucursales WHERE id = $1 FOR UPDATE", [id]);
+    if (actualResult.rows.length === 0) {
+      throw errorSucursal(404, "Sucursal no encontrada");
+    }
+
+    if (req.body.activa === false && actualResult.rows[0].activa) {
+      const pendientesResult = await client.query(`
+        SELECT
+          (SELECT COUNT(*)::int FROM caja_sesiones WHERE sucursal_id = $1 AND estado = 'abierta') AS cajas_abiertas,
+          (SELECT COUNT(*)::int FROM transferencias
+           WHERE (origen_id = $1 OR destino_id = $1) AND estado IN ('pendiente', 'en_transito')) AS transferencias_pendientes,
+          (SELECT COUNT(*)::int FROM sucursales WHERE activa AND id <> $1) AS otras_activas
+      `, [id]);
+      const pendientes = pendientesResult.rows[0];
+      if (pendientes.otras_activas === 0) {
+        throw errorSucursal(409, "Debe quedar al menos una sucursal activa");
+      }
+      if (pendientes.cajas_abiertas > 0 || pendientes.transferencias_pendientes > 0) {
+        throw errorSucursal(409, "La sucursal tiene cajas abiertas o transferencias sin resolver", {
+          cajas_abiertas: pendientes.cajas_abiertas,
+          transferencias_pendientes: pendientes.transferencias_pendientes
+        });
+      }
+    }
+
+    const valores = campos.map(campo => campo === "nombre" ? String(req.body.nombre).trim() : req.body[campo]);
+    try {
+      const result = await client.query(
+        `UPDATE sucursales SET ${campos.map((campo, i) => `${campo} = $${i + 2}`).join(", ")}
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...valores]
+      );
+      return { body: { ...result.rows[0], message: "Sucursal actualizada" } };
+    } catch (error) {
+      if (error.code === "23505") {
+        throw errorSucursal(400, "Ya existe una sucursal con ese nombre");
+      }
+      throw error;
+    }
+  }));
+
+  // ===================== ASIGNACIÓN DE USUARIOS =====================
+  router.get("/usuarios/:userId", soloAdmin, async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT s.id, s.nombre, s.activa
+        FROM usuario_sucursales us
+        JOIN sucursales s ON us.sucursal_id = s.id
+        WHERE us.user_id = $1
+        ORDER BY s.id
+      `, [req.params.userId]);
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener sucursales del usuario:", error.message);
+      res.status(500).json({ error: "Error al obtener sucursales del usuario", message: error.message });
+    }
+  });
+
+  // Reemplaza las sucursales asignadas al usuario
+  router.put("/usuarios/:userId", soloAdmin, enTransaccion("asignar sucursales", async (client, req) => {
+    const userId = parseInt(req.params.userId);
+    const { sucursal_ids } = req.body;
+
+    if (!Array.isArray(sucursal_ids) || sucursal_ids.length === 0
+      || sucursal_ids.some(id => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+      throw errorSucursal(400, "Debe indicar al menos una sucursal en sucursal_ids");
+    }
+    const ids = [...new Set(sucursal_ids.map(Number))];
+
+    const usuarioResult = await client.query("SELECT id FROM usuarios WHERE id = $1", [userId]);
+    if (usuarioResult.rows.length === 0) {
+      throw errorSucursal(404, "Usuario no encontrado");
+    }
+
+    const sucursalesResult = await client.query("SELECT id FROM sucursales WHERE id = ANY($1::int[])", [ids]);
+    const encontradas = sucursalesResult.rows.map(fila => fila.id);
+    const faltantes = ids.filter(id => !encontradas.includes(id));
+    if (faltantes.length > 0) {
+      throw errorSucursal(404, "Sucursal no encontrada", { sucursal_ids: faltantes });
+    }
+
+    await client.query("DELETE FROM usuario_sucursales WHERE user_id = $1", [userId]);
+    await client.query(
+      "INSERT INTO usuario_sucursales (user_id, sucursal_id) SELECT $1, UNNEST($2::int[])",
+      [userId, ids]
+    );
+
+    console.log("✅ Sucursales asignadas:", { user_id: userId, sucursal_ids: ids });
+    return { body: { user_id: userId, sucursal_ids: ids, message: "Sucursales asignadas" } };
+  }));
+
+  // ===================== VISTA CONSOLIDADA =====================
+  // Stock valorizado, ventas del período y transferencias en tránsito de cada
+  // sucursal, más el total de todas. `sucursal_id` limita a una sucursal.
+  router.get("/resumen", verificarPermisosSucursales("can_view_reports"), async (req, res) => {
+    const { desde, hasta } = req.query;
+    if ((desde && isNaN(Date.parse(desde))) || (hasta && isNaN(Date.parse(hasta)))) {
+      return res.status(400).json({ error: "Rango de fechas inválido" });
+    }
+
+    try {
+      const filtro = await filtroSucursal(pool, req.user, req.query.sucursal_id);
+      if (filtro.error) {
+        return res.status(filtro.status).json({ error: filtro.error });
+      }
+
+      // Sin fechas, las ventas de hoy
+      const inicio = desde ? new Date(desde) : new Date(new Date().setHours(0, 0, 0, 0));
+      const fin = hasta ? new Date(hasta) : new Date();
+      if (hasta && /^\d{4}-\d{2}-\d{2}$/.test(hasta)) fin.setDate(fin.getDate() + 1);
+
+      const result = await pool.query(`
+        SELECT
+          s.id AS sucursal_id, s.nombre, s.activa,
+          COALESCE(st.productos_con_stock, 0)::int AS productos_con_stock,
+          COALESCE(st.unidades, 0) AS unidades,
+          COALESCE(st.valor_costo, 0) AS valor_costo,
+          COALESCE(st.valor_venta, 0) AS valor_venta,
+          COALESCE(v.ventas, 0)::int AS ventas,
+          COALESCE(v.total_ventas, 0) AS total_ventas,
+          (SELECT COUNT(*)::int FROM transferencias t WHERE t.origen_id = s.id AND t.estado = 'en_transito') AS transferencias_salientes,
+          (SELECT COUNT(*)::int FROM transferencias t WHERE t.destino_id = s.id AND t.estado = 'en_transito') AS transferencias_entrantes
+        FROM sucursales s
+        LEFT JOIN (
+          SELECT ss.sucursal_id,
+            COUNT(*) FILTER (WHERE ss.stock > 0) AS productos_con_stock,
+            SUM(GREATEST(ss.stock, 0)) AS unidades,
+            SUM(GREATEST(ss.stock, 0) * COALESCE(p.purchase_price, 0)) AS valor_costo,
+            SUM(GREATEST(ss.stock, 0) * COALESCE(p.price, 0)) AS valor_venta
+          FROM stock_sucursales ss
+          JOIN productos p ON ss.producto_id = p.id
+          WHERE NOT p.archivado
+          GROUP BY ss.sucursal_id
+        ) st ON st.sucursal_id = s.id
+        LEFT JOIN (
+          SELECT sucursal_id, COUNT(*) AS ventas, SUM(total) AS total_ventas
+          FROM ventas
+          WHERE fecha >= $1 AND fecha < $2 AND COALESCE(estado, 'completada') <> 'anulada'
+          GROUP BY sucursal_id
+        ) v ON v.sucursal_id = s.id
+        WHERE $3::int[] IS NULL OR s.id = ANY($3::int[])
+        ORDER BY s.id
+      `, [inicio, fin, filtro.sucursales]);
+
+      const sucursales = result.rows.map(fila => ({
+        ...fila,
+        unidades: redondearCantidad(parseFloat(fila.unidades)),
+        valor_costo: redondear(parseFloat(fila.valor_costo)),
+        valor_venta: redondear(parseFloat(fila.valor_venta)),
+        total_ventas: redondear(parseFloat(fila.total_ventas))
+      }));
+
+      const sumar = (campo) => sucursales.reduce((total, fila) => total + fila[campo], 0);
+      res.json({
+        desde: inicio,
+        hasta: fin,
+        sucursales,
+        consolidado: {
+          unidades: redondearCantidad(sumar("unidades")),
+          valor_costo: redondear(sumar("valor_costo")),
+          valor_venta: redondear(sumar("valor_venta")),
+          ventas: sumar("ventas"),
+          total_ventas: redondear(sumar("total_ventas"))
+        }
+      });
+    } catch (error) {
+      console.error("❌ ERROR al obtener resumen de sucursales:", error.message);
+      res.status(500).json({ error: "Error al obtener resumen de sucursales", message: error.message });
+    }
+  });
+
+  // ===================== TRANSFERENCIAS =====================
+  const puedeTransferir = verificarPermisosSucursales("can_manage_stock");
+
+  const obtenerTransferencia = async (db, id, bloqueo = false) => {
+    const result = await db.query(
+      `SELECT t.*, o.nombre AS origen_nombre, d.nombre AS destino_nombre
+       FROM transferencias t
+       JOIN sucursales o ON t.origen_id = o.id
+       JOIN sucursales d ON t.destino_id = d.id
+       WHERE t.id = $1${bloqueo ? " FOR UPDATE OF t" : ""}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  const obtenerDetallesTransferencia = async (db, transferenciaId) => {
+    const result = await db.query(`
+      SELECT td.*, p.sku, p.name AS producto_nombre, p.stock_unit
+      FROM transferencia_detalles td
+      JOIN productos p ON td.producto_id = p.id
+      WHERE td.transferencia_id = $1
+      ORDER BY td.id
+    `, [transferenciaId]);
+
+    return result.rows.map(detalle => ({
+      ...detalle,
+      cantidad: parseFloat(detalle.cantidad),
+      cantidad_recibida: detalle.cantidad_recibida != null ? parseFloat(detalle.cantidad_recibida) : null,
+      faltante: detalle.cantidad_recibida != null
+        ? redondearCantidad(parseFloat(detalle.cantidad) - parseFloat(detalle.cantidad_recibida))
+        : null
+    }));
+  };
+
+  // `sucursal_id` muestra las que salen o llegan a esa sucursal
+  router.get("/transferencias", puedeTransferir, async (req, res) => {
+    const { estado } = req.query;
+    if (estado && !ESTADOS_TRANSFERENCIA.includes(estado)) {
+      return res.status(400).json({ error: `Estado inválido. Valores permitidos: ${ESTADOS_TRANSFERENCIA.join(", ")}` });
+    }
+
+    try {
+      const filtro = await filtroSucursal(pool, req.user, req.query.sucursal_id);
+      if (filtro.error) {
+        return res.status(filtro.status).json({ error: filtro.error });
+      }
+
+      const result = await pool.query(`
+        SELECT
+          t.*,
+          o.nombre AS origen_nombre,
+          d.nombre AS destino_nombre,
+          u.nombre AS user_nombre,
+          (SELECT COUNT(*)::int FROM transferencia_detalles td WHERE td.transferencia_id = t.id) AS productos
+        FROM transferencias t
+        JOIN sucursales o ON t.origen_id = o.id
+        JOIN sucursales d ON t.destino_id = d.id
+        LEFT JOIN usuarios u ON t.user_id = u.id
+        WHERE ($1::varchar IS NULL OR t.estado = $1)
+          AND ($2::int[] IS NULL OR t.origen_id = ANY($2::int[]) OR t.destino_id = ANY($2::int[]))
+        ORDER BY t.created_at DESC
+      `, [estado || null, filtro.sucursales]);
+
+      res.json(result.rows);
+    } catch (error) {
+      console.error("❌ ERROR al obtener transferencias:", error.message);
+      res.status(500).json({ error: "Error al obtener transferencias", message: error.message });
+    }
+  });
+
+  router.get("/transferencias/:id", puedeTransferir, async (req, res) => {
+    try {
+      const transferencia = await obtenerTransferencia(pool, req.params.id);
+      if (!transferencia) {
+        return res.status(404).json({ error: "Transferencia no encontrada" });
+      }
+      if (req.user.rol !== "admin") {
+        const asignadas = await obtenerSucursalesUsuario(pool, req.user.id);
+        if (!asignadas.includes(transferencia.origen_id) && !asignadas.includes(transferencia.destino_id)) {
+          return res.status(403).json({ error: "No tienes acceso a esta transferencia" });
+        }
+      }
+
+      res.json({ ...transferencia, detalles: await obtenerDetallesTransferencia(pool, transferencia.id) });
+    } catch (error) {
+      console.error("❌ ERROR al obtener transferencia:", error.message);
+      res.status(500).json({ error: "Error al obtener transferencia", message: error.message });
+    }
+  });
+
+  // Saca el stock del origen; queda en tránsito hasta que el destino lo recibe
+  const despacharTransferencia = async (client, transferencia, userId) => {
+    const detalles = await obtenerDetallesTransferencia(client, transferencia.id);
+
+    // Bloquea el stock del origen para que una venta no lo tome entre la revisión y el despacho
+    const stockResult = await client.query(
+      `SELECT p.id, COALESCE(ss.stock, 0) AS stock
+       FROM productos p
+       LEFT JOIN stock_sucursales ss ON ss.producto_id = p.id AND ss.sucursal_id = $2
+       WHERE p.id = ANY($1::int[])
+       ORDER BY p.id
+       FOR UPDATE OF p`,
+      [detalles.map(d => d.producto_id), transferencia.origen_id]
+    );
+    const stockOrigen = new Map(stockResult.rows.map(fila => [fila.id, parseFloat(fila.stock)]));
+
+    const insuficientes = detalles
+      .filter(d => d.cantidad > (stockOrigen.get(d.producto_id) || 0))
+      .map(d => ({
+        producto_id: d.producto_id,
+        producto_nombre: d.producto_nombre,
+        cantidad: d.cantidad,
+        stock_disponible: stockOrigen.get(d.producto_id) || 0
+      }));
+    if (insuficientes.length > 0) {
+      throw errorSucursal(409, "Stock insuficiente en la sucursal de origen", { productos: insuficientes });
+    }
+
+    for (const detalle of detalles) {
+      await moverStock(client, {
+        producto_id: detalle.producto_id,
+        cantidad: -detalle.cantidad,
+        motivo: "transferencia",
+        user_id: userId,
+        documento_tipo: "transferencia",
+        documento_id: transferencia.id,
+        observacion: `Envío a ${transferencia.destino_nombre}`,
+        sucursal_id: transferencia.origen_id
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE transferencias SET estado = 'en_transito', despachada_en = NOW(), despachada_por = $1
+       WHERE id = $2
+       RETURNING *`,
+      [userId, transferencia.id]
+    );
+    return { ...transferencia, ...result.rows[0], detalles };
+  };
+
+  // Crea la transferencia; con `despachar: true` la despacha en el mismo paso
+  router.post("/transferencias", puedeTransferir, enTransaccion("crear transferencia", async (client, req) => {
+    const { observacion = null, despachar = false } = req.body;
+    const origenId = parseInt(req.body.origen_id);
+    const destinoId = parseInt(req.body.destino_id);
+
+    if (!origenId || !destinoId) {
+      throw errorSucursal(400, "Debe indicar la sucursal de origen y la de destino");
+    }
+    if (origenId === destinoId) {
+      throw errorSucursal(400, "El origen y el destino deben ser sucursales distintas");
+    }
+    const { items, error } = normalizarItemsTransferencia(req.body.items);
+    if (error) {
+      throw errorSucursal(400, error);
+    }
+
+    await verificarAccesoSucursal(client, req.user, origenId, "Solo puedes transferir desde tus sucursales");
+
+    const sucursalesResult = await client.query(
+      "SELECT id, activa FROM sucursales WHERE id = ANY($1::int[])",
+      [[origenId, destinoId]]
+    );
+    if (sucursalesResult.rows.length < 2) {
+      throw errorSucursal(404, "Sucursal no encontrada");
+    }
+    if (sucursalesResult.rows.some(sucursal => !sucursal.activa)) {
+      throw errorSucursal(400, "Las dos sucursales deben estar activas");
+    }
+
+    const productosResult = await client.query(
+      "SELECT id, name, stock_unit, archivado FROM productos WHERE id = ANY($1::int[])",
+      [items.map(item => item.producto_id)]
+    );
+    const productos = new Map(productosResult.rows.map(p => [p.id, p]));
+    for (const item of items) {
+      const producto = productos.get(item.producto_id);
+      if (!producto) {
+        throw errorSucursal(404, `Producto ${item.producto_id} no encontrado`);
+      }
+      if (producto.archivado) {
+        throw errorSucursal(400, `El producto ${producto.name} está archivado`, { producto_id: producto.id });
+      }
+      if (!esUnidadFraccionable(producto.stock_unit) && !Number.isInteger(item.cantidad)) {
+        throw errorSucursal(400, `El producto ${producto.name} se transfiere en unidades enteras`, { producto_id: producto.id });
+      }
+    }
+
+    const transferenciaResult = await client.query(
+      `INSERT INTO transferencias (origen_id, destino_id, observacion, user_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [origenId, destinoId, observacion, req.user.id]
+    );
+    const transferenciaId = transferenciaResult.rows[0].id;
+
+    await client.query(
+      `INSERT INTO transferencia_detalles (transferencia_id, producto_id, cantidad)
+       SELECT $1, d.producto_id, d.cantidad
+       FROM UNNEST($2::int[], $3::numeric[]) AS d(producto_id, cantidad)`,
+      [transferenciaId, items.map(item => item.producto_id), items.map(item => item.cantidad)]
+    );
+
+    const transferencia = await obtenerTransferencia(client, transferenciaId);
+    const resultado = despachar
+      ? await despacharTransferencia(client, transferencia, req.user.id)
+      : { ...transferencia, detalles: await obtenerDetallesTransferencia(client, transferenciaId) };
+
+    console.log("✅ Transferencia creada:", { transferencia_id: transferenciaId, estado: resultado.estado });
+    return {
+      status: 201,
+      body: { ...resultado, message: despachar ? "Transferencia creada y despachada" : "Transferencia creada" }
+    };
+  }));
+
+  router.post("/transferencias/:id/despachar", puedeTransferir, enTransaccion("despachar transferencia", async (client, req) => {
+    const transferencia = await obtenerTransferencia(client, req.params.id, true);
+    if (!transferencia) {
+      throw errorSucursal(404, "Transferencia no encontrada");
+    }
+    await verificarAccesoSucursal(client, req.user, transferencia.origen_id, "Solo la sucursal de origen puede despachar");
+    if (transferencia.estado !== "pendiente") {
+      throw errorSucursal(409, "La transferencia no está pendiente", { estado: transferencia.estado });
+    }
+
+    const resultado = await despacharTransferencia(client, transferencia, req.user.id);
+    console.log("✅ Transferencia despachada:", { transferencia_id: transferencia.id });
+    return { body: { ...resultado, message: "Transferencia despachada" } };
+  }));
+
+  // Ingresa en el destino lo recibido. Sin `items` se recibe todo lo despachado;
+  // con `items` [{ producto_id, cantidad_recibida }] lo que no llegó queda como faltante.
+  router.post("/transferencias/:id/recibir", puedeTransferir, enTransaccion("recibir transferencia", async (client, req) => {
+    const transferencia = await obtenerTransferencia(client, req.params.id, true);
+    if (!transferencia) {
+      throw errorSucursal(404, "Transferencia no encontrada");
+    }
+    await verificarAccesoSucursal(client, req.user, transferencia.destino_id, "Solo la sucursal de destino puede recibir");
+    if (transferencia.estado !== "en_transito") {
+      throw errorSucursal(409, "La transferencia no está en tránsito", { estado: transferencia.estado });
+    }
+
+    const detalles = await obtenerDetallesTransferencia(client, transferencia.id);
+    const recibidos = new Map(detalles.map(d => [d.producto_id, d.cantidad]));
+
+    if (req.body.items != null) {
+      if (!Array.isArray(req.body.items)) {
+        throw errorSucursal(400, "items debe ser una lista de productos recibidos");
+      }
+      for (const item of req.body.items) {
+        const productoId = parseInt(item?.producto_id);
+        const cantidad = redondearCantidad(parseFloat(item?.cantidad_recibida));
+        if (!recibidos.has(productoId)) {
+          throw errorSucursal(400, `El producto ${item?.producto_id} no está en la transferencia`);
+        }
+        if (isNaN(cantidad) || cantidad < 0 || cantidad > recibidos.get(productoId)) {
+          throw errorSucursal(400, "La cantidad recibida debe estar entre cero y lo despachado", { producto_id: productoId });
+        }
+        recibidos.set(productoId, cantidad);
+      }
+    }
+
+    for (const detalle of detalles) {
+      const cantidad = recibidos.get(detalle.producto_id);
+      if (cantidad > 0) {
+        await moverStock(client, {
+          producto_id: detalle.producto_id,
+          cantidad,
+          motivo: "transferencia",
+          user_id: req.user.id,
+          documento_tipo: "transferencia",
+          documento_id: transferencia.id,
+          observacion: `Recepción desde ${transferencia.origen_nombre}`,
+          sucursal_id: transferencia.destino_id
+        });
+      }
+    }
+
+    await client.query(
+      `UPDATE transferencia_detalles td SET cantidad_recibida = d.cantidad_recibida
+       FROM UNNEST($2::int[], $3::numeric[]) AS d(producto_id, cantidad_recibida)
+       WHERE td.transferencia_id = $1 AND td.producto_id = d.producto_id`,
+      [transferencia.id, [...recibidos.keys()], [...recibidos.values()]]
+    );
+
+    const result = await client.query(
+      `UPDATE transferencias SET estado = 'recibida', recibida_en = NOW(), recibida_por = $1
+       WHERE id = $2
+       RETURNING *`,
+      [req.user.id, transferencia.id]
+    );
+
+    const detallesFinales = await obtenerDetallesTransferencia(client, transferencia.id);
+    const faltantes = detallesFinales.filter(d => d.faltante > 0);
+    console.log("✅ Transferencia recibida:", { transferencia_id: transferencia.id, faltantes: faltantes.length });
+    return {
+      body: {
+        ...transferencia,
+        ...result.rows[0],
+        detalles: detallesFinales,
+        faltantes,
+        message: faltantes.length > 0 ? "Transferencia recibida con faltantes" : "Transferencia recibida"
+      }
+    };
+  }));
+
+  // Una transferencia en tránsito que se cancela devuelve el stock al origen
+  router.post("/transferencias/:id/cancelar", puedeTransferir, enTransaccion("cancelar transferencia", async (client, req) => {
+    const transferencia = await obtenerTransferencia(client, req.params.id, true);
+    if (!transferencia) {
+      throw errorSucursal(404, "Transferencia no encontrada");
+    }
+    await verificarAccesoSucursal(client, req.user, transferencia.origen_id, "Solo la sucursal de origen puede cancelar");
+    if (!["pendiente", "en_transito"].includes(transferencia.estado)) {
+      throw errorSucursal(409, "La transferencia ya fue recibida o cancelada", { estado: transferencia.estado });
+    }
+
+    if (transferencia.estado === "en_transito") {
+      const detalles = await obtenerDetallesTransferencia(client, transferencia.id);
+      for (const detalle of detalles) {
+        await moverStock(client, {
+          producto_id: detalle.producto_id,
+          cantidad: detalle.cantidad,
+          motivo: "transferencia",
+          user_id: req.user.id,
+          documento_tipo: "transferencia",
+          documento_id: transferencia.id,
+          observacion: `Cancelación del envío a ${transferencia.destino_nombre}`,
+          sucursal_id: transferencia.origen_id
+        });
+      }
+    }
+
+    await client.query(
+      "UPDATE transferencias SET estado = 'cancelada', cancelada_en = NOW(), cancelada_por = $1 WHERE id = $2",
+      [req.user.id, transferencia.id]
+    );
+    return {
+      body: {
+        success: true,
+        message: transferencia.estado === "en_transito"
+          ? "Transferencia cancelada; el stock volvió al origen"
+          : "Transferencia cancelada"
+      }
+    };
+  }));
+
+  return router;
+};
+
+export default createSucursalesRouter;
@@ -9,6 +9,14 @@ import { createClient } from "@supabase/supabase-js";
 // 👇 IMPORTAMOS LOS ROUTERS EXTERNOS
 import createStockRouter from './rutes/stockRoutes.js';
 import createSalesRouter from './rutes/sales.js';
+import createCajaRouter from './rutes/cajaRoutes.js';
+import createReportesRouter from './rutes/reportesRoutes.js';
+import createClientesRouter from './rutes/clientesRoutes.js';
+import createComprasRouter from './rutes/comprasRoutes.js';
+import createConteosRouter from './rutes/conteosRoutes.js';
+import createSucursalesRouter from './rutes/sucursalesRoutes.js';
+import { agruparPorAntiguedad } from './utils/credito.js';
+import { validarFormatoBalanza } from './utils/balanza.js';
 
 dotenv.config();
 
@@ -68,7 +76,7 @@ apiRouter.get("/permissions/:employeeId", verifyToken, async (req, res) => {
         if (error && error.code !== 'PGRST116') throw error; // Ignora el error "no encontrado"
 
         if (!data) {
-            const defaultPermissions = { can_view_products: true, can_edit_products: false, can_delete_products: false, can_create_products: false, can_view_sales: true, can_create_sales: true, can_view_customers: true, can_edit_customers: false, can_view_reports: false, can_manage_stock: false };
+            const defaultPermissions = { can_view_products: true, can_edit_products: false, can_delete_products: false, can_create_products: false, can_view_sales: true, can_create_sales: true, can_view_customers: true, can_edit_customers: false, can_view_reports: false, can_manage_stock: false, can_void_sales: false, can_override_prices: false, can_override_credit: false, can_count_inventory: false };
             return res.json({ permissions: defaultPermissions });
         }
         res.json({ permissions: data.permissions });
@@ -99,6 +107,60 @@ apiRouter.post("/permissions", verifyToken, async (req, res) => {
     }
 });
 
+// ===================== CONFIGURACIÓN DE LA TIENDA =====================
+// Datos que se imprimen en la cabecera de los comprobantes
+const CAMPOS_TIENDA = ["nombre", "razon_social", "rut", "giro", "direccion", "telefono", "mensaje_pie", "ancho_papel", "formato_balanza"];
+
+apiRouter.get("/configuracion/tienda", verifyToken, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('configuracion_tienda')
+            .select('*')
+            .eq('id', 1)
+            .single();
+
+        if (error && error.code !== 'PGRST116') throw error;
+        res.json(data || {});
+    } catch (error) {
+        console.error("Error al obtener configuración de la tienda:", error);
+        res.status(500).json({ error: "Error interno del servidor" });
+    }
+});
+
+apiRouter.put("/configuracion/tienda", verifyToken, async (req, res) => {
+    if (req.user.rol !== "admin") {
+        return res.status(403).json({ message: "Solo los administradores pueden modificar la configuración" });
+    }
+    const configuracion = { id: 1 };
+    for (const campo of CAMPOS_TIENDA) {
+        if (req.body[campo] !== undefined) configuracion[campo] = req.body[campo];
+    }
+    if (configuracion.ancho_papel !== undefined && ![58, 80].includes(parseInt(configuracion.ancho_papel))) {
+        return res.status(400).json({ message: "El ancho de papel debe ser 58 u 80" });
+    }
+    // Formato de las etiquetas de balanza; null vuelve al formato por defecto
+    if (configuracion.formato_balanza) {
+        const { formato, error } = validarFormatoBalanza(configuracion.formato_balanza);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        configuracion.formato_balanza = formato;
+    }
+    try {
+        const { data, error } = await supabase
+            .from('configuracion_tienda')
+            .upsert(configuracion)
+            .select()
+            .single();
+
+        if (error) throw error;
+        res.json({ ...data, message: "Configuración guardada correctamente" });
+    } catch (error) {
+        console.error("Error al guardar configuración de la tienda:", error);
+        res.status(500).json({ error: "Error interno del servidor" });
+    }
+});
+
 // ===================== RUTAS DE CLIENTES =====================
 apiRouter.get("/clientes", verifyToken, async (req, res) => {
     try {
@@ -114,12 +176,26 @@ apiRouter.get("/clientes/con-deuda", verifyToken, async (req, res) => {
     try {
         const { data, error } = await supabase
             .from('clientes')
-            .select('id, nombre, rut, telefono, saldo_pendiente')
+            .select('id, nombre, rut, telefono, saldo_pendiente, limite_credito, plazo_dias')
             .gt('saldo_pendiente', 0)
             .order('nombre', { ascending: true });
             
         if (error) throw error;
-        res.json(data);
+
+        // Antigüedad de la deuda según la fecha de cada venta pendiente
+        const { data: ventas, error: ventasError } = await supabase
+            .from('ventas')
+            .select('cliente_id, fecha, deuda')
+            .gt('deuda', 0)
+            .neq('estado', 'anulada')
+            .in('cliente_id', data.map(c => c.id));
+
+        if (ventasError) throw ventasError;
+
+        res.json(data.map(cliente => ({
+            ...cliente,
+            ...agruparPorAntiguedad(ventas.filter(v => v.cliente_id === cliente.id), cliente.plazo_dias ?? 30)
+        })));
     } catch (error) {
         console.error("❌ ERROR al obtener clientes con deuda:", error);
         res.status(500).json({ error: "No se puede mostrar clientes con deuda" });
@@ -127,14 +203,21 @@ apiRouter.get("/clientes/con-deuda", verifyToken, async (req, res) => {
 });
 
 apiRouter.post("/clientes", verifyToken, async (req, res) => {
-    const { rut, nombre, telefono, email, direccion } = req.body;
+    const { rut, nombre, telefono, email, direccion, limite_credito = null, plazo_dias = 30 } = req.body;
     if (!nombre || !telefono) {
         return res.status(400).json({ message: "Nombre y teléfono son obligatorios" });
     }
+    if ((limite_credito != null && !(parseFloat(limite_credito) >= 0)) || !(parseInt(plazo_dias) >= 0)) {
+        return res.status(400).json({ message: "El límite de crédito y el plazo de pago no pueden ser negativos" });
+    }
     try {
         const { data, error } = await supabase
             .from('clientes')
-            .insert({ rut: rut?.trim(), nombre, telefono, email, direccion, saldo_pendiente: 0 })
+            .insert({
+                rut: rut?.trim(), nombre, telefono, email, direccion, saldo_pendiente: 0,
+                limite_credito: limite_credito != null ? parseFloat(limite_credito) : null,
+                plazo_dias: parseInt(plazo_dias)
+            })
             .select()
             .single();
 
@@ -154,9 +237,14 @@ apiRouter.get("/usuarios", verifyToken, async (req, res) => {
         return res.status(403).json({ message: "Acceso denegado" });
     }
     try {
-        const { data, error } = await supabase.from('usuarios').select('id, username, nombre, rol');
+        const { data, error } = await supabase
+            .from('usuarios')
+            .select('id, username, nombre, rol, usuario_sucursales (sucursal_id)');
         if (error) throw error;
-        res.json(data);
+        res.json(data.map(({ usuario_sucursales, ...usuario }) => ({
+            ...usuario,
+            sucursal_ids: (usuario_sucursales || []).map(fila => fila.sucursal_id)
+        })));
     } catch (error) {
         res.status(500).json({ error: "Error interno del servidor" });
     }
@@ -166,20 +254,48 @@ apiRouter.post("/usuarios", verifyToken, async (req, res) => {
     if (req.user.rol !== "admin") {
         return res.status(403).json({ message: "Acceso denegado" });
     }
-    const { username, nombre, password, rol } = req.body;
+    const { username, nombre, password, rol, sucursal_ids } = req.body;
     if (!username || !nombre || !password || !rol) {
         return res.status(400).json({ message: "Faltan datos" });
     }
+    if (sucursal_ids != null && (!Array.isArray(sucursal_ids) || sucursal_ids.some(id => !Number.isInteger(Number(id))))) {
+        return res.status(400).json({ message: "sucursal_ids debe ser una lista de sucursales" });
+    }
     try {
-        const { data, error } = await supabase
-            .from('usuarios')
-            .insert({ username, nombre, password, rol })
-            .select('id, username, nombre, rol')
-            .single();
+        // Sin sucursales indicadas, el usuario queda en la sucursal por defecto
+        let sucursalIds = [...new Set((sucursal_ids || []).map(Number))];
+        if (sucursalIds.length === 0) {
+            const { data: porDefecto, error: errorSucursal } = await supabase.rpc('sucursal_por_defecto');
+            if (errorSucursal) throw errorSucursal;
+            sucursalIds = [porDefecto];
+        } else {
+            const { data: sucursales, error: errorSucursales } = await supabase
+                .from('sucursales')
+                .select('id')
+                .in('id', sucursalIds);
+            if (errorSucursales) throw errorSucursales;
+            const faltantes = sucursalIds.filter(id => !sucursales.some(sucursal => sucursal.id === id));
+            if (faltantes.length > 0) {
+                return res.status(404).json({ message: "Sucursal no encontrada", sucursal_ids: faltantes });
+            }
+        }
+
+        // El usuario y sus sucursales se crean en una sola transacción
+        const { data, error } = await supabase.rpc('crear_usuario', {
+            p_username: username,
+            p_nombre: nombre,
+            p_password: password,
+            p_rol: rol,
+            p_sucursal_ids: sucursalIds
+        });
 
         if (error) throw error;
-        res.json(data);
+
+        res.json({ ...data, sucursal_ids: sucursalIds });
     } catch (error) {
+        if (error.code === '23505') {
+            return res.status(400).json({ message: "Ya existe un usuario con ese nombre de usuario" });
+        }
         res.status(500).json({ error: "Error interno del servidor" });
     }
 });
@@ -203,6 +319,15 @@ apiRouter.post("/login", async (req, res) => {
         }
 
         const user = users[0];
+
+        // El POS usa las sucursales asignadas para elegir dónde abrir la caja
+        const { data: asignaciones, error: errorSucursales } = await supabase
+            .from('usuario_sucursales')
+            .select('sucursales (id, nombre, activa)')
+            .eq('user_id', user.id);
+        if (errorSucursales) throw errorSucursales;
+        const sucursales = asignaciones.map(fila => fila.sucursales).filter(sucursal => sucursal?.activa);
+
         const token = jwt.sign(
             { id: user.id, username: user.username, rol: user.rol, nombre: user.nombre },
             process.env.JWT_SECRET || "clave_secreta",
@@ -212,7 +337,7 @@ apiRouter.post("/login", async (req, res) => {
         res.json({
             message: "Login exitoso",
             token,
-            user: { id: user.id, username: user.username, rol: user.rol, nombre: user.nombre }
+            user: { id: user.id, username: user.username, rol: user.rol, nombre: user.nombre, sucursales }
         });
     } catch (error) {
         res.status(500).json({ message: "Error en la base de datos" });
@@ -224,10 +349,37 @@ console.log("🔍 Configurando routers externos...");
 // Pasamos la conexión de Supabase a cada función creadora de routers
 const stockRouter = createStockRouter(supabase);
 const salesRouter = createSalesRouter(supabase);
+const cajaRouter = createCajaRouter(supabase);
+const reportesRouter = createReportesRouter(supabase);
+const clientesRouter = createClientesRouter(supabase);
+const comprasRouter = createComprasRouter(supabase);
+const conteosRouter = createConteosRouter(supabase);
+const sucursalesRouter = createSucursalesRouter(supabase);
 
 // Montamos los routers importados en sus rutas base, protegidas por el token
 apiRouter.use("/stock", verifyToken, stockRouter);
 apiRouter.use("/sales", verifyToken, salesRouter);
+apiRouter.use("/caja", verifyToken, cajaRouter);
+apiRouter.use("/reportes", verifyToken, reportesRouter);
+apiRouter.use("/clientes", verifyToken, clientesRouter);
+apiRouter.use("/compras", verifyToken, comprasRouter);
+apiRouter.use("/conteos", verifyToken, conteosRouter);
+apiRouter.use("/sucursales", verifyToken, sucursalesRouter);
+
+// ===================== CAMBIOS DE PRECIO PROGRAMADOS =====================
+// Aplica periódicamente los cambios de precio cuya fecha ya llegó
+const INTERVALO_PRECIOS_MS = parseInt(process.env.INTERVALO_PRECIOS_MS || "60000");
+
+const aplicarPreciosProgramados = async () => {
+    const { data, error } = await supabase.rpc('aplicar_precios_programados');
+    if (error) {
+        console.error("Error al aplicar precios programados:", error);
+        return;
+    }
+    if (data > 0) {
+        console.log(`💲 ${data} cambio(s) de precio programado(s) aplicado(s)`);
+    }
+};
 
 // ===================== MONTAJE FINAL Y ARRANQUE =====================
 // Montamos el router principal de la API en la ruta /api
@@ -242,6 +394,8 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
     console.log(`🚀 Servidor en ejecución en el puerto ${PORT}`);
+    aplicarPreciosProgramados();
+    setInterval(aplicarPreciosProgramados, INTERVALO_PRECIOS_MS);
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,39 @@
+-- Anulación de ventas y devoluciones parciales con reposición de stock
+
+ALTER TABLE ventas
+  ADD COLUMN IF NOT EXISTS estado VARCHAR(20) NOT NULL DEFAULT 'completada',
+  ADD COLUMN IF NOT EXISTS anulada_por INTEGER REFERENCES usuarios(id),
+  ADD COLUMN IF NOT EXISTS anulada_en TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS motivo_anulacion TEXT,
+  -- Si la deuda de la venta se sumó al saldo_pendiente del cliente; solo entonces
+  -- una devolución o anulación debe descontarla
+  ADD COLUMN IF NOT EXISTS deuda_en_cliente BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Las ventas anteriores con deuda se asumen cargadas al cliente
+UPDATE ventas SET deuda_en_cliente = TRUE WHERE cliente_id IS NOT NULL AND deuda > 0;
+
+ALTER TABLE venta_detalles
+  ADD COLUMN IF NOT EXISTS cantidad_devuelta NUMERIC NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS devoluciones (
+  id SERIAL PRIMARY KEY,
+  venta_id INTEGER NOT NULL REFERENCES ventas(id),
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('anulacion', 'devolucion')),
+  monto NUMERIC NOT NULL DEFAULT 0,
+  deuda_revertida NUMERIC NOT NULL DEFAULT 0,
+  reembolso NUMERIC NOT NULL DEFAULT 0,
+  motivo TEXT NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS devolucion_detalles (
+  id SERIAL PRIMARY KEY,
+  devolucion_id INTEGER NOT NULL REFERENCES devoluciones(id) ON DELETE CASCADE,
+  venta_detalle_id INTEGER NOT NULL REFERENCES venta_detalles(id),
+  producto_id INTEGER NOT NULL REFERENCES productos(id),
+  cantidad NUMERIC NOT NULL CHECK (cantidad > 0),
+  precio NUMERIC NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_devoluciones_venta ON devoluciones(venta_id);
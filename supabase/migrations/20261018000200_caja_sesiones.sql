@@ -0,0 +1,37 @@
+-- Sesiones de caja (apertura/cierre) y movimientos de efectivo
+
+CREATE TABLE IF NOT EXISTS caja_sesiones (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  estado VARCHAR(20) NOT NULL DEFAULT 'abierta' CHECK (estado IN ('abierta', 'cerrada')),
+  monto_inicial NUMERIC NOT NULL DEFAULT 0,
+  abierta_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cerrada_en TIMESTAMPTZ,
+  cerrada_por INTEGER REFERENCES usuarios(id),
+  conteo JSONB,
+  resumen JSONB,
+  diferencia NUMERIC,
+  observaciones TEXT
+);
+
+-- Un cajero solo puede tener una caja abierta a la vez
+CREATE UNIQUE INDEX IF NOT EXISTS idx_caja_sesiones_abierta
+  ON caja_sesiones(user_id) WHERE estado = 'abierta';
+
+CREATE TABLE IF NOT EXISTS caja_movimientos (
+  id SERIAL PRIMARY KEY,
+  sesion_id INTEGER NOT NULL REFERENCES caja_sesiones(id),
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('ingreso', 'egreso')),
+  monto NUMERIC NOT NULL CHECK (monto > 0),
+  motivo TEXT NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE ventas
+  ADD COLUMN IF NOT EXISTS caja_sesion_id INTEGER REFERENCES caja_sesiones(id);
+
+ALTER TABLE devoluciones
+  ADD COLUMN IF NOT EXISTS caja_sesion_id INTEGER REFERENCES caja_sesiones(id);
+
+CREATE INDEX IF NOT EXISTS idx_ventas_caja_sesion ON ventas(caja_sesion_id);
@@ -0,0 +1,22 @@
+-- Pagos de una venta repartidos entre varios métodos de pago
+
+CREATE TABLE IF NOT EXISTS venta_pagos (
+  id SERIAL PRIMARY KEY,
+  venta_id INTEGER NOT NULL REFERENCES ventas(id) ON DELETE CASCADE,
+  metodo_pago VARCHAR(30) NOT NULL,
+  monto NUMERIC NOT NULL CHECK (monto > 0),
+  recibido NUMERIC NOT NULL,
+  cambio NUMERIC NOT NULL DEFAULT 0,
+  titular VARCHAR(120),
+  banco VARCHAR(120),
+  referencia VARCHAR(120)
+);
+
+CREATE INDEX IF NOT EXISTS idx_venta_pagos_venta ON venta_pagos(venta_id);
+
+-- Las ventas anteriores quedan con un único pago equivalente
+INSERT INTO venta_pagos (venta_id, metodo_pago, monto, recibido, cambio, titular, banco)
+SELECT id, metodo_pago, total - COALESCE(deuda, 0), recibido, cambio, titular_transferencia, banco_transferencia
+FROM ventas
+WHERE total - COALESCE(deuda, 0) > 0
+  AND NOT EXISTS (SELECT 1 FROM venta_pagos vp WHERE vp.venta_id = ventas.id);
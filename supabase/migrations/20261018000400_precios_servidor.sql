@@ -0,0 +1,11 @@
+-- Precios y totales calculados en el servidor, con registro de precios modificados
+
+ALTER TABLE ventas
+  ADD COLUMN IF NOT EXISTS subtotal NUMERIC,
+  ADD COLUMN IF NOT EXISTS descuento NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS descuento_autorizado_por INTEGER REFERENCES usuarios(id);
+
+ALTER TABLE venta_detalles
+  ADD COLUMN IF NOT EXISTS precio_lista NUMERIC,
+  ADD COLUMN IF NOT EXISTS precio_modificado_por INTEGER REFERENCES usuarios(id),
+  ADD COLUMN IF NOT EXISTS motivo_precio TEXT;
@@ -0,0 +1,29 @@
+-- Reglas de promociones y registro de su aplicación en cada línea de venta
+
+CREATE TABLE IF NOT EXISTS promociones (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(120) NOT NULL,
+  tipo VARCHAR(30) NOT NULL CHECK (tipo IN ('porcentaje', 'lleva_paga', 'precio_cantidad', 'precio_oferta')),
+  producto_id INTEGER REFERENCES productos(id) ON DELETE CASCADE,
+  categoria_id INTEGER REFERENCES categorias(id) ON DELETE CASCADE,
+  porcentaje NUMERIC,
+  lleva INTEGER,
+  paga INTEGER,
+  cantidad_minima NUMERIC,
+  precio NUMERIC,
+  fecha_inicio TIMESTAMPTZ,
+  fecha_fin TIMESTAMPTZ,
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  user_id INTEGER REFERENCES usuarios(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((producto_id IS NULL) <> (categoria_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_promociones_producto ON promociones(producto_id);
+CREATE INDEX IF NOT EXISTS idx_promociones_categoria ON promociones(categoria_id);
+
+ALTER TABLE venta_detalles
+  ADD COLUMN IF NOT EXISTS promocion_id INTEGER REFERENCES promociones(id),
+  ADD COLUMN IF NOT EXISTS descuento_promocion NUMERIC NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_venta_detalles_promocion ON venta_detalles(promocion_id);
@@ -0,0 +1,27 @@
+-- Desglose neto/IVA/exento y numeración correlativa de boletas y facturas
+
+ALTER TABLE productos
+  ADD COLUMN IF NOT EXISTS exento BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE ventas
+  ADD COLUMN IF NOT EXISTS tipo_documento VARCHAR(10) NOT NULL DEFAULT 'boleta'
+    CHECK (tipo_documento IN ('boleta', 'factura')),
+  ADD COLUMN IF NOT EXISTS folio INTEGER,
+  ADD COLUMN IF NOT EXISTS neto NUMERIC,
+  ADD COLUMN IF NOT EXISTS iva NUMERIC,
+  ADD COLUMN IF NOT EXISTS exento NUMERIC NOT NULL DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ventas_folio
+  ON ventas(tipo_documento, folio) WHERE folio IS NOT NULL;
+
+-- Último folio emitido por tipo de documento. Se incrementa dentro de la
+-- transacción de la venta, por lo que la numeración no tiene saltos.
+CREATE TABLE IF NOT EXISTS folios (
+  tipo_documento VARCHAR(10) PRIMARY KEY,
+  ultimo_folio INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO folios (tipo_documento, ultimo_folio) VALUES
+  ('boleta', 0),
+  ('factura', 0)
+ON CONFLICT (tipo_documento) DO NOTHING;
@@ -0,0 +1,15 @@
+-- Datos de la tienda para la cabecera de los comprobantes (fila única, id = 1)
+
+CREATE TABLE IF NOT EXISTS configuracion_tienda (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  nombre VARCHAR(120),
+  razon_social VARCHAR(150),
+  rut VARCHAR(12),
+  giro VARCHAR(150),
+  direccion VARCHAR(200),
+  telefono VARCHAR(30),
+  mensaje_pie TEXT,
+  ancho_papel INTEGER NOT NULL DEFAULT 80 CHECK (ancho_papel IN (58, 80))
+);
+
+INSERT INTO configuracion_tienda (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,7 @@
+-- Índices para los filtros y el orden del listado de ventas
+
+CREATE INDEX IF NOT EXISTS idx_ventas_fecha ON ventas(fecha DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_ventas_user_fecha ON ventas(user_id, fecha DESC);
+CREATE INDEX IF NOT EXISTS idx_ventas_cliente ON ventas(cliente_id);
+CREATE INDEX IF NOT EXISTS idx_ventas_con_deuda ON ventas(fecha DESC) WHERE deuda > 0;
+CREATE INDEX IF NOT EXISTS idx_venta_pagos_metodo ON venta_pagos(metodo_pago, venta_id);
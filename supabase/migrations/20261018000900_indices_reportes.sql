@@ -0,0 +1,4 @@
+-- Índices usados por los reportes de ventas y margen
+
+CREATE INDEX IF NOT EXISTS idx_venta_detalles_venta ON venta_detalles(venta_id);
+CREATE INDEX IF NOT EXISTS idx_venta_detalles_producto ON venta_detalles(producto_id);
@@ -0,0 +1,15 @@
+-- Claves de idempotencia para reintentos y sincronización de ventas sin conexión.
+-- La clave es propia de cada usuario: otro terminal que repita el mismo valor no
+-- recibe la venta de otro.
+
+CREATE TABLE IF NOT EXISTS ventas_idempotencia (
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  clave VARCHAR(100) NOT NULL,
+  venta_id INTEGER NOT NULL REFERENCES ventas(id),
+  respuesta JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, clave)
+);
+
+ALTER TABLE ventas
+  ADD COLUMN IF NOT EXISTS capturada_en TIMESTAMPTZ;
@@ -0,0 +1,24 @@
+-- Historial de abonos de clientes y su aplicación a las ventas con deuda
+
+CREATE TABLE IF NOT EXISTS abonos (
+  id SERIAL PRIMARY KEY,
+  cliente_id INTEGER REFERENCES clientes(id),
+  monto NUMERIC NOT NULL CHECK (monto > 0),
+  metodo_pago VARCHAR(30) NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  caja_sesion_id INTEGER REFERENCES caja_sesiones(id),
+  observacion TEXT,
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS abono_aplicaciones (
+  id SERIAL PRIMARY KEY,
+  abono_id INTEGER NOT NULL REFERENCES abonos(id) ON DELETE CASCADE,
+  venta_id INTEGER NOT NULL REFERENCES ventas(id),
+  monto NUMERIC NOT NULL CHECK (monto > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_abonos_cliente_fecha ON abonos(cliente_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_abonos_caja_sesion ON abonos(caja_sesion_id);
+CREATE INDEX IF NOT EXISTS idx_abono_aplicaciones_venta ON abono_aplicaciones(venta_id);
+CREATE INDEX IF NOT EXISTS idx_ventas_cliente_fecha ON ventas(cliente_id, fecha);
@@ -0,0 +1,11 @@
+-- Límite de crédito y plazo de pago por cliente
+
+ALTER TABLE clientes
+  ADD COLUMN IF NOT EXISTS limite_credito NUMERIC CHECK (limite_credito >= 0), -- NULL = sin límite
+  ADD COLUMN IF NOT EXISTS plazo_dias INTEGER NOT NULL DEFAULT 30 CHECK (plazo_dias >= 0);
+
+-- Quién autorizó una venta a crédito fuera de las condiciones del cliente
+ALTER TABLE ventas
+  ADD COLUMN IF NOT EXISTS credito_autorizado_por INTEGER REFERENCES usuarios(id);
+
+CREATE INDEX IF NOT EXISTS idx_ventas_cliente_deuda ON ventas(cliente_id, fecha) WHERE deuda > 0;
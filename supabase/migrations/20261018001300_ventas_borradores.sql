@@ -0,0 +1,24 @@
+-- Carritos en espera y cotizaciones que luego se convierten en venta
+
+CREATE TABLE IF NOT EXISTS ventas_borradores (
+  id SERIAL PRIMARY KEY,
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('carrito', 'cotizacion')),
+  estado VARCHAR(20) NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'convertido', 'cancelado')),
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  cliente_id INTEGER REFERENCES clientes(id),
+  items JSONB NOT NULL,
+  lineas_cotizadas JSONB, -- Precios vigentes al guardar o editar el borrador
+  total_estimado NUMERIC NOT NULL DEFAULT 0,
+  descuento NUMERIC NOT NULL DEFAULT 0,
+  tipo_documento VARCHAR(20) NOT NULL DEFAULT 'boleta',
+  nota TEXT,
+  vence_en TIMESTAMPTZ,
+  venta_id INTEGER REFERENCES ventas(id),
+  convertido_por INTEGER REFERENCES usuarios(id),
+  convertido_en TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ventas_borradores_usuario ON ventas_borradores(user_id, estado);
+CREATE INDEX IF NOT EXISTS idx_ventas_borradores_cliente ON ventas_borradores(cliente_id, estado);
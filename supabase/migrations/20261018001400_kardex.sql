@@ -0,0 +1,117 @@
+-- Kardex: cada cambio de stock queda registrado como un movimiento con su saldo
+
+CREATE TABLE IF NOT EXISTS movimientos_stock (
+  id SERIAL PRIMARY KEY,
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  cantidad NUMERIC NOT NULL, -- Positivo entra, negativo sale
+  saldo NUMERIC NOT NULL,    -- Stock del producto después del movimiento
+  motivo VARCHAR(20) NOT NULL CHECK (motivo IN ('venta', 'devolucion', 'ajuste', 'compra', 'conteo')),
+  documento_tipo VARCHAR(30),
+  documento_id INTEGER,
+  observacion TEXT,
+  user_id INTEGER REFERENCES usuarios(id),
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_movimientos_stock_producto_fecha ON movimientos_stock(producto_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_movimientos_stock_documento ON movimientos_stock(documento_tipo, documento_id);
+
+-- Aplica el cambio sobre productos.stock y registra el movimiento en una sola operación.
+-- La usan tanto las rutas con `pg` (SELECT * FROM ...) como las de supabase (rpc).
+-- Con p_sin_negativo rechaza el movimiento si deja el stock bajo cero; se revisa con
+-- la fila del producto ya bloqueada, así dos ajustes simultáneos no lo saltan.
+CREATE OR REPLACE FUNCTION registrar_movimiento_stock(
+  p_producto_id INTEGER,
+  p_cantidad NUMERIC,
+  p_motivo VARCHAR,
+  p_user_id INTEGER,
+  p_documento_tipo VARCHAR DEFAULT NULL,
+  p_documento_id INTEGER DEFAULT NULL,
+  p_observacion TEXT DEFAULT NULL,
+  p_sin_negativo BOOLEAN DEFAULT FALSE
+) RETURNS movimientos_stock AS $$
+DECLARE
+  v_saldo NUMERIC;
+  v_movimiento movimientos_stock;
+BEGIN
+  UPDATE productos
+  SET stock = stock + p_cantidad, last_updated = NOW()
+  WHERE id = p_producto_id
+  RETURNING stock INTO v_saldo;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Producto % no encontrado', p_producto_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_sin_negativo AND v_saldo < 0 THEN
+    RAISE EXCEPTION 'El movimiento dejaría el stock del producto % en negativo', p_producto_id
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO movimientos_stock (producto_id, cantidad, saldo, motivo, documento_tipo, documento_id, observacion, user_id)
+  VALUES (p_producto_id, p_cantidad, v_saldo, p_motivo, p_documento_tipo, p_documento_id, p_observacion, p_user_id)
+  RETURNING * INTO v_movimiento;
+
+  RETURN v_movimiento;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Inserta un producto con las claves de p_datos que son columnas de productos; las
+-- demás toman su valor por defecto. Las columnas salen del catálogo de la base, así
+-- una columna nueva no obliga a tocar esta función.
+CREATE OR REPLACE FUNCTION insertar_producto(p_datos JSONB)
+RETURNS productos AS $$
+DECLARE
+  v_columnas TEXT;
+  v_producto productos;
+BEGIN
+  SELECT string_agg(quote_ident(attname), ', ')
+  INTO v_columnas
+  FROM pg_attribute
+  WHERE attrelid = 'productos'::regclass
+    AND attnum > 0
+    AND NOT attisdropped
+    AND p_datos ? attname::TEXT;
+
+  EXECUTE format(
+    'INSERT INTO productos (%1$s) SELECT %1$s FROM jsonb_populate_record(NULL::productos, $1) RETURNING *',
+    v_columnas
+  ) INTO v_producto USING p_datos;
+
+  RETURN v_producto;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Alta de un producto con su stock inicial en una sola transacción: si el movimiento
+-- del kardex falla, tampoco queda creado el producto con stock cero.
+CREATE OR REPLACE FUNCTION crear_producto(
+  p_producto JSONB,
+  p_user_id INTEGER,
+  p_stock NUMERIC DEFAULT 0,
+  p_observacion TEXT DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+  v_producto productos;
+  v_movimiento movimientos_stock;
+BEGIN
+  v_producto := insertar_producto(p_producto || jsonb_build_object('stock', 0));
+
+  IF COALESCE(p_stock, 0) = 0 THEN
+    RETURN jsonb_build_object('producto', to_jsonb(v_producto), 'movimiento', NULL);
+  END IF;
+
+  v_movimiento := registrar_movimiento_stock(
+    v_producto.id, p_stock, 'ajuste', p_user_id, NULL, NULL, p_observacion
+  );
+  SELECT * INTO v_producto FROM productos WHERE id = v_producto.id;
+
+  RETURN jsonb_build_object('producto', to_jsonb(v_producto), 'movimiento', to_jsonb(v_movimiento));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Saldo de apertura para que el kardex cuadre con el stock actual
+INSERT INTO movimientos_stock (producto_id, cantidad, saldo, motivo, observacion)
+SELECT p.id, p.stock, p.stock, 'ajuste', 'Saldo inicial al habilitar el kardex'
+FROM productos p
+WHERE p.stock <> 0
+  AND NOT EXISTS (SELECT 1 FROM movimientos_stock m WHERE m.producto_id = p.id);
@@ -0,0 +1,60 @@
+-- Proveedores, órdenes de compra y recepción de mercadería
+
+CREATE TABLE IF NOT EXISTS proveedores (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(150) NOT NULL,
+  rut VARCHAR(20) UNIQUE,
+  contacto VARCHAR(100),
+  telefono VARCHAR(30),
+  email VARCHAR(100),
+  direccion TEXT,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ordenes_compra (
+  id SERIAL PRIMARY KEY,
+  proveedor_id INTEGER NOT NULL REFERENCES proveedores(id),
+  estado VARCHAR(20) NOT NULL DEFAULT 'borrador'
+    CHECK (estado IN ('borrador', 'enviada', 'parcial', 'recibida', 'cancelada')),
+  fecha_esperada DATE,
+  observacion TEXT,
+  total NUMERIC NOT NULL DEFAULT 0,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  enviada_en TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS orden_compra_detalles (
+  id SERIAL PRIMARY KEY,
+  orden_id INTEGER NOT NULL REFERENCES ordenes_compra(id) ON DELETE CASCADE,
+  producto_id INTEGER NOT NULL REFERENCES productos(id),
+  cantidad NUMERIC NOT NULL CHECK (cantidad > 0),
+  cantidad_recibida NUMERIC NOT NULL DEFAULT 0,
+  costo_unitario NUMERIC NOT NULL CHECK (costo_unitario >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS recepciones (
+  id SERIAL PRIMARY KEY,
+  orden_id INTEGER NOT NULL REFERENCES ordenes_compra(id),
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  documento_proveedor VARCHAR(50), -- Factura o guía de despacho del proveedor
+  observacion TEXT,
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS recepcion_detalles (
+  id SERIAL PRIMARY KEY,
+  recepcion_id INTEGER NOT NULL REFERENCES recepciones(id) ON DELETE CASCADE,
+  orden_detalle_id INTEGER NOT NULL REFERENCES orden_compra_detalles(id),
+  producto_id INTEGER NOT NULL REFERENCES productos(id),
+  cantidad NUMERIC NOT NULL CHECK (cantidad > 0),
+  costo_unitario NUMERIC NOT NULL,
+  costo_promedio_anterior NUMERIC,
+  costo_promedio_nuevo NUMERIC
+);
+
+CREATE INDEX IF NOT EXISTS idx_ordenes_compra_proveedor ON ordenes_compra(proveedor_id, estado);
+CREATE INDEX IF NOT EXISTS idx_orden_compra_detalles_orden ON orden_compra_detalles(orden_id);
+CREATE INDEX IF NOT EXISTS idx_recepcion_detalles_producto ON recepcion_detalles(producto_id);
@@ -0,0 +1,56 @@
+-- Punto de reposición por producto y alertas de stock bajo
+
+ALTER TABLE productos
+  ADD COLUMN IF NOT EXISTS stock_minimo NUMERIC NOT NULL DEFAULT 0 CHECK (stock_minimo >= 0),
+  ADD COLUMN IF NOT EXISTS cantidad_reposicion NUMERIC NOT NULL DEFAULT 0 CHECK (cantidad_reposicion >= 0);
+
+-- Productos en o bajo su mínimo (y, con p_dias_cobertura, los que se agotarían en
+-- ese plazo) con la venta diaria promedio de los últimos p_dias días.
+CREATE OR REPLACE FUNCTION obtener_alertas_stock(p_dias INTEGER DEFAULT 30, p_dias_cobertura NUMERIC DEFAULT NULL)
+RETURNS TABLE (
+  producto_id INTEGER,
+  sku TEXT,
+  nombre TEXT,
+  categoria_id INTEGER,
+  categoria_nombre TEXT,
+  stock NUMERIC,
+  stock_minimo NUMERIC,
+  cantidad_reposicion NUMERIC,
+  cantidad_sugerida NUMERIC,
+  venta_diaria_promedio NUMERIC,
+  dias_restantes NUMERIC,
+  bajo_minimo BOOLEAN
+) AS $$
+  WITH ventas_periodo AS (
+    SELECT vd.producto_id, SUM(vd.cantidad - COALESCE(vd.cantidad_devuelta, 0)) AS unidades
+    FROM venta_detalles vd
+    JOIN ventas v ON vd.venta_id = v.id
+    WHERE COALESCE(v.estado, 'completada') <> 'anulada'
+      AND v.fecha >= NOW() - make_interval(days => p_dias)
+    GROUP BY vd.producto_id
+  ),
+  productos_estimados AS (
+    SELECT
+      p.id::INTEGER AS producto_id,
+      p.sku::TEXT AS sku,
+      p.name::TEXT AS nombre,
+      p.categoria_id::INTEGER AS categoria_id,
+      c.nombre::TEXT AS categoria_nombre,
+      p.stock::NUMERIC AS stock,
+      p.stock_minimo,
+      p.cantidad_reposicion,
+      GREATEST(p.cantidad_reposicion, p.stock_minimo - p.stock, 0) AS cantidad_sugerida,
+      ROUND(COALESCE(vp.unidades, 0) / p_dias, 2) AS venta_diaria_promedio,
+      CASE WHEN COALESCE(vp.unidades, 0) > 0
+        THEN ROUND(GREATEST(p.stock, 0) / (vp.unidades / p_dias), 1)
+      END AS dias_restantes,
+      (p.stock_minimo > 0 AND p.stock <= p.stock_minimo) AS bajo_minimo
+    FROM productos p
+    LEFT JOIN categorias c ON p.categoria_id = c.id
+    LEFT JOIN ventas_periodo vp ON vp.producto_id = p.id
+  )
+  SELECT * FROM productos_estimados
+  WHERE bajo_minimo
+     OR (p_dias_cobertura IS NOT NULL AND dias_restantes <= p_dias_cobertura)
+  ORDER BY dias_restantes NULLS LAST, nombre;
+$$ LANGUAGE sql STABLE;
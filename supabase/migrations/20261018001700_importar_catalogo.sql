@@ -0,0 +1,88 @@
+-- Importación masiva del catálogo en una sola transacción.
+-- p_filas es una lista JSON de productos ya validados; cada fila trae solo las
+-- columnas que venían en el archivo, así una actualización no borra lo demás.
+-- Las categorías se buscan por nombre (sin distinguir mayúsculas) y se crean si faltan.
+-- Un cambio de stock queda como ajuste en el kardex.
+
+CREATE OR REPLACE FUNCTION importar_catalogo(p_filas JSONB, p_user_id INTEGER, p_motivo TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  f JSONB;
+  v_categoria_id INTEGER;
+  v_producto productos%ROWTYPE;
+  v_creados INTEGER := 0;
+  v_actualizados INTEGER := 0;
+  v_categorias_creadas INTEGER := 0;
+  v_ajustes_stock INTEGER := 0;
+BEGIN
+  FOR f IN SELECT * FROM jsonb_array_elements(p_filas) LOOP
+    v_categoria_id := NULL;
+    IF NULLIF(TRIM(f->>'categoria_nombre'), '') IS NOT NULL THEN
+      SELECT id INTO v_categoria_id
+      FROM categorias
+      WHERE LOWER(nombre) = LOWER(TRIM(f->>'categoria_nombre'))
+      LIMIT 1;
+
+      IF v_categoria_id IS NULL THEN
+        INSERT INTO categorias (nombre) VALUES (TRIM(f->>'categoria_nombre'))
+        RETURNING id INTO v_categoria_id;
+        v_categorias_creadas := v_categorias_creadas + 1;
+      END IF;
+    END IF;
+
+    SELECT * INTO v_producto FROM productos WHERE sku = f->>'sku' FOR UPDATE;
+
+    IF NOT FOUND THEN
+      INSERT INTO productos
+        (sku, name, description, price, purchase_price, stock, stock_unit, categoria_id, exento,
+         stock_minimo, cantidad_reposicion, user_id, last_updated)
+      VALUES (
+        f->>'sku',
+        f->>'name',
+        COALESCE(f->>'description', ''),
+        (f->>'price')::NUMERIC,
+        COALESCE((f->>'purchase_price')::NUMERIC, 0),
+        0,
+        COALESCE(f->>'stock_unit', 'Unidad'),
+        v_categoria_id,
+        COALESCE((f->>'exento')::BOOLEAN, FALSE),
+        COALESCE((f->>'stock_minimo')::NUMERIC, 0),
+        COALESCE((f->>'cantidad_reposicion')::NUMERIC, 0),
+        p_user_id,
+        NOW()
+      )
+      RETURNING * INTO v_producto;
+      v_creados := v_creados + 1;
+    ELSE
+      UPDATE productos SET
+        name = COALESCE(f->>'name', name),
+        description = COALESCE(f->>'description', description),
+        price = COALESCE((f->>'price')::NUMERIC, price),
+        purchase_price = COALESCE((f->>'purchase_price')::NUMERIC, purchase_price),
+        stock_unit = COALESCE(f->>'stock_unit', stock_unit),
+        categoria_id = COALESCE(v_categoria_id, categoria_id),
+        exento = COALESCE((f->>'exento')::BOOLEAN, exento),
+        stock_minimo = COALESCE((f->>'stock_minimo')::NUMERIC, stock_minimo),
+        cantidad_reposicion = COALESCE((f->>'cantidad_reposicion')::NUMERIC, cantidad_reposicion),
+        user_id = p_user_id,
+        last_updated = NOW()
+      WHERE id = v_producto.id;
+      v_actualizados := v_actualizados + 1;
+    END IF;
+
+    IF f ? 'stock' AND (f->>'stock')::NUMERIC <> v_producto.stock THEN
+      PERFORM registrar_movimiento_stock(
+        v_producto.id, (f->>'stock')::NUMERIC - v_producto.stock, 'ajuste', p_user_id, 'importacion', NULL, p_motivo
+      );
+      v_ajustes_stock := v_ajustes_stock + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'creados', v_creados,
+    'actualizados', v_actualizados,
+    'categorias_creadas', v_categorias_creadas,
+    'ajustes_stock', v_ajustes_stock
+  );
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,27 @@
+-- Búsqueda de productos sin distinguir acentos ni mayúsculas y estado de stock filtrable
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() no es IMMUTABLE y no se puede usar en columnas generadas; este envoltorio
+-- fija el diccionario para que sí lo sea
+CREATE OR REPLACE FUNCTION inmutable_unaccent(texto TEXT)
+RETURNS TEXT AS $$
+  SELECT public.unaccent('public.unaccent'::regdictionary, texto);
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+ALTER TABLE productos
+  ADD COLUMN IF NOT EXISTS texto_busqueda TEXT GENERATED ALWAYS AS (
+    LOWER(inmutable_unaccent(COALESCE(name, '') || ' ' || COALESCE(sku, '') || ' ' || COALESCE(description, '')))
+  ) STORED,
+  ADD COLUMN IF NOT EXISTS estado_stock VARCHAR(20) GENERATED ALWAYS AS (
+    CASE
+      WHEN stock <= 0 THEN 'agotado'
+      WHEN stock <= stock_minimo THEN 'bajo'
+      ELSE 'disponible'
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_productos_texto_busqueda ON productos USING GIN (texto_busqueda gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_productos_categoria ON productos(categoria_id);
+CREATE INDEX IF NOT EXISTS idx_productos_estado_stock ON productos(estado_stock);
@@ -0,0 +1,29 @@
+-- Productos pesables: PLU para los códigos de balanza, formato configurable de la
+-- etiqueta y cantidades con decimales (hasta gramos)
+
+ALTER TABLE productos
+  ADD COLUMN IF NOT EXISTS plu INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_productos_plu ON productos(plu) WHERE plu IS NOT NULL;
+
+-- NULL = formato por defecto (2 + dígito libre, PLU de 5 dígitos, peso en gramos de 5 dígitos)
+ALTER TABLE configuracion_tienda
+  ADD COLUMN IF NOT EXISTS formato_balanza JSONB;
+
+-- estado_stock depende de stock y hay que recrearla para poder cambiar el tipo
+DROP INDEX IF EXISTS idx_productos_estado_stock;
+ALTER TABLE productos DROP COLUMN IF EXISTS estado_stock;
+
+ALTER TABLE productos ALTER COLUMN stock TYPE NUMERIC(12,3);
+ALTER TABLE venta_detalles ALTER COLUMN cantidad TYPE NUMERIC(12,3);
+
+ALTER TABLE productos
+  ADD COLUMN estado_stock VARCHAR(20) GENERATED ALWAYS AS (
+    CASE
+      WHEN stock <= 0 THEN 'agotado'
+      WHEN stock <= stock_minimo THEN 'bajo'
+      ELSE 'disponible'
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_productos_estado_stock ON productos(estado_stock);
@@ -0,0 +1,14 @@
+-- Códigos de barra alternativos: cualquier código resuelve al producto base. Un
+-- código de pack lleva el factor de conversión (una caja de 12 vende y descuenta 12)
+
+CREATE TABLE IF NOT EXISTS codigos_barra (
+  id SERIAL PRIMARY KEY,
+  codigo VARCHAR(50) NOT NULL UNIQUE,
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  factor NUMERIC(12,3) NOT NULL DEFAULT 1 CHECK (factor > 0),
+  descripcion VARCHAR(100), -- Ej.: "Caja x12", "Código anterior del proveedor"
+  user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_codigos_barra_producto ON codigos_barra(producto_id);
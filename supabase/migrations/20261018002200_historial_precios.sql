@@ -0,0 +1,101 @@
+-- Historial de precios y cambios de precio programados.
+-- Cada cambio de price o purchase_price en `productos` queda en historial_precios
+-- (sin importar si vino del upsert, la importación, una recepción o un cambio
+-- programado) con el usuario que figura como último en modificar el producto.
+
+CREATE TABLE IF NOT EXISTS cambios_precio_programados (
+  id SERIAL PRIMARY KEY,
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  price NUMERIC CHECK (price >= 0),
+  purchase_price NUMERIC CHECK (purchase_price >= 0),
+  aplicar_en TIMESTAMPTZ NOT NULL,
+  estado VARCHAR(20) NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'aplicado', 'cancelado')),
+  motivo TEXT,
+  user_id INTEGER REFERENCES usuarios(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  aplicado_en TIMESTAMPTZ,
+  cancelado_por INTEGER REFERENCES usuarios(id),
+  CHECK (price IS NOT NULL OR purchase_price IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cambios_precio_pendientes
+  ON cambios_precio_programados(aplicar_en) WHERE estado = 'pendiente';
+CREATE INDEX IF NOT EXISTS idx_cambios_precio_producto ON cambios_precio_programados(producto_id);
+
+CREATE TABLE IF NOT EXISTS historial_precios (
+  id SERIAL PRIMARY KEY,
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  price NUMERIC NOT NULL,
+  purchase_price NUMERIC,
+  vigente_desde TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  user_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+  cambio_programado_id INTEGER REFERENCES cambios_precio_programados(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_historial_precios_producto ON historial_precios(producto_id, vigente_desde);
+
+-- aplicar_precios_programados() marca en la sesión qué cambio está aplicando
+CREATE OR REPLACE FUNCTION registrar_historial_precio()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR NEW.price IS DISTINCT FROM OLD.price
+     OR NEW.purchase_price IS DISTINCT FROM OLD.purchase_price THEN
+    INSERT INTO historial_precios (producto_id, price, purchase_price, user_id, cambio_programado_id)
+    VALUES (
+      NEW.id,
+      NEW.price,
+      NEW.purchase_price,
+      NEW.user_id,
+      NULLIF(current_setting('app.cambio_programado_id', true), '')::INTEGER
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_historial_precios ON productos;
+CREATE TRIGGER trg_historial_precios
+  AFTER INSERT OR UPDATE OF price, purchase_price ON productos
+  FOR EACH ROW EXECUTE FUNCTION registrar_historial_precio();
+
+-- Aplica los cambios vencidos. La llama el servidor periódicamente; también se puede
+-- agendar con pg_cron. Devuelve cuántos cambios aplicó.
+CREATE OR REPLACE FUNCTION aplicar_precios_programados()
+RETURNS INTEGER AS $$
+DECLARE
+  v_cambio cambios_precio_programados;
+  v_aplicados INTEGER := 0;
+BEGIN
+  FOR v_cambio IN
+    SELECT * FROM cambios_precio_programados
+    WHERE estado = 'pendiente' AND aplicar_en <= NOW()
+    ORDER BY aplicar_en, id
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    PERFORM set_config('app.cambio_programado_id', v_cambio.id::TEXT, true);
+
+    UPDATE productos SET
+      price = COALESCE(v_cambio.price, price),
+      purchase_price = COALESCE(v_cambio.purchase_price, purchase_price),
+      user_id = COALESCE(v_cambio.user_id, user_id),
+      last_updated = NOW()
+    WHERE id = v_cambio.producto_id;
+
+    UPDATE cambios_precio_programados
+    SET estado = 'aplicado', aplicado_en = NOW()
+    WHERE id = v_cambio.id;
+
+    v_aplicados := v_aplicados + 1;
+  END LOOP;
+
+  PERFORM set_config('app.cambio_programado_id', '', true);
+  RETURN v_aplicados;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Precio de partida para que la línea de tiempo no empiece vacía
+INSERT INTO historial_precios (producto_id, price, purchase_price, vigente_desde, user_id)
+SELECT p.id, p.price, p.purchase_price, COALESCE(p.last_updated, NOW()), NULL
+FROM productos p
+WHERE NOT EXISTS (SELECT 1 FROM historial_precios h WHERE h.producto_id = p.id);
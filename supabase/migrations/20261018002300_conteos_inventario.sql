@@ -0,0 +1,47 @@
+-- Conteos físicos de inventario (toma de inventario completa o por categoría).
+-- Al abrir la sesión se fija qué productos entran y su stock en ese momento; las
+-- lecturas de varios dispositivos se suman por producto y al cerrar las diferencias
+-- se aplican como movimientos 'conteo' del kardex.
+
+CREATE TABLE IF NOT EXISTS conteos_inventario (
+  id SERIAL PRIMARY KEY,
+  tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('completo', 'categoria')),
+  categoria_id INTEGER REFERENCES categorias(id),
+  estado VARCHAR(20) NOT NULL DEFAULT 'abierto' CHECK (estado IN ('abierto', 'cerrado', 'cancelado')),
+  observacion TEXT,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  abierto_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cerrado_en TIMESTAMPTZ,
+  cerrado_por INTEGER REFERENCES usuarios(id),
+  CHECK (tipo = 'completo' OR categoria_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conteos_inventario_estado ON conteos_inventario(estado);
+
+-- Productos que entran en el conteo con su stock, costo y precio al abrir la sesión.
+-- Al cerrar se guardan el stock esperado y lo contado para el informe histórico.
+CREATE TABLE IF NOT EXISTS conteo_productos (
+  conteo_id INTEGER NOT NULL REFERENCES conteos_inventario(id) ON DELETE CASCADE,
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  stock_inicial NUMERIC NOT NULL,
+  costo NUMERIC NOT NULL DEFAULT 0,
+  precio NUMERIC NOT NULL DEFAULT 0,
+  stock_esperado NUMERIC,
+  cantidad_contada NUMERIC,
+  diferencia NUMERIC,
+  movimiento_id INTEGER REFERENCES movimientos_stock(id),
+  PRIMARY KEY (conteo_id, producto_id)
+);
+
+CREATE TABLE IF NOT EXISTS conteo_lecturas (
+  id SERIAL PRIMARY KEY,
+  conteo_id INTEGER NOT NULL REFERENCES conteos_inventario(id) ON DELETE CASCADE,
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  cantidad NUMERIC NOT NULL, -- Negativa para corregir una lectura anterior
+  codigo VARCHAR(50),        -- Código escaneado (SKU o código alternativo)
+  dispositivo VARCHAR(60),
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conteo_lecturas_conteo_producto ON conteo_lecturas(conteo_id, producto_id);
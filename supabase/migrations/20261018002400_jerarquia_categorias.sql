@@ -0,0 +1,73 @@
+-- Categorías con jerarquía (padre/hijas), fusión y eliminación con reasignación
+
+ALTER TABLE categorias
+  ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categorias(id);
+
+ALTER TABLE categorias
+  DROP CONSTRAINT IF EXISTS categorias_parent_distinto;
+ALTER TABLE categorias
+  ADD CONSTRAINT categorias_parent_distinto CHECK (parent_id IS NULL OR parent_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_categorias_parent ON categorias(parent_id);
+
+-- La categoría y todas sus subcategorías, a cualquier profundidad
+CREATE OR REPLACE FUNCTION categorias_descendientes(p_categoria_id INTEGER)
+RETURNS TABLE (id INTEGER) AS $$
+  WITH RECURSIVE arbol AS (
+    SELECT c.id FROM categorias c WHERE c.id = p_categoria_id
+    UNION
+    SELECT c.id FROM categorias c JOIN arbol a ON c.parent_id = a.id
+  )
+  SELECT arbol.id::INTEGER FROM arbol;
+$$ LANGUAGE sql STABLE;
+
+-- Mueve todo lo que apunta a p_origen (productos, promociones, conteos y
+-- subcategorías) a p_destino y elimina p_origen. Con p_destino NULL los productos
+-- quedan sin categoría y las subcategorías pasan al padre de p_origen; en ese caso
+-- no puede haber promociones ni conteos que dependan de ella.
+CREATE OR REPLACE FUNCTION reasignar_y_eliminar_categoria(p_origen INTEGER, p_destino INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_origen categorias;
+  v_productos INTEGER;
+  v_subcategorias INTEGER;
+  v_promociones INTEGER;
+BEGIN
+  SELECT * INTO v_origen FROM categorias WHERE id = p_origen FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Categoría no encontrada' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_destino IS NOT NULL THEN
+    IF p_destino IN (SELECT id FROM categorias_descendientes(p_origen)) THEN
+      RAISE EXCEPTION 'La categoría destino no puede ser la misma ni una de sus subcategorías' USING ERRCODE = '22023';
+    END IF;
+    PERFORM 1 FROM categorias WHERE id = p_destino FOR UPDATE;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Categoría destino no encontrada' USING ERRCODE = 'P0002';
+    END IF;
+  ELSIF EXISTS (SELECT 1 FROM promociones WHERE categoria_id = p_origen)
+     OR EXISTS (SELECT 1 FROM conteos_inventario WHERE categoria_id = p_origen) THEN
+    RAISE EXCEPTION 'La categoría tiene promociones o conteos; indique una categoría a la cual reasignarlos' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE productos SET categoria_id = p_destino, last_updated = NOW() WHERE categoria_id = p_origen;
+  GET DIAGNOSTICS v_productos = ROW_COUNT;
+
+  UPDATE categorias SET parent_id = COALESCE(p_destino, v_origen.parent_id) WHERE parent_id = p_origen;
+  GET DIAGNOSTICS v_subcategorias = ROW_COUNT;
+
+  UPDATE promociones SET categoria_id = p_destino WHERE categoria_id = p_origen;
+  GET DIAGNOSTICS v_promociones = ROW_COUNT;
+
+  UPDATE conteos_inventario SET categoria_id = p_destino WHERE categoria_id = p_origen;
+
+  DELETE FROM categorias WHERE id = p_origen;
+
+  RETURN jsonb_build_object(
+    'productos_reasignados', v_productos,
+    'subcategorias_movidas', v_subcategorias,
+    'promociones_reasignadas', v_promociones
+  );
+END;
+$$ LANGUAGE plpgsql;
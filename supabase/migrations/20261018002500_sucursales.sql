@@ -0,0 +1,405 @@
+-- Sucursales: el stock se lleva por producto y sucursal, los usuarios se asignan a
+-- una o más sucursales y las ventas, cajas, compras y conteos quedan etiquetados con
+-- la suya. productos.stock pasa a ser el consolidado de todas las sucursales.
+-- Los datos existentes quedan en la sucursal por defecto ("Casa matriz").
+
+CREATE TABLE IF NOT EXISTS sucursales (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL UNIQUE,
+  direccion TEXT,
+  telefono VARCHAR(30),
+  activa BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO sucursales (nombre)
+SELECT 'Casa matriz'
+WHERE NOT EXISTS (SELECT 1 FROM sucursales);
+
+-- Sucursal que se usa cuando una operación no indica ninguna: la activa más antigua
+CREATE OR REPLACE FUNCTION sucursal_por_defecto()
+RETURNS INTEGER AS $$
+  SELECT id FROM sucursales WHERE activa ORDER BY id LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+CREATE TABLE IF NOT EXISTS usuario_sucursales (
+  user_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  sucursal_id INTEGER NOT NULL REFERENCES sucursales(id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, sucursal_id)
+);
+
+INSERT INTO usuario_sucursales (user_id, sucursal_id)
+SELECT u.id, sucursal_por_defecto()
+FROM usuarios u
+ON CONFLICT DO NOTHING;
+
+-- Alta de un usuario junto con sus sucursales (POST /usuarios): si la asignación
+-- falla tampoco queda creado el usuario
+CREATE OR REPLACE FUNCTION crear_usuario(
+  p_username TEXT,
+  p_nombre TEXT,
+  p_password TEXT,
+  p_rol TEXT,
+  p_sucursal_ids INTEGER[]
+) RETURNS JSONB AS $$
+DECLARE
+  v_usuario usuarios%ROWTYPE;
+BEGIN
+  INSERT INTO usuarios (username, nombre, password, rol)
+  VALUES (p_username, p_nombre, p_password, p_rol)
+  RETURNING * INTO v_usuario;
+
+  INSERT INTO usuario_sucursales (user_id, sucursal_id)
+  SELECT DISTINCT v_usuario.id, UNNEST(p_sucursal_ids);
+
+  RETURN jsonb_build_object(
+    'id', v_usuario.id,
+    'username', v_usuario.username,
+    'nombre', v_usuario.nombre,
+    'rol', v_usuario.rol
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS stock_sucursales (
+  producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+  sucursal_id INTEGER NOT NULL REFERENCES sucursales(id),
+  stock NUMERIC(12,3) NOT NULL DEFAULT 0,
+  PRIMARY KEY (producto_id, sucursal_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_sucursales_sucursal ON stock_sucursales(sucursal_id);
+
+INSERT INTO stock_sucursales (producto_id, sucursal_id, stock)
+SELECT p.id, sucursal_por_defecto(), p.stock
+FROM productos p
+ON CONFLICT DO NOTHING;
+
+-- Producto en cada sucursal, con el estado de stock calculado sobre el de la sucursal.
+-- Las rutas de supabase la consultan cuando se filtra por sucursal.
+CREATE OR REPLACE VIEW productos_sucursales AS
+SELECT
+  p.*,
+  s.id AS sucursal_id,
+  COALESCE(ss.stock, 0) AS stock_sucursal,
+  CASE
+    WHEN COALESCE(ss.stock, 0) <= 0 THEN 'agotado'
+    WHEN COALESCE(ss.stock, 0) <= p.stock_minimo THEN 'bajo'
+    ELSE 'disponible'
+  END::VARCHAR(20) AS estado_stock_sucursal
+FROM productos p
+CROSS JOIN sucursales s
+LEFT JOIN stock_sucursales ss ON ss.producto_id = p.id AND ss.sucursal_id = s.id;
+
+-- Documentos etiquetados con su sucursal
+ALTER TABLE ventas ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES sucursales(id);
+ALTER TABLE caja_sesiones ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES sucursales(id);
+ALTER TABLE ordenes_compra ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES sucursales(id);
+ALTER TABLE conteos_inventario ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES sucursales(id);
+
+UPDATE ventas SET sucursal_id = sucursal_por_defecto() WHERE sucursal_id IS NULL;
+UPDATE caja_sesiones SET sucursal_id = sucursal_por_defecto() WHERE sucursal_id IS NULL;
+UPDATE ordenes_compra SET sucursal_id = sucursal_por_defecto() WHERE sucursal_id IS NULL;
+UPDATE conteos_inventario SET sucursal_id = sucursal_por_defecto() WHERE sucursal_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ventas_sucursal_fecha ON ventas(sucursal_id, fecha);
+CREATE INDEX IF NOT EXISTS idx_caja_sesiones_sucursal ON caja_sesiones(sucursal_id);
+CREATE INDEX IF NOT EXISTS idx_ordenes_compra_sucursal ON ordenes_compra(sucursal_id);
+CREATE INDEX IF NOT EXISTS idx_conteos_inventario_sucursal ON conteos_inventario(sucursal_id);
+
+-- Kardex por sucursal: `saldo` es el de la sucursal y `saldo_total` el consolidado
+ALTER TABLE movimientos_stock
+  ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES sucursales(id),
+  ADD COLUMN IF NOT EXISTS saldo_total NUMERIC;
+
+UPDATE movimientos_stock SET sucursal_id = sucursal_por_defecto(), saldo_total = saldo WHERE sucursal_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_movimientos_stock_sucursal ON movimientos_stock(sucursal_id, producto_id, fecha);
+
+ALTER TABLE movimientos_stock DROP CONSTRAINT IF EXISTS movimientos_stock_motivo_check;
+ALTER TABLE movimientos_stock ADD CONSTRAINT movimientos_stock_motivo_check
+  CHECK (motivo IN ('venta', 'devolucion', 'ajuste', 'compra', 'conteo', 'transferencia'));
+
+-- Misma función del kardex con la sucursal como parámetro (NULL = sucursal por
+-- defecto, así los llamados anteriores siguen igual).
+-- Actualiza el stock de la sucursal y el consolidado en productos.stock.
+DROP FUNCTION IF EXISTS registrar_movimiento_stock(INTEGER, NUMERIC, VARCHAR, INTEGER, VARCHAR, INTEGER, TEXT, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION registrar_movimiento_stock(
+  p_producto_id INTEGER,
+  p_cantidad NUMERIC,
+  p_motivo VARCHAR,
+  p_user_id INTEGER,
+  p_documento_tipo VARCHAR DEFAULT NULL,
+  p_documento_id INTEGER DEFAULT NULL,
+  p_observacion TEXT DEFAULT NULL,
+  p_sucursal_id INTEGER DEFAULT NULL,
+  p_sin_negativo BOOLEAN DEFAULT FALSE
+) RETURNS movimientos_stock AS $$
+DECLARE
+  v_sucursal INTEGER := COALESCE(p_sucursal_id, sucursal_por_defecto());
+  v_saldo NUMERIC;
+  v_saldo_total NUMERIC;
+  v_movimiento movimientos_stock;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM sucursales WHERE id = v_sucursal) THEN
+    RAISE EXCEPTION 'Sucursal % no encontrada', v_sucursal USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE productos
+  SET stock = stock + p_cantidad, last_updated = NOW()
+  WHERE id = p_producto_id
+  RETURNING stock INTO v_saldo_total;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Producto % no encontrado', p_producto_id USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO stock_sucursales (producto_id, sucursal_id, stock)
+  VALUES (p_producto_id, v_sucursal, p_cantidad)
+  ON CONFLICT (producto_id, sucursal_id) DO UPDATE SET stock = stock_sucursales.stock + EXCLUDED.stock
+  RETURNING stock INTO v_saldo;
+
+  -- Las filas del producto y de su stock en la sucursal ya quedaron bloqueadas
+  IF p_sin_negativo AND v_saldo < 0 THEN
+    RAISE EXCEPTION 'El movimiento dejaría el stock del producto % en negativo', p_producto_id
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  INSERT INTO movimientos_stock
+    (producto_id, cantidad, saldo, saldo_total, motivo, documento_tipo, documento_id, observacion, user_id, sucursal_id)
+  VALUES
+    (p_producto_id, p_cantidad, v_saldo, v_saldo_total, p_motivo, p_documento_tipo, p_documento_id, p_observacion,
+     p_user_id, v_sucursal)
+  RETURNING * INTO v_movimiento;
+
+  RETURN v_movimiento;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Alta de producto con el stock inicial en la sucursal indicada (NULL = por defecto)
+DROP FUNCTION IF EXISTS crear_producto(JSONB, INTEGER, NUMERIC, TEXT);
+
+CREATE OR REPLACE FUNCTION crear_producto(
+  p_producto JSONB,
+  p_user_id INTEGER,
+  p_stock NUMERIC DEFAULT 0,
+  p_observacion TEXT DEFAULT NULL,
+  p_sucursal_id INTEGER DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+  v_producto productos;
+  v_movimiento movimientos_stock;
+BEGIN
+  v_producto := insertar_producto(p_producto || jsonb_build_object('stock', 0));
+
+  IF COALESCE(p_stock, 0) = 0 THEN
+    RETURN jsonb_build_object('producto', to_jsonb(v_producto), 'movimiento', NULL);
+  END IF;
+
+  v_movimiento := registrar_movimiento_stock(
+    v_producto.id, p_stock, 'ajuste', p_user_id, NULL, NULL, p_observacion, p_sucursal_id
+  );
+  SELECT * INTO v_producto FROM productos WHERE id = v_producto.id;
+
+  RETURN jsonb_build_object('producto', to_jsonb(v_producto), 'movimiento', to_jsonb(v_movimiento));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Importación del catálogo por sucursal: el stock de cada fila se compara con el de
+-- p_sucursal_id (NULL = por defecto) y la diferencia se ajusta en esa sucursal.
+DROP FUNCTION IF EXISTS importar_catalogo(JSONB, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION importar_catalogo(
+  p_filas JSONB,
+  p_user_id INTEGER,
+  p_motivo TEXT,
+  p_sucursal_id INTEGER DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+  f JSONB;
+  v_categoria_id INTEGER;
+  v_producto productos%ROWTYPE;
+  v_sucursal INTEGER := COALESCE(p_sucursal_id, sucursal_por_defecto());
+  v_stock_sucursal NUMERIC;
+  v_creados INTEGER := 0;
+  v_actualizados INTEGER := 0;
+  v_categorias_creadas INTEGER := 0;
+  v_ajustes_stock INTEGER := 0;
+BEGIN
+  FOR f IN SELECT * FROM jsonb_array_elements(p_filas) LOOP
+    v_categoria_id := NULL;
+    IF NULLIF(TRIM(f->>'categoria_nombre'), '') IS NOT NULL THEN
+      SELECT id INTO v_categoria_id
+      FROM categorias
+      WHERE LOWER(nombre) = LOWER(TRIM(f->>'categoria_nombre'))
+      LIMIT 1;
+
+      IF v_categoria_id IS NULL THEN
+        INSERT INTO categorias (nombre) VALUES (TRIM(f->>'categoria_nombre'))
+        RETURNING id INTO v_categoria_id;
+        v_categorias_creadas := v_categorias_creadas + 1;
+      END IF;
+    END IF;
+
+    SELECT * INTO v_producto FROM productos WHERE sku = f->>'sku' FOR UPDATE;
+
+    IF NOT FOUND THEN
+      INSERT INTO productos
+        (sku, name, description, price, purchase_price, stock, stock_unit, categoria_id, exento,
+         stock_minimo, cantidad_reposicion, user_id, last_updated)
+      VALUES (
+        f->>'sku',
+        f->>'name',
+        COALESCE(f->>'description', ''),
+        (f->>'price')::NUMERIC,
+        COALESCE((f->>'purchase_price')::NUMERIC, 0),
+        0,
+        COALESCE(f->>'stock_unit', 'Unidad'),
+        v_categoria_id,
+        COALESCE((f->>'exento')::BOOLEAN, FALSE),
+        COALESCE((f->>'stock_minimo')::NUMERIC, 0),
+        COALESCE((f->>'cantidad_reposicion')::NUMERIC, 0),
+        p_user_id,
+        NOW()
+      )
+      RETURNING * INTO v_producto;
+      v_creados := v_creados + 1;
+    ELSE
+      UPDATE productos SET
+        name = COALESCE(f->>'name', name),
+        description = COALESCE(f->>'description', description),
+        price = COALESCE((f->>'price')::NUMERIC, price),
+        purchase_price = COALESCE((f->>'purchase_price')::NUMERIC, purchase_price),
+        stock_unit = COALESCE(f->>'stock_unit', stock_unit),
+        categoria_id = COALESCE(v_categoria_id, categoria_id),
+        exento = COALESCE((f->>'exento')::BOOLEAN, exento),
+        stock_minimo = COALESCE((f->>'stock_minimo')::NUMERIC, stock_minimo),
+        cantidad_reposicion = COALESCE((f->>'cantidad_reposicion')::NUMERIC, cantidad_reposicion),
+        user_id = p_user_id,
+        last_updated = NOW()
+      WHERE id = v_producto.id;
+      v_actualizados := v_actualizados + 1;
+    END IF;
+
+    -- El stock del archivo es el de la sucursal, no el consolidado
+    SELECT stock INTO v_stock_sucursal
+    FROM stock_sucursales
+    WHERE producto_id = v_producto.id AND sucursal_id = v_sucursal;
+    v_stock_sucursal := COALESCE(v_stock_sucursal, 0);
+
+    IF f ? 'stock' AND (f->>'stock')::NUMERIC <> v_stock_sucursal THEN
+      PERFORM registrar_movimiento_stock(
+        v_producto.id, (f->>'stock')::NUMERIC - v_stock_sucursal, 'ajuste', p_user_id, 'importacion', NULL, p_motivo,
+        v_sucursal
+      );
+      v_ajustes_stock := v_ajustes_stock + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'creados', v_creados,
+    'actualizados', v_actualizados,
+    'categorias_creadas', v_categorias_creadas,
+    'ajustes_stock', v_ajustes_stock
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Alertas de reposición por sucursal: con p_sucursal_id se compara el stock y la venta
+-- de esa sucursal contra el mínimo del producto; sin ella, el consolidado.
+DROP FUNCTION IF EXISTS obtener_alertas_stock(INTEGER, NUMERIC);
+
+CREATE OR REPLACE FUNCTION obtener_alertas_stock(
+  p_dias INTEGER DEFAULT 30,
+  p_dias_cobertura NUMERIC DEFAULT NULL,
+  p_sucursal_id INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  producto_id INTEGER,
+  sku TEXT,
+  nombre TEXT,
+  categoria_id INTEGER,
+  categoria_nombre TEXT,
+  stock NUMERIC,
+  stock_minimo NUMERIC,
+  cantidad_reposicion NUMERIC,
+  cantidad_sugerida NUMERIC,
+  venta_diaria_promedio NUMERIC,
+  dias_restantes NUMERIC,
+  bajo_minimo BOOLEAN
+) AS $$
+  WITH ventas_periodo AS (
+    SELECT vd.producto_id, SUM(vd.cantidad - COALESCE(vd.cantidad_devuelta, 0)) AS unidades
+    FROM venta_detalles vd
+    JOIN ventas v ON vd.venta_id = v.id
+    WHERE COALESCE(v.estado, 'completada') <> 'anulada'
+      AND v.fecha >= NOW() - make_interval(days => p_dias)
+      AND (p_sucursal_id IS NULL OR v.sucursal_id = p_sucursal_id)
+    GROUP BY vd.producto_id
+  ),
+  existencias AS (
+    SELECT p.id, CASE WHEN p_sucursal_id IS NULL THEN p.stock ELSE COALESCE(ss.stock, 0) END::NUMERIC AS stock
+    FROM productos p
+    LEFT JOIN stock_sucursales ss ON ss.producto_id = p.id AND ss.sucursal_id = p_sucursal_id
+  ),
+  productos_estimados AS (
+    SELECT
+      p.id::INTEGER AS producto_id,
+      p.sku::TEXT AS sku,
+      p.name::TEXT AS nombre,
+      p.categoria_id::INTEGER AS categoria_id,
+      c.nombre::TEXT AS categoria_nombre,
+      e.stock,
+      p.stock_minimo,
+      p.cantidad_reposicion,
+      GREATEST(p.cantidad_reposicion, p.stock_minimo - e.stock, 0) AS cantidad_sugerida,
+      ROUND(COALESCE(vp.unidades, 0) / p_dias, 2) AS venta_diaria_promedio,
+      CASE WHEN COALESCE(vp.unidades, 0) > 0
+        THEN ROUND(GREATEST(e.stock, 0) / (vp.unidades / p_dias), 1)
+      END AS dias_restantes,
+      (p.stock_minimo > 0 AND e.stock <= p.stock_minimo) AS bajo_minimo
+    FROM productos p
+    JOIN existencias e ON e.id = p.id
+    LEFT JOIN categorias c ON p.categoria_id = c.id
+    LEFT JOIN ventas_periodo vp ON vp.producto_id = p.id
+    WHERE NOT p.archivado
+  )
+  SELECT * FROM productos_estimados
+  WHERE bajo_minimo
+     OR (p_dias_cobertura IS NOT NULL AND dias_restantes <= p_dias_cobertura)
+  ORDER BY dias_restantes NULLS LAST, nombre;
+$$ LANGUAGE sql STABLE;
+
+-- Transferencias entre sucursales: al despachar sale el stock del origen y queda en
+-- tránsito; al recibir entra en el destino lo efectivamente recibido.
+CREATE TABLE IF NOT EXISTS transferencias (
+  id SERIAL PRIMARY KEY,
+  origen_id INTEGER NOT NULL REFERENCES sucursales(id),
+  destino_id INTEGER NOT NULL REFERENCES sucursales(id),
+  estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+    CHECK (estado IN ('pendiente', 'en_transito', 'recibida', 'cancelada')),
+  observacion TEXT,
+  user_id INTEGER NOT NULL REFERENCES usuarios(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  despachada_en TIMESTAMPTZ,
+  despachada_por INTEGER REFERENCES usuarios(id),
+  recibida_en TIMESTAMPTZ,
+  recibida_por INTEGER REFERENCES usuarios(id),
+  cancelada_en TIMESTAMPTZ,
+  cancelada_por INTEGER REFERENCES usuarios(id),
+  CHECK (origen_id <> destino_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transferencias_estado ON transferencias(estado);
+CREATE INDEX IF NOT EXISTS idx_transferencias_origen ON transferencias(origen_id);
+CREATE INDEX IF NOT EXISTS idx_transferencias_destino ON transferencias(destino_id);
+
+CREATE TABLE IF NOT EXISTS transferencia_detalles (
+  id SERIAL PRIMARY KEY,
+  transferencia_id INTEGER NOT NULL REFERENCES transferencias(id) ON DELETE CASCADE,
+  producto_id INTEGER NOT NULL REFERENCES productos(id),
+  cantidad NUMERIC(12,3) NOT NULL CHECK (cantidad > 0),
+  cantidad_recibida NUMERIC(12,3),
+  UNIQUE (transferencia_id, producto_id)
+);
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FORMATO_BALANZA_POR_DEFECTO,
+  calcularEtiquetaBalanza,
+  decodificarCodigoBalanza,
+  esUnidadFraccionable,
+  validarFormatoBalanza,
+} from "../utils/balanza.js";
+
+test("decodificarCodigoBalanza lee PLU y peso con el formato por defecto", () => {
+  assert.deepEqual(decodificarCodigoBalanza("2001234015004"), { plu: 1234, tipo: "peso", valor: 1.5 });
+  assert.deepEqual(decodificarCodigoBalanza(" 2001234015004 "), { plu: 1234, tipo: "peso", valor: 1.5 });
+});
+
+test("decodificarCodigoBalanza rechaza dígito verificador, prefijo o largo incorrectos", () => {
+  assert.equal(decodificarCodigoBalanza("2001234015005"), null);
+  assert.equal(decodificarCodigoBalanza("7801234015004"), null);
+  assert.equal(decodificarCodigoBalanza("200123401500"), null);
+  assert.equal(decodificarCodigoBalanza(null), null);
+});
+
+test("decodificarCodigoBalanza descarta etiquetas con peso cero", () => {
+  assert.equal(decodificarCodigoBalanza("2001234000000"), null);
+});
+
+test("decodificarCodigoBalanza usa un formato de precio configurado", () => {
+  const { formato } = validarFormatoBalanza({ prefijo: "21", tipo_valor: "precio", decimales_valor: 0 });
+  assert.deepEqual(decodificarCodigoBalanza("2100001012342", formato), { plu: 1, tipo: "precio", valor: 1234 });
+  assert.equal(decodificarCodigoBalanza("2001234015004", formato), null);
+});
+
+test("validarFormatoBalanza completa los valores por defecto", () => {
+  assert.deepEqual(validarFormatoBalanza(), { formato: FORMATO_BALANZA_POR_DEFECTO });
+  assert.equal(validarFormatoBalanza({ prefijo: 2 }).formato.prefijo, "2");
+});
+
+test("validarFormatoBalanza rechaza prefijos, tipos y posiciones inválidas", () => {
+  assert.ok(validarFormatoBalanza({ prefijo: "3" }).error);
+  assert.ok(validarFormatoBalanza({ prefijo: "200" }).error);
+  assert.ok(validarFormatoBalanza({ tipo_valor: "unidades" }).error);
+  assert.ok(validarFormatoBalanza({ largo_plu: 1.5 }).error);
+  assert.ok(validarFormatoBalanza({ decimales_valor: 6 }).error);
+  assert.ok(validarFormatoBalanza({ inicio_valor: 5 }).error, "el valor se solapa con el PLU");
+  assert.ok(validarFormatoBalanza({ inicio_plu: 0 }).error, "el PLU pisa el prefijo");
+  assert.ok(validarFormatoBalanza({ largo_valor: 6 }).error, "el valor pisa el dígito verificador");
+});
+
+test("calcularEtiquetaBalanza calcula el total de una etiqueta de peso", () => {
+  assert.deepEqual(calcularEtiquetaBalanza({ tipo: "peso", valor: 1.5 }, 2990), { cantidad: 1.5, total: 4485 });
+  assert.deepEqual(calcularEtiquetaBalanza({ tipo: "peso", valor: 0.333 }, 1000.5), { cantidad: 0.333, total: 333.17 });
+});
+
+test("calcularEtiquetaBalanza deduce la cantidad de una etiqueta de precio", () => {
+  assert.deepEqual(calcularEtiquetaBalanza({ tipo: "precio", valor: 1000 }, 3000), { cantidad: 0.333, total: 1000 });
+  assert.deepEqual(calcularEtiquetaBalanza({ tipo: "precio", valor: 1000 }, 0), { cantidad: 0, total: 1000 });
+});
+
+test("esUnidadFraccionable reconoce unidades de peso, volumen y largo", () => {
+  assert.equal(esUnidadFraccionable("KG"), true);
+  assert.equal(esUnidadFraccionable(" litros "), true);
+  assert.equal(esUnidadFraccionable("unidad"), false);
+  assert.equal(esUnidadFraccionable(null), false);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generarArchivoCatalogo, leerArchivoCatalogo, leerNumero, validarFilaCatalogo } from "../utils/catalogo.js";
+
+test("leerNumero acepta miles con punto y decimales con coma", () => {
+  assert.equal(leerNumero(1990), 1990);
+  assert.equal(leerNumero("1990"), 1990);
+  assert.equal(leerNumero("1.990"), 1990);
+  assert.equal(leerNumero("$1.234.567,89"), 1234567.89);
+  assert.equal(leerNumero("1990,5"), 1990.5);
+  assert.equal(leerNumero(" 2.5 "), 2.5);
+  assert.equal(leerNumero("-3"), -3);
+});
+
+test("leerNumero devuelve NaN para textos que no son números", () => {
+  assert.ok(Number.isNaN(leerNumero("abc")));
+  assert.ok(Number.isNaN(leerNumero("1.2.3")));
+  assert.ok(Number.isNaN(leerNumero("")));
+});
+
+test("validarFilaCatalogo exige nombre y precio solo para productos nuevos", () => {
+  assert.deepEqual(validarFilaCatalogo({ sku: "A1" }, false).errores, [
+    "El nombre es requerido para un producto nuevo",
+    "El precio es requerido para un producto nuevo",
+  ]);
+  assert.deepEqual(validarFilaCatalogo({ sku: " A1 ", price: "1.990" }, true), { producto: { sku: "A1", price: 1990 } });
+  assert.deepEqual(validarFilaCatalogo({ price: 100 }, true).errores, ["El SKU es requerido"]);
+});
+
+test("validarFilaCatalogo rechaza números negativos y valores de exento desconocidos", () => {
+  const { errores } = validarFilaCatalogo({ sku: "A1", stock: "-1", price: "gratis", exento: "quizás" }, true);
+  assert.deepEqual(errores, [
+    "El valor de 'price' debe ser un número mayor o igual a cero",
+    "El valor de 'stock' debe ser un número mayor o igual a cero",
+    "El valor de 'exento' debe ser sí o no",
+  ]);
+  assert.equal(validarFilaCatalogo({ sku: "A1", exento: "Sí" }, true).producto.exento, true);
+  assert.equal(validarFilaCatalogo({ sku: "A1", exento: "NO" }, true).producto.exento, false);
+});
+
+test("el CSV exportado se vuelve a importar con los mismos datos", () => {
+  const productos = [
+    { sku: "780001", name: "Arroz grado 1, 1 kg", description: "", price: 1990, purchase_price: 1200.5, stock: 12,
+      stock_unit: "Unidad", categoria_nombre: "Almacén", exento: false, stock_minimo: 3, cantidad_reposicion: 24 },
+    { sku: "PAN", name: "Pan batido", description: "Del día", price: 2400, purchase_price: 1500, stock: 4.5,
+      stock_unit: "kg", categoria_nombre: null, exento: true, stock_minimo: 0, cantidad_reposicion: 0 },
+  ];
+
+  const { filas, error } = leerArchivoCatalogo(generarArchivoCatalogo(productos, "csv"), "catalogo.csv");
+  assert.equal(error, undefined);
+  assert.deepEqual(filas.map(f => f.numero), [2, 3]);
+
+  const leidos = filas.map(f => validarFilaCatalogo(f.datos, false).producto);
+  assert.deepEqual(leidos[0], {
+    sku: "780001", name: "Arroz grado 1, 1 kg", stock_unit: "Unidad", categoria_nombre: "Almacén",
+    price: 1990, purchase_price: 1200.5, stock: 12, stock_minimo: 3, cantidad_reposicion: 24, exento: false,
+  });
+  assert.deepEqual(leidos[1], {
+    sku: "PAN", name: "Pan batido", description: "Del día", stock_unit: "kg",
+    price: 2400, purchase_price: 1500, stock: 4.5, stock_minimo: 0, cantidad_reposicion: 0, exento: true,
+  });
+});
+
+test("leerArchivoCatalogo exige la columna sku", () => {
+  const archivo = Buffer.from("nombre,precio\nArroz,1990\n", "utf8");
+  assert.deepEqual(leerArchivoCatalogo(archivo, "catalogo.csv"), { error: "El archivo debe tener una columna 'sku'" });
+});
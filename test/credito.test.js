@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { agruparPorAntiguedad, diasDesde } from "../utils/credito.js";
+
+const hoy = new Date("2026-10-18T12:00:00Z");
+const haceDias = (dias) => new Date(hoy.getTime() - dias * 24 * 60 * 60 * 1000).toISOString();
+
+test("diasDesde cuenta días completos y nunca es negativo", () => {
+  assert.equal(diasDesde(haceDias(10), hoy), 10);
+  assert.equal(diasDesde(hoy, hoy), 0);
+  assert.equal(diasDesde("2026-12-01T00:00:00Z", hoy), 0);
+});
+
+test("agruparPorAntiguedad reparte la deuda en los tramos por sus límites", () => {
+  const { tramos } = agruparPorAntiguedad([
+    { fecha: haceDias(30), deuda: 100 },
+    { fecha: haceDias(31), deuda: 200 },
+    { fecha: haceDias(60), deuda: 50 },
+    { fecha: haceDias(90), deuda: 300 },
+    { fecha: haceDias(91), deuda: 400 },
+  ], 30, hoy);
+
+  assert.deepEqual(tramos, { "0-30": 100, "31-60": 250, "61-90": 300, "90+": 400 });
+});
+
+test("agruparPorAntiguedad solo considera vencido lo que supera el plazo del cliente", () => {
+  const ventas = [
+    { fecha: haceDias(15), deuda: 100 },
+    { fecha: haceDias(45), deuda: 200 },
+  ];
+  assert.equal(agruparPorAntiguedad(ventas, 30, hoy).vencido, 200);
+  assert.equal(agruparPorAntiguedad(ventas, 60, hoy).vencido, 0);
+  assert.equal(agruparPorAntiguedad(ventas, 10, hoy).vencido, 300);
+});
+
+test("agruparPorAntiguedad ignora ventas sin deuda y redondea a dos decimales", () => {
+  const resultado = agruparPorAntiguedad([
+    { fecha: haceDias(5), deuda: "0.1" },
+    { fecha: haceDias(6), deuda: "0.2" },
+    { fecha: haceDias(120), deuda: 0 },
+    { fecha: haceDias(200), deuda: -50 },
+  ], 30, hoy);
+
+  assert.equal(resultado.tramos["0-30"], 0.3);
+  assert.equal(resultado.tramos["90+"], 0);
+  assert.equal(resultado.vencido, 0);
+  assert.equal(resultado.dias_deuda_mas_antigua, 6);
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { costoPromedioPonderado } from "../utils/kardex.js";
+
+test("costoPromedioPonderado pondera el costo anterior con el de la compra", () => {
+  assert.equal(costoPromedioPonderado(10, 100, 10, 200), 150);
+  assert.equal(costoPromedioPonderado("30", "1000", 10, 1400), 1100);
+});
+
+test("costoPromedioPonderado toma el costo de la compra si no hay stock", () => {
+  assert.equal(costoPromedioPonderado(0, 500, 5, 800), 800);
+  assert.equal(costoPromedioPonderado(-3, 500, 5, 800), 800);
+  assert.equal(costoPromedioPonderado(null, null, 5, 800), 800);
+});
+
+test("costoPromedioPonderado trata un costo anterior vacío como cero y redondea", () => {
+  assert.equal(costoPromedioPonderado(10, null, 10, 100), 50);
+  assert.equal(costoPromedioPonderado(3, 10, 3, 10.015), 10.01);
+  assert.equal(costoPromedioPonderado(1, 1, 2, 1), 1);
+  assert.equal(costoPromedioPonderado(2, 1, 1, 2), 1.33);
+});
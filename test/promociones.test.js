@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calcularDescuentoPromocion, mejorPromocion, validarPromocion } from "../utils/promociones.js";
+
+test("porcentaje descuenta sobre el total de la línea", () => {
+  const promocion = { tipo: "porcentaje", porcentaje: "15" };
+  assert.equal(calcularDescuentoPromocion(promocion, { cantidad: 2, precio_lista: 1000 }), 300);
+});
+
+test("lleva_paga solo descuenta los grupos completos", () => {
+  const promocion = { tipo: "lleva_paga", lleva: 3, paga: 2 };
+  assert.equal(calcularDescuentoPromocion(promocion, { cantidad: 2, precio_lista: 500 }), 0);
+  assert.equal(calcularDescuentoPromocion(promocion, { cantidad: 3, precio_lista: 500 }), 500);
+  assert.equal(calcularDescuentoPromocion(promocion, { cantidad: 7, precio_lista: 500 }), 1000);
+});
+
+test("precio_cantidad aplica desde la cantidad mínima", () => {
+  const promocion = { tipo: "precio_cantidad", cantidad_minima: "6", precio: "800" };
+  assert.equal(calcularDescuentoPromocion(promocion, { cantidad: 5, precio_lista: 1000 }), 0);
+  assert.equal(calcularDescuentoPromocion(promocion, { cantidad: 6, precio_lista: 1000 }), 1200);
+});
+
+test("el descuento nunca es negativo ni supera el total de la línea", () => {
+  const oferta = { tipo: "precio_oferta", precio: "1200" };
+  assert.equal(calcularDescuentoPromocion(oferta, { cantidad: 2, precio_lista: 1000 }), 0);
+  const porcentaje = { tipo: "porcentaje", porcentaje: "150" };
+  assert.equal(calcularDescuentoPromocion(porcentaje, { cantidad: 2, precio_lista: 1000 }), 2000);
+});
+
+test("mejorPromocion elige la de mayor descuento entre las que aplican", () => {
+  const promociones = [
+    { id: 1, nombre: "10% bebidas", tipo: "porcentaje", porcentaje: 10, categoria_id: 4 },
+    { id: 2, nombre: "Oferta cola", tipo: "precio_oferta", precio: 700, producto_id: 9 },
+    { id: 3, nombre: "Otro producto", tipo: "porcentaje", porcentaje: 90, producto_id: 10 },
+  ];
+  const mejor = mejorPromocion(promociones, { producto_id: 9, categoria_id: 4, cantidad: 2, precio_lista: 1000 });
+  assert.deepEqual(mejor, { promocion_id: 2, nombre: "Oferta cola", descuento: 600 });
+});
+
+test("mejorPromocion devuelve null si ninguna aplica", () => {
+  const promociones = [{ id: 1, nombre: "Categoría", tipo: "porcentaje", porcentaje: 10, categoria_id: 4 }];
+  assert.equal(mejorPromocion(promociones, { producto_id: 9, categoria_id: null, cantidad: 1, precio_lista: 1000 }), null);
+  assert.equal(mejorPromocion(promociones, { producto_id: 9, categoria_id: 5, cantidad: 1, precio_lista: 1000 }), null);
+});
+
+test("validarPromocion rechaza reglas incompletas y normaliza las válidas", () => {
+  assert.ok(validarPromocion({ nombre: "X", tipo: "lleva_paga", producto_id: 1, lleva: 2, paga: 2 }).error);
+  assert.ok(validarPromocion({ nombre: "X", tipo: "porcentaje", porcentaje: 10 }).error);
+
+  const { promocion } = validarPromocion({ nombre: " 3x2 ", tipo: "lleva_paga", producto_id: 1, lleva: "3", paga: "2" });
+  assert.equal(promocion.nombre, "3x2");
+  assert.equal(promocion.lleva, 3);
+  assert.equal(promocion.paga, 2);
+  assert.equal(promocion.porcentaje, null);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calcularDv, normalizarRut, validarRut } from "../utils/rut.js";
+
+test("normalizarRut quita puntos y espacios y deja el DV en mayúscula", () => {
+  assert.equal(normalizarRut("12.345.678-5"), "12345678-5");
+  assert.equal(normalizarRut(" 10.000.013-k "), "10000013-K");
+  assert.equal(normalizarRut("123456785"), "12345678-5");
+  assert.equal(normalizarRut(""), null);
+  assert.equal(normalizarRut("1"), null);
+});
+
+test("calcularDv cubre los restos 11 (0) y 10 (K)", () => {
+  assert.equal(calcularDv("12345678"), "5");
+  assert.equal(calcularDv("10000004"), "0");
+  assert.equal(calcularDv("10000013"), "K");
+});
+
+test("validarRut acepta RUT con y sin formato", () => {
+  assert.equal(validarRut("12.345.678-5"), true);
+  assert.equal(validarRut("7654321-6"), true);
+  assert.equal(validarRut("10000013-k"), true);
+  assert.equal(validarRut("10.000.004-0"), true);
+});
+
+test("validarRut rechaza DV incorrectos y cuerpos inválidos", () => {
+  assert.equal(validarRut("12.345.678-6"), false);
+  assert.equal(validarRut("123456-0"), false);
+  assert.equal(validarRut("1234567A-5"), false);
+  assert.equal(validarRut(null), false);
+});
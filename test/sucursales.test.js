@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolverFiltroSucursal, resolverSucursalOperacion } from "../utils/sucursales.js";
+
+const admin = { id: 1, rol: "admin" };
+const vendedor = { id: 2, rol: "vendedor" };
+
+test("resolverFiltroSucursal deja al admin ver el consolidado o cualquier sucursal", () => {
+  assert.deepEqual(resolverFiltroSucursal(admin, [], undefined), { sucursales: null });
+  assert.deepEqual(resolverFiltroSucursal(admin, [], "7"), { sucursales: [7] });
+});
+
+test("resolverFiltroSucursal limita a los demás a sus sucursales asignadas", () => {
+  assert.deepEqual(resolverFiltroSucursal(vendedor, [3, 4], ""), { sucursales: [3, 4] });
+  assert.deepEqual(resolverFiltroSucursal(vendedor, [3, 4], 4), { sucursales: [4] });
+  assert.equal(resolverFiltroSucursal(vendedor, [3, 4], 5).status, 403);
+  assert.equal(resolverFiltroSucursal(vendedor, [3], "abc").status, 400);
+  assert.equal(resolverFiltroSucursal(admin, [], "0").status, 400);
+});
+
+test("resolverSucursalOperacion usa la sucursal indicada si el usuario tiene acceso", () => {
+  assert.deepEqual(resolverSucursalOperacion(vendedor, [3, 4], "4"), { sucursal_id: 4 });
+  assert.deepEqual(resolverSucursalOperacion(admin, [], 9), { sucursal_id: 9 });
+  assert.equal(resolverSucursalOperacion(vendedor, [3, 4], 5).status, 403);
+  assert.equal(resolverSucursalOperacion(vendedor, [3], "1.5").status, 400);
+});
+
+test("resolverSucursalOperacion sin sucursal elige la única asignada o la por defecto del admin", () => {
+  assert.deepEqual(resolverSucursalOperacion(vendedor, [3], null), { sucursal_id: 3 });
+  assert.deepEqual(resolverSucursalOperacion(admin, [], null), { sucursal_id: null });
+  assert.equal(resolverSucursalOperacion(admin, [3, 4], null).status, 400);
+  assert.equal(resolverSucursalOperacion(vendedor, [3, 4], null).status, 400);
+  assert.equal(resolverSucursalOperacion(vendedor, [], null).status, 403);
+});
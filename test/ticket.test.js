@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { construirLineasTicket } from "../utils/ticket.js";
+
+const venta = {
+  id: 15,
+  fecha: "2026-10-18T15:30:00Z",
+  subtotal: 10000,
+  descuento: 0,
+  total: 10000,
+  metodo_pago: "efectivo",
+  recibido: 10000,
+};
+
+const detalles = [
+  { producto_nombre: "Detergente líquido concentrado aroma lavanda 3 litros", sku: "780123", cantidad: 2, precio: 3500 },
+  { producto_nombre: "Pan", cantidad: 1.25, precio: 2400 },
+];
+
+const buscar = (lineas, izquierda) => lineas.find(l => l.izquierda === izquierda);
+
+test("construirLineasTicket no pasa del ancho del papel", () => {
+  for (const columnas of [32, 48]) {
+    const lineas = construirLineasTicket({ tienda: { direccion: "Avenida Libertador Bernardo O'Higgins 1234, Santiago Centro" }, venta, detalles }, columnas);
+    for (const linea of lineas) {
+      assert.ok(linea.texto.length <= columnas, `"${linea.texto}" supera ${columnas} columnas`);
+    }
+    for (const linea of lineas.filter(l => l.derecha != null)) {
+      assert.equal(linea.texto.length, columnas);
+      assert.ok(linea.texto.endsWith(linea.derecha));
+    }
+  }
+});
+
+test("construirLineasTicket muestra cantidad por precio y el total de cada línea", () => {
+  const lineas = construirLineasTicket({ venta, detalles }, 32);
+  assert.equal(buscar(lineas, "2 x $3.500 780123").derecha, "$7.000");
+  assert.equal(buscar(lineas, "1.25 x $2.400").derecha, "$3.000");
+});
+
+test("construirLineasTicket muestra el descuento de la venta bajo el subtotal", () => {
+  const conDescuento = { ...venta, descuento: 2000, total: 8000, recibido: 8000 };
+  const lineas = construirLineasTicket({ venta: conDescuento, detalles: [{ producto_nombre: "Caja", cantidad: 1, precio: 10000 }] }, 32);
+  assert.equal(buscar(lineas, "Subtotal").derecha, "$10.000");
+  assert.equal(buscar(lineas, "Descuento").derecha, "-$2.000");
+  assert.equal(buscar(lineas, "TOTAL").derecha, "$8.000");
+
+  const sinDescuento = construirLineasTicket({ venta, detalles }, 32);
+  assert.equal(buscar(sinDescuento, "Descuento"), undefined);
+});
+
+test("construirLineasTicket destaca la deuda pendiente", () => {
+  const fiado = { ...venta, recibido: 7000, deuda: 3000 };
+  const deuda = buscar(construirLineasTicket({ venta: fiado, detalles }, 32), "Deuda pendiente");
+  assert.equal(deuda.derecha, "$3.000");
+  assert.equal(deuda.negrita, true);
+
+  assert.equal(buscar(construirLineasTicket({ venta, detalles }, 32), "Deuda pendiente"), undefined);
+});
+
+test("construirLineasTicket cuadra las líneas con promoción, el subtotal y el descuento general", () => {
+  // Lista 4 x $1.000 con 2x1 → línea a $500; descuento general de $500
+  const conPromocion = { ...venta, subtotal: 4000, descuento: 2500, total: 1500, recibido: 1500 };
+  const lineas = construirLineasTicket({
+    venta: conPromocion,
+    detalles: [{ producto_nombre: "Bebida", cantidad: 4, precio: 500, precio_lista: 1000, descuento_promocion: 2000 }],
+  }, 32);
+
+  assert.equal(buscar(lineas, "4 x $500").derecha, "$2.000");
+  assert.equal(buscar(lineas, "  Ahorro promoción").derecha, "$2.000");
+  assert.equal(buscar(lineas, "Subtotal").derecha, "$2.000");
+  assert.equal(buscar(lineas, "Descuento").derecha, "-$500");
+  assert.equal(buscar(lineas, "TOTAL").derecha, "$1.500");
+});
+
+test("construirLineasTicket no muestra descuento si solo hubo promociones", () => {
+  const soloPromocion = { ...venta, subtotal: 4000, descuento: 2000, total: 2000, recibido: 2000 };
+  const lineas = construirLineasTicket({
+    venta: soloPromocion,
+    detalles: [{ producto_nombre: "Bebida", cantidad: 4, precio: 500, precio_lista: 1000, descuento_promocion: 2000 }],
+  }, 32);
+
+  assert.equal(buscar(lineas, "Subtotal"), undefined);
+  assert.equal(buscar(lineas, "Descuento"), undefined);
+  assert.equal(buscar(lineas, "TOTAL").derecha, "$2.000");
+});
+
+test("construirLineasTicket corta el nombre de la tienda a la mitad del ancho", () => {
+  const tienda = { nombre: "Minimarket Don Ramón y Familia" };
+  const dobles = construirLineasTicket({ tienda, venta, detalles }, 32).filter(l => l.doble);
+  assert.deepEqual(dobles.map(l => l.texto), ["Minimarket Don", "Ramón y Familia"]);
+  for (const linea of dobles) assert.ok(linea.texto.length <= 16);
+});
@@ -0,0 +1,91 @@
+// utils/balanza.js
+// Códigos EAN-13 que imprimen las balanzas (prefijo 2): llevan el PLU del producto
+// y el peso o el precio de lo pesado. El formato se configura por tienda.
+
+// Formato más común: 2 + 1 dígito libre, PLU de 5 dígitos, peso en gramos de 5
+// dígitos y dígito verificador (2 PPPPP WWWWW C)
+export const FORMATO_BALANZA_POR_DEFECTO = {
+  prefijo: "2",
+  inicio_plu: 2,
+  largo_plu: 5,
+  inicio_valor: 7,
+  largo_valor: 5,
+  tipo_valor: "peso", // "peso" o "precio"
+  decimales_valor: 3, // Peso en gramos → kilos; para precio suele ser 0
+};
+
+const TIPOS_VALOR = ["peso", "precio"];
+
+// Unidades que se pueden vender en fracciones; el resto exige cantidades enteras
+const UNIDADES_FRACCIONABLES = ["kg", "kilo", "kilos", "kilogramo", "kilogramos", "gramo", "gramos", "g", "gr",
+  "litro", "litros", "lt", "l", "metro", "metros", "m"];
+
+export const DECIMALES_CANTIDAD = 3;
+
+export const redondearCantidad = (cantidad) => Math.round(cantidad * 1000) / 1000;
+
+export const esUnidadFraccionable = (unidad) =>
+  UNIDADES_FRACCIONABLES.includes(String(unidad || "").trim().toLowerCase());
+
+const digitoVerificadorEan13 = (primeros12) => {
+  const suma = [...primeros12].reduce((total, digito, i) => total + Number(digito) * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (suma % 10)) % 10;
+};
+
+// Valida un formato recibido desde la configuración. Devuelve { formato } con los
+// valores por defecto completados o { error }.
+export const validarFormatoBalanza = (formato = {}) => {
+  const completo = { ...FORMATO_BALANZA_POR_DEFECTO, ...formato };
+  const { prefijo, inicio_plu, largo_plu, inicio_valor, largo_valor, tipo_valor, decimales_valor } = completo;
+
+  if (!/^\d{1,2}$/.test(String(prefijo)) || !String(prefijo).startsWith("2")) {
+    return { error: "El prefijo de la balanza debe empezar con 2 y tener uno o dos dígitos" };
+  }
+  if (!TIPOS_VALOR.includes(tipo_valor)) {
+    return { error: "El tipo de valor debe ser 'peso' o 'precio'" };
+  }
+  const enteros = [inicio_plu, largo_plu, inicio_valor, largo_valor, decimales_valor];
+  if (enteros.some(n => !Number.isInteger(n) || n < 0)) {
+    return { error: "Las posiciones y largos del formato deben ser enteros no negativos" };
+  }
+  if (largo_plu < 1 || largo_valor < 1 || decimales_valor > largo_valor) {
+    return { error: "El PLU y el valor deben tener al menos un dígito" };
+  }
+  // El dígito 13 es el verificador; PLU y valor no pueden pisarse ni pisar el prefijo
+  const finPlu = inicio_plu + largo_plu;
+  const finValor = inicio_valor + largo_valor;
+  const seSolapan = inicio_plu < finValor && inicio_valor < finPlu;
+  if (inicio_plu < String(prefijo).length || inicio_valor < String(prefijo).length
+    || finPlu > 12 || finValor > 12 || seSolapan) {
+    return { error: "Las posiciones del PLU y del valor no caben en un EAN-13" };
+  }
+  return { formato: { ...completo, prefijo: String(prefijo) } };
+};
+
+// Decodifica un código de balanza. Devuelve { plu, tipo, valor } (valor en kilos o
+// en pesos según el formato) o null si el código no es de balanza o su dígito
+// verificador no cuadra.
+export const decodificarCodigoBalanza = (codigo, formato = FORMATO_BALANZA_POR_DEFECTO) => {
+  const texto = String(codigo || "").trim();
+  if (!/^\d{13}$/.test(texto) || !texto.startsWith(formato.prefijo)) return null;
+  if (digitoVerificadorEan13(texto.slice(0, 12)) !== Number(texto[12])) return null;
+
+  const plu = parseInt(texto.substr(formato.inicio_plu, formato.largo_plu), 10);
+  const valor = parseInt(texto.substr(formato.inicio_valor, formato.largo_valor), 10) / 10 ** formato.decimales_valor;
+  if (!plu || !valor) return null;
+
+  return { plu, tipo: formato.tipo_valor, valor };
+};
+
+// Cantidad y total de una etiqueta de balanza al precio por unidad del producto.
+// Con etiqueta de precio manda el monto impreso y la cantidad se deduce de él.
+export const calcularEtiquetaBalanza = (etiqueta, precioUnitario) => {
+  if (etiqueta.tipo === "precio") {
+    return {
+      cantidad: precioUnitario > 0 ? redondearCantidad(etiqueta.valor / precioUnitario) : 0,
+      total: etiqueta.valor,
+    };
+  }
+  const cantidad = redondearCantidad(etiqueta.valor);
+  return { cantidad, total: Math.round(cantidad * precioUnitario * 100) / 100 };
+};
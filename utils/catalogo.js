@@ -0,0 +1,169 @@
+// utils/catalogo.js
+// Lectura, validación y generación de archivos CSV/XLSX del catálogo de productos.
+// La exportación usa los mismos encabezados que acepta la importación.
+import XLSX from "xlsx";
+
+// Columna del archivo → campo de `productos`. Se aceptan encabezados en español o
+// con el nombre de la columna en la base de datos.
+const ALIAS_COLUMNAS = {
+  sku: ["sku", "codigo"],
+  name: ["nombre", "name"],
+  description: ["descripcion", "description"],
+  price: ["precio", "price"],
+  purchase_price: ["costo", "precio_compra", "purchase_price"],
+  stock: ["stock"],
+  stock_unit: ["unidad", "stock_unit"],
+  categoria_nombre: ["categoria", "categoria_nombre", "category"],
+  exento: ["exento"],
+  stock_minimo: ["stock_minimo"],
+  cantidad_reposicion: ["cantidad_reposicion"],
+};
+
+export const COLUMNAS_EXPORTACION = [
+  ["sku", "sku"],
+  ["nombre", "name"],
+  ["descripcion", "description"],
+  ["precio", "price"],
+  ["costo", "purchase_price"],
+  ["stock", "stock"],
+  ["unidad", "stock_unit"],
+  ["categoria", "categoria_nombre"],
+  ["exento", "exento"],
+  ["stock_minimo", "stock_minimo"],
+  ["cantidad_reposicion", "cantidad_reposicion"],
+];
+
+const CAMPOS_NUMERICOS = ["price", "purchase_price", "stock", "stock_minimo", "cantidad_reposicion"];
+
+const normalizarEncabezado = (texto) => String(texto || "")
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, "_");
+
+const campoDeEncabezado = (encabezado) => {
+  const normalizado = normalizarEncabezado(encabezado);
+  return Object.keys(ALIAS_COLUMNAS).find(campo => ALIAS_COLUMNAS[campo].includes(normalizado)) || null;
+};
+
+// Acepta 1990, "1990", "1.990" (miles con punto) y "1990,5" (decimal con coma)
+export const leerNumero = (valor) => {
+  if (typeof valor === "number") return valor;
+  let texto = String(valor).trim().replace(/\$/g, "");
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(texto)) {
+    texto = texto.replace(/\./g, "").replace(",", ".");
+  } else {
+    texto = texto.replace(",", ".");
+  }
+  return /^-?\d+(\.\d+)?$/.test(texto) ? parseFloat(texto) : NaN;
+};
+
+const leerBooleano = (valor) => {
+  if (typeof valor === "boolean") return valor;
+  const texto = normalizarEncabezado(valor);
+  if (["si", "s", "true", "1", "x"].includes(texto)) return true;
+  if (["no", "n", "false", "0"].includes(texto)) return false;
+  return null;
+};
+
+const vacio = (valor) => valor == null || String(valor).trim() === "";
+
+// Lee la primera hoja de un CSV o XLSX. Devuelve { filas } con cada fila como
+// { numero, datos } (numero = fila del archivo, contando el encabezado) o { error }.
+export const leerArchivoCatalogo = (buffer, nombreArchivo = "") => {
+  let libro;
+  try {
+    libro = /\.csv$/i.test(nombreArchivo)
+      ? XLSX.read(buffer.toString("utf8").replace(/^\uFEFF/, ""), { type: "string", raw: true })
+      : XLSX.read(buffer, { type: "buffer" });
+  } catch (error) {
+    return { error: "No se pudo leer el archivo. Use CSV o XLSX" };
+  }
+
+  const hoja = libro.Sheets[libro.SheetNames[0]];
+  if (!hoja) {
+    return { error: "El archivo no tiene hojas" };
+  }
+
+  const tabla = XLSX.utils.sheet_to_json(hoja, { header: 1, defval: null, blankrows: false });
+  if (tabla.length < 2) {
+    return { error: "El archivo no tiene filas de productos" };
+  }
+
+  const campos = tabla[0].map(campoDeEncabezado);
+  if (!campos.includes("sku")) {
+    return { error: "El archivo debe tener una columna 'sku'" };
+  }
+
+  const filas = tabla.slice(1).map((celdas, indice) => {
+    const datos = {};
+    campos.forEach((campo, columna) => {
+      if (campo && !vacio(celdas[columna])) datos[campo] = celdas[columna];
+    });
+    return { numero: indice + 2, datos };
+  }).filter(fila => Object.keys(fila.datos).length > 0);
+
+  return { filas };
+};
+
+// Valida una fila y la deja lista para guardar. Solo incluye las columnas con valor,
+// así una actualización no borra lo que el archivo no trae.
+// `existe` indica si el SKU ya está en el catálogo (para un producto nuevo se exige
+// nombre y precio). Devuelve { producto } o { errores }.
+export const validarFilaCatalogo = (datos, existe) => {
+  const errores = [];
+  const producto = { sku: String(datos.sku ?? "").trim() };
+
+  if (!producto.sku) errores.push("El SKU es requerido");
+
+  for (const campo of ["name", "description", "stock_unit", "categoria_nombre"]) {
+    if (datos[campo] != null) producto[campo] = String(datos[campo]).trim();
+  }
+
+  for (const campo of CAMPOS_NUMERICOS) {
+    if (datos[campo] == null) continue;
+    const numero = leerNumero(datos[campo]);
+    if (isNaN(numero) || numero < 0) {
+      errores.push(`El valor de '${campo}' debe ser un número mayor o igual a cero`);
+    } else {
+      producto[campo] = numero;
+    }
+  }
+
+  if (datos.exento != null) {
+    const exento = leerBooleano(datos.exento);
+    if (exento === null) {
+      errores.push("El valor de 'exento' debe ser sí o no");
+    } else {
+      producto.exento = exento;
+    }
+  }
+
+  if (!existe) {
+    if (!producto.name) errores.push("El nombre es requerido para un producto nuevo");
+    if (datos.price == null) errores.push("El precio es requerido para un producto nuevo");
+  }
+
+  return errores.length > 0 ? { errores } : { producto };
+};
+
+// Genera el archivo de exportación. `formato` es "csv" o "xlsx".
+export const generarArchivoCatalogo = (productos, formato = "csv") => {
+  const filas = productos.map(producto => Object.fromEntries(
+    COLUMNAS_EXPORTACION.map(([encabezado, campo]) => {
+      const valor = producto[campo];
+      return [encabezado, campo === "exento" ? (valor ? "si" : "no") : (valor ?? "")];
+    })
+  ));
+
+  const hoja = XLSX.utils.json_to_sheet(filas, { header: COLUMNAS_EXPORTACION.map(([encabezado]) => encabezado) });
+  const libro = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(libro, hoja, "Productos");
+
+  if (formato === "xlsx") {
+    return XLSX.write(libro, { type: "buffer", bookType: "xlsx" });
+  }
+  // BOM para que Excel abra el CSV con acentos correctos
+  return Buffer.from("\uFEFF" + XLSX.utils.sheet_to_csv(hoja), "utf8");
+};
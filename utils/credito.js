@@ -0,0 +1,39 @@
+// utils/credito.js
+// Antigüedad de la deuda de clientes por tramos de días desde la fecha de venta.
+
+export const TRAMOS_ANTIGUEDAD = [
+  { tramo: "0-30", hasta: 30 },
+  { tramo: "31-60", hasta: 60 },
+  { tramo: "61-90", hasta: 90 },
+  { tramo: "90+", hasta: Infinity },
+];
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+export const diasDesde = (fecha, hoy = new Date()) =>
+  Math.max(Math.floor((hoy.getTime() - new Date(fecha).getTime()) / MS_POR_DIA), 0);
+
+// Reparte la deuda de las ventas en los tramos de antigüedad y calcula lo vencido
+// según el plazo de pago del cliente. `ventas` = [{ fecha, deuda }].
+export const agruparPorAntiguedad = (ventas, plazoDias = 30, hoy = new Date()) => {
+  const tramos = Object.fromEntries(TRAMOS_ANTIGUEDAD.map(({ tramo }) => [tramo, 0]));
+  let vencido = 0;
+  let diasMasAntigua = 0;
+
+  for (const venta of ventas) {
+    const deuda = parseFloat(venta.deuda) || 0;
+    if (deuda <= 0) continue;
+
+    const dias = diasDesde(venta.fecha, hoy);
+    const { tramo } = TRAMOS_ANTIGUEDAD.find(t => dias <= t.hasta);
+    tramos[tramo] += deuda;
+    if (dias > plazoDias) vencido += deuda;
+    diasMasAntigua = Math.max(diasMasAntigua, dias);
+  }
+
+  for (const tramo of Object.keys(tramos)) {
+    tramos[tramo] = Math.round(tramos[tramo] * 100) / 100;
+  }
+
+  return { tramos, vencido: Math.round(vencido * 100) / 100, dias_deuda_mas_antigua: diasMasAntigua };
+};
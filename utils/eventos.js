@@ -0,0 +1,8 @@
+// utils/eventos.js
+// Bus de eventos en memoria del proceso. Las ventas publican aquí las alertas de
+// stock y la ruta /stock/alerts/stream las reenvía al frontend por SSE.
+import { EventEmitter } from "events";
+
+export const eventosStock = new EventEmitter();
+// Cada pestaña conectada al stream agrega un listener
+eventosStock.setMaxListeners(0);
@@ -0,0 +1,34 @@
+// utils/kardex.js
+// Todo cambio de stock pasa por la función registrar_movimiento_stock (migración del
+// kardex), que actualiza el stock de la sucursal y el consolidado en productos.stock y
+// deja el movimiento con su saldo resultante.
+
+export const MOTIVOS_MOVIMIENTO = ["venta", "devolucion", "ajuste", "compra", "conteo", "transferencia"];
+
+// Versión para rutas que usan `pg`. `cantidad` es el delta: positivo entra, negativo sale.
+// Sin `sucursal_id` el movimiento va a la sucursal por defecto.
+export const moverStock = async (db, {
+  producto_id,
+  cantidad,
+  motivo,
+  user_id,
+  documento_tipo = null,
+  documento_id = null,
+  observacion = null,
+  sucursal_id = null,
+}) => {
+  const result = await db.query(
+    "SELECT * FROM registrar_movimiento_stock($1, $2, $3, $4, $5, $6, $7, $8)",
+    [producto_id, cantidad, motivo, user_id, documento_tipo, documento_id, observacion, sucursal_id]
+  );
+  return result.rows[0];
+};
+
+// Costo promedio ponderado después de recibir `cantidad` unidades a `costo` cada una.
+// Con stock cero o negativo el costo anterior no pesa y se toma el de la compra.
+export const costoPromedioPonderado = (stockActual, costoActual, cantidad, costo) => {
+  const stock = parseFloat(stockActual) || 0;
+  if (stock <= 0) return Math.round(costo * 100) / 100;
+  const promedio = (stock * (parseFloat(costoActual) || 0) + cantidad * costo) / (stock + cantidad);
+  return Math.round(promedio * 100) / 100;
+};
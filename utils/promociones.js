@@ -0,0 +1,115 @@
+// utils/promociones.js
+// Reglas de promociones compartidas entre el mantenedor (stockRoutes) y las ventas.
+
+export const TIPOS_PROMOCION = ["porcentaje", "lleva_paga", "precio_cantidad", "precio_oferta"];
+
+// Valida y normaliza los datos de una promoción. Devuelve { promocion } o { error }.
+export const validarPromocion = (datos) => {
+  const {
+    nombre,
+    tipo,
+    producto_id = null,
+    categoria_id = null,
+    porcentaje = null,
+    lleva = null,
+    paga = null,
+    cantidad_minima = null,
+    precio = null,
+    fecha_inicio = null,
+    fecha_fin = null,
+    activa = true,
+  } = datos;
+
+  if (!nombre || !nombre.trim()) {
+    return { error: "El nombre de la promoción es requerido" };
+  }
+  if (!TIPOS_PROMOCION.includes(tipo)) {
+    return { error: `Tipo de promoción inválido. Valores permitidos: ${TIPOS_PROMOCION.join(", ")}` };
+  }
+  if (!producto_id && !categoria_id) {
+    return { error: "La promoción debe aplicar a un producto o a una categoría" };
+  }
+  if (producto_id && categoria_id) {
+    return { error: "La promoción no puede aplicar a un producto y a una categoría a la vez" };
+  }
+
+  if (tipo === "porcentaje" && !(porcentaje > 0 && porcentaje <= 100)) {
+    return { error: "El porcentaje debe estar entre 0 y 100" };
+  }
+  if (tipo === "lleva_paga" && !(parseInt(lleva) > parseInt(paga) && parseInt(paga) > 0)) {
+    return { error: "En 'lleva_paga' la cantidad que se lleva debe ser mayor a la que se paga" };
+  }
+  if (tipo === "precio_cantidad" && !(cantidad_minima > 1 && precio >= 0 && precio !== null)) {
+    return { error: "En 'precio_cantidad' se requiere una cantidad mínima mayor a 1 y un precio" };
+  }
+  if (tipo === "precio_oferta" && !(precio >= 0 && precio !== null)) {
+    return { error: "En 'precio_oferta' se requiere el precio de oferta" };
+  }
+  if (fecha_inicio && fecha_fin && new Date(fecha_inicio) > new Date(fecha_fin)) {
+    return { error: "La fecha de inicio no puede ser posterior a la fecha de término" };
+  }
+
+  return {
+    promocion: {
+      nombre: nombre.trim(),
+      tipo,
+      producto_id: producto_id || null,
+      categoria_id: categoria_id || null,
+      porcentaje: tipo === "porcentaje" ? parseFloat(porcentaje) : null,
+      lleva: tipo === "lleva_paga" ? parseInt(lleva) : null,
+      paga: tipo === "lleva_paga" ? parseInt(paga) : null,
+      cantidad_minima: tipo === "precio_cantidad" ? parseFloat(cantidad_minima) : null,
+      precio: ["precio_cantidad", "precio_oferta"].includes(tipo) ? parseFloat(precio) : null,
+      fecha_inicio: fecha_inicio || null,
+      fecha_fin: fecha_fin || null,
+      activa: Boolean(activa),
+    }
+  };
+};
+
+// Descuento (monto total de la línea) que produce una promoción
+export const calcularDescuentoPromocion = (promocion, { cantidad, precio_lista }) => {
+  const bruto = cantidad * precio_lista;
+  let descuento = 0;
+
+  switch (promocion.tipo) {
+    case "porcentaje":
+      descuento = bruto * parseFloat(promocion.porcentaje) / 100;
+      break;
+    case "lleva_paga": {
+      const grupos = Math.floor(cantidad / promocion.lleva);
+      descuento = grupos * (promocion.lleva - promocion.paga) * precio_lista;
+      break;
+    }
+    case "precio_cantidad":
+      if (cantidad >= parseFloat(promocion.cantidad_minima)) {
+        descuento = (precio_lista - parseFloat(promocion.precio)) * cantidad;
+      }
+      break;
+    case "precio_oferta":
+      descuento = (precio_lista - parseFloat(promocion.precio)) * cantidad;
+      break;
+  }
+
+  return Math.min(Math.max(descuento, 0), bruto);
+};
+
+// Elige, entre las promociones vigentes, la que más descuento da a la línea.
+// Las promociones no se acumulan. Devuelve null si ninguna aplica.
+export const mejorPromocion = (promociones, { producto_id, categoria_id, cantidad, precio_lista }) => {
+  let mejor = null;
+
+  for (const promocion of promociones) {
+    const aplica = promocion.producto_id
+      ? parseInt(promocion.producto_id) === parseInt(producto_id)
+      : categoria_id != null && parseInt(promocion.categoria_id) === parseInt(categoria_id);
+    if (!aplica) continue;
+
+    const descuento = calcularDescuentoPromocion(promocion, { cantidad, precio_lista });
+    if (descuento > 0 && (!mejor || descuento > mejor.descuento)) {
+      mejor = { promocion_id: promocion.id, nombre: promocion.nombre, descuento };
+    }
+  }
+
+  return mejor;
+};
@@ -0,0 +1,33 @@
+// utils/rut.js
+// Validación de RUT chileno (dígito verificador módulo 11).
+
+// Deja el RUT en formato "12345678-5", sin puntos y con DV en mayúscula
+export const normalizarRut = (rut) => {
+  if (!rut) return null;
+  const limpio = String(rut).replace(/[.\s-]/g, "").toUpperCase();
+  if (limpio.length < 2) return null;
+  return `${limpio.slice(0, -1)}-${limpio.slice(-1)}`;
+};
+
+export const calcularDv = (cuerpo) => {
+  let suma = 0;
+  let multiplo = 2;
+  for (let i = cuerpo.length - 1; i >= 0; i--) {
+    suma += parseInt(cuerpo[i]) * multiplo;
+    multiplo = multiplo === 7 ? 2 : multiplo + 1;
+  }
+  const resto = 11 - (suma % 11);
+  if (resto === 11) return "0";
+  if (resto === 10) return "K";
+  return String(resto);
+};
+
+export const validarRut = (rut) => {
+  const normalizado = normalizarRut(rut);
+  if (!normalizado) return false;
+
+  const [cuerpo, dv] = normalizado.split("-");
+  if (!/^\d{7,8}$/.test(cuerpo) || !/^[\dK]$/.test(dv)) return false;
+
+  return calcularDv(cuerpo) === dv;
+};
@@ -0,0 +1,82 @@
+// utils/sucursales.js
+// Qué sucursales puede ver un usuario y en cuál opera. El admin ve todas y, sin
+// filtro, la vista consolidada; los demás solo las que tienen asignadas.
+
+const leerSucursalId = (valor) => {
+  if (valor == null || valor === "") return null;
+  const id = Number(valor);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+};
+
+// Filtro de sucursal de un listado o reporte. Devuelve { sucursales } con los ids a
+// filtrar (null = consolidado de todas, solo admin) o { status, error }.
+export const resolverFiltroSucursal = (usuario, asignadas, valor) => {
+  const id = leerSucursalId(valor);
+  if (Number.isNaN(id)) {
+    return { status: 400, error: "Sucursal inválida" };
+  }
+  if (id != null) {
+    if (usuario.rol !== "admin" && !asignadas.includes(id)) {
+      return { status: 403, error: "No tienes acceso a esa sucursal" };
+    }
+    return { sucursales: [id] };
+  }
+  return { sucursales: usuario.rol === "admin" ? null : asignadas };
+};
+
+// Sucursal en la que se registra una operación (caja, ajuste, compra, conteo...).
+// Sin `valor` se usa la única asignada; el admin sin sucursales asignadas opera en
+// la sucursal por defecto (sucursal_id null). Devuelve { sucursal_id } o { status, error }.
+export const resolverSucursalOperacion = (usuario, asignadas, valor) => {
+  const id = leerSucursalId(valor);
+  if (Number.isNaN(id)) {
+    return { status: 400, error: "Sucursal inválida" };
+  }
+  if (id != null) {
+    if (usuario.rol !== "admin" && !asignadas.includes(id)) {
+      return { status: 403, error: "No tienes acceso a esa sucursal" };
+    }
+    return { sucursal_id: id };
+  }
+  if (asignadas.length === 1) return { sucursal_id: asignadas[0] };
+  if (usuario.rol === "admin" && asignadas.length === 0) return { sucursal_id: null };
+  if (asignadas.length === 0) {
+    return { status: 403, error: "No tienes sucursales asignadas" };
+  }
+  return { status: 400, error: "Tienes varias sucursales asignadas; indique sucursal_id" };
+};
+
+// ===================== VERSIONES PARA RUTAS CON `pg` =====================
+export const obtenerSucursalesUsuario = async (db, userId) => {
+  const result = await db.query(
+    "SELECT sucursal_id FROM usuario_sucursales WHERE user_id = $1 ORDER BY sucursal_id",
+    [userId]
+  );
+  return result.rows.map(fila => fila.sucursal_id);
+};
+
+// Filtro `sucursal_id` de la consulta; el admin no necesita leer sus asignaciones
+export const filtroSucursal = async (db, usuario, valor) => {
+  const asignadas = usuario.rol === "admin" ? [] : await obtenerSucursalesUsuario(db, usuario.id);
+  return resolverFiltroSucursal(usuario, asignadas, valor);
+};
+
+// Sucursal de la operación, ya resuelta a un id y verificada como activa
+export const sucursalDeOperacion = async (db, usuario, valor) => {
+  const asignadas = await obtenerSucursalesUsuario(db, usuario.id);
+  const resuelta = resolverSucursalOperacion(usuario, asignadas, valor);
+  if (resuelta.error) return resuelta;
+
+  const result = await db.query(
+    "SELECT id, nombre, activa FROM sucursales WHERE id = COALESCE($1::int, sucursal_por_defecto())",
+    [resuelta.sucursal_id]
+  );
+  const sucursal = result.rows[0];
+  if (!sucursal) {
+    return { status: 404, error: "Sucursal no encontrada" };
+  }
+  if (!sucursal.activa) {
+    return { status: 400, error: "La sucursal está inactiva" };
+  }
+  return { sucursal_id: sucursal.id, sucursal_nombre: sucursal.nombre };
+};
@@ -0,0 +1,208 @@
+// utils/ticket.js
+// Arma el comprobante de una venta y lo genera en ESC/POS (impresoras térmicas)
+// o en PDF. Ambos formatos parten de las mismas líneas de texto, así el diseño
+// de la copia PDF coincide con el ticket impreso.
+import PDFDocument from "pdfkit";
+
+// Caracteres por línea según el ancho del papel (fuente A de la impresora)
+export const COLUMNAS_POR_ANCHO = { 58: 32, 80: 48 };
+
+const redondear = (monto) => Math.round(monto * 100) / 100;
+
+const formatearMonto = (monto) =>
+  "$" + Math.round(parseFloat(monto) || 0).toLocaleString("es-CL");
+
+const formatearCantidad = (cantidad) => {
+  const numero = parseFloat(cantidad) || 0;
+  return Number.isInteger(numero) ? String(numero) : numero.toFixed(3).replace(/0+$/, "");
+};
+
+const formatearFecha = (fecha) =>
+  new Date(fecha).toLocaleString("es-CL", { dateStyle: "short", timeStyle: "short" });
+
+// Texto a la izquierda y a la derecha en una misma línea. Se guardan ambas partes
+// para que el PDF pueda alinearlas sin depender de los espacios de relleno.
+const dosColumnas = (izquierda, derecha, columnas) => {
+  const espacio = columnas - derecha.length;
+  const recortado = izquierda.length >= espacio ? izquierda.slice(0, Math.max(espacio - 1, 0)) : izquierda;
+  return {
+    texto: recortado + " ".repeat(Math.max(columnas - recortado.length - derecha.length, 1)) + derecha,
+    izquierda: recortado,
+    derecha
+  };
+};
+
+// Corta un texto largo en varias líneas del ancho del ticket
+const partirTexto = (texto, columnas) => {
+  const lineas = [];
+  let actual = "";
+  for (const palabra of String(texto || "").split(/\s+/).filter(Boolean)) {
+    if ((actual + " " + palabra).trim().length > columnas) {
+      if (actual) lineas.push(actual);
+      actual = palabra.slice(0, columnas);
+    } else {
+      actual = (actual + " " + palabra).trim();
+    }
+  }
+  if (actual) lineas.push(actual);
+  return lineas;
+};
+
+// Líneas del comprobante. Cada línea es { texto, alinear, negrita, doble } y, en las
+// de dos columnas, además { izquierda, derecha }.
+// `datos` = { tienda, venta, detalles, pagos } tal como los arma la ruta de ventas.
+export const construirLineasTicket = ({ tienda = {}, venta, detalles = [], pagos = [] }, columnas) => {
+  const lineas = [];
+  const separador = { texto: "-".repeat(columnas) };
+  const agregar = (contenido, opciones = {}) =>
+    lineas.push(typeof contenido === "string" ? { texto: contenido, ...opciones } : { ...contenido, ...opciones });
+
+  // Encabezado de la tienda
+  // El nombre va a doble ancho: cada carácter ocupa dos columnas
+  if (tienda.nombre) {
+    partirTexto(tienda.nombre, Math.floor(columnas / 2))
+      .forEach(t => agregar(t, { alinear: "centro", negrita: true, doble: true }));
+  }
+  if (tienda.razon_social) partirTexto(tienda.razon_social, columnas).forEach(t => agregar(t, { alinear: "centro" }));
+  if (tienda.rut) agregar(`RUT: ${tienda.rut}`, { alinear: "centro" });
+  if (tienda.giro) partirTexto(tienda.giro, columnas).forEach(t => agregar(t, { alinear: "centro" }));
+  if (tienda.direccion) partirTexto(tienda.direccion, columnas).forEach(t => agregar(t, { alinear: "centro" }));
+  if (tienda.telefono) agregar(`Tel: ${tienda.telefono}`, { alinear: "centro" });
+  lineas.push(separador);
+
+  const documento = venta.tipo_documento === "factura" ? "FACTURA" : "BOLETA";
+  agregar(venta.folio ? `${documento} N° ${venta.folio}` : `VENTA N° ${venta.id}`, { alinear: "centro", negrita: true });
+  if (venta.estado === "anulada") agregar("*** VENTA ANULADA ***", { alinear: "centro", negrita: true });
+  agregar(`Fecha: ${formatearFecha(venta.fecha)}`);
+  if (venta.user_nombre) agregar(`Vendedor: ${venta.user_nombre}`);
+  if (venta.cliente_nombre) {
+    agregar(`Cliente: ${venta.cliente_nombre}`);
+    if (venta.cliente_rut) agregar(`RUT: ${venta.cliente_rut}`);
+  }
+  lineas.push(separador);
+
+  // Productos
+  let sumaLineas = 0;
+  for (const detalle of detalles) {
+    partirTexto(detalle.producto_nombre, columnas).forEach(t => agregar(t));
+    const montoLinea = redondear(parseFloat(detalle.cantidad) * parseFloat(detalle.precio));
+    sumaLineas += montoLinea;
+    const totalLinea = formatearMonto(montoLinea);
+    const cantidadPorPrecio = `${formatearCantidad(detalle.cantidad)} x ${formatearMonto(detalle.precio)}`;
+    agregar(dosColumnas(detalle.sku ? `${cantidadPorPrecio} ${detalle.sku}` : cantidadPorPrecio, totalLinea, columnas));
+    if (parseFloat(detalle.descuento_promocion) > 0) {
+      agregar(dosColumnas("  Ahorro promoción", formatearMonto(detalle.descuento_promocion), columnas));
+    }
+  }
+  lineas.push(separador);
+
+  // Totales. Las líneas ya van con el precio de promoción, así que el subtotal es su
+  // suma y el descuento es solo el general de la venta; si no, el ahorro se restaría dos veces.
+  const descuentoGeneral = redondear(sumaLineas - (parseFloat(venta.total) || 0));
+  if (descuentoGeneral > 0) {
+    agregar(dosColumnas("Subtotal", formatearMonto(sumaLineas), columnas));
+    agregar(dosColumnas("Descuento", `-${formatearMonto(descuentoGeneral)}`, columnas));
+  }
+  if (venta.neto != null) {
+    agregar(dosColumnas("Neto", formatearMonto(venta.neto), columnas));
+    agregar(dosColumnas("IVA", formatearMonto(venta.iva), columnas));
+    if (parseFloat(venta.exento) > 0) agregar(dosColumnas("Exento", formatearMonto(venta.exento), columnas));
+  }
+  agregar(dosColumnas("TOTAL", formatearMonto(venta.total), columnas), { negrita: true });
+  lineas.push(separador);
+
+  // Pagos
+  if (pagos.length > 0) {
+    for (const pago of pagos) {
+      agregar(dosColumnas(pago.metodo_pago, formatearMonto(pago.monto), columnas));
+      if (parseFloat(pago.cambio) > 0) {
+        agregar(dosColumnas("  Recibido", formatearMonto(pago.recibido), columnas));
+      }
+    }
+  } else if (venta.metodo_pago) {
+    agregar(dosColumnas(venta.metodo_pago, formatearMonto(venta.recibido), columnas));
+  }
+  if (parseFloat(venta.cambio) > 0) agregar(dosColumnas("Cambio", formatearMonto(venta.cambio), columnas));
+  if (parseFloat(venta.deuda) > 0) agregar(dosColumnas("Deuda pendiente", formatearMonto(venta.deuda), columnas), { negrita: true });
+
+  if (tienda.mensaje_pie) {
+    lineas.push(separador);
+    partirTexto(tienda.mensaje_pie, columnas).forEach(t => agregar(t, { alinear: "centro" }));
+  }
+
+  return lineas;
+};
+
+// ===================== ESC/POS =====================
+const ESC = 0x1b;
+const GS = 0x1d;
+const ALINEACION = { izquierda: 0, centro: 1, derecha: 2 };
+
+export const generarTicketEscPos = (datos, { ancho = 80 } = {}) => {
+  const columnas = COLUMNAS_POR_ANCHO[ancho] || COLUMNAS_POR_ANCHO[80];
+  const partes = [
+    Buffer.from([ESC, 0x40]),       // Inicializar impresora
+    Buffer.from([ESC, 0x74, 16]),   // Página de códigos WPC1252 (acentos y ñ)
+  ];
+
+  for (const linea of construirLineasTicket(datos, columnas)) {
+    partes.push(Buffer.from([ESC, 0x61, ALINEACION[linea.alinear] ?? 0]));
+    partes.push(Buffer.from([ESC, 0x45, linea.negrita ? 1 : 0]));
+    partes.push(Buffer.from([GS, 0x21, linea.doble ? 0x11 : 0x00]));
+    partes.push(Buffer.from(linea.texto + "\n", "latin1"));
+  }
+
+  partes.push(Buffer.from([ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0]));
+  partes.push(Buffer.from([GS, 0x56, 66, 3])); // Avanzar papel y cortar
+
+  return Buffer.concat(partes);
+};
+
+// ===================== PDF =====================
+const TAMANO_FUENTE = 9;
+const ANCHO_CARACTER = TAMANO_FUENTE * 0.6; // Courier es monoespaciada
+const ALTO_LINEA = TAMANO_FUENTE * 1.4;
+const MARGEN = 18;
+
+export const generarTicketPdf = (datos, { ancho = 80 } = {}) => {
+  const columnas = COLUMNAS_POR_ANCHO[ancho] || COLUMNAS_POR_ANCHO[80];
+  const lineas = construirLineasTicket(datos, columnas);
+  // Un punto de holgura para que pdfkit no corte líneas que llenan el ancho exacto
+  const anchoTexto = columnas * ANCHO_CARACTER + 1;
+  const altoDoble = lineas.filter(l => l.doble).length * ALTO_LINEA;
+
+  const doc = new PDFDocument({
+    size: [anchoTexto + MARGEN * 2, lineas.length * ALTO_LINEA + altoDoble + MARGEN * 2],
+    margin: MARGEN,
+    info: { Title: `Venta ${datos.venta.id}` }
+  });
+
+  return new Promise((resolve, reject) => {
+    const partes = [];
+    doc.on("data", parte => partes.push(parte));
+    doc.on("end", () => resolve(Buffer.concat(partes)));
+    doc.on("error", reject);
+
+    let y = MARGEN;
+    for (const linea of lineas) {
+      doc
+        .font(linea.negrita ? "Courier-Bold" : "Courier")
+        .fontSize(linea.doble ? TAMANO_FUENTE * 2 : TAMANO_FUENTE);
+
+      if (linea.derecha != null) {
+        doc.text(linea.izquierda, MARGEN, y, { lineBreak: false });
+        doc.text(linea.derecha, MARGEN, y, { width: anchoTexto, align: "right", lineBreak: false });
+      } else {
+        doc.text(linea.texto, MARGEN, y, {
+          width: anchoTexto,
+          align: linea.alinear === "centro" ? "center" : "left",
+          lineBreak: false
+        });
+      }
+
+      y += linea.doble ? ALTO_LINEA * 2 : ALTO_LINEA;
+    }
+
+    doc.end();
+  });
+};